@@ -0,0 +1,123 @@
+/**
+ * Admin Auth - Who may use the admin area
+ *
+ * Two ways in, either or both can be configured:
+ * - ADMIN_TOKEN                  "Authorization: Bearer <token>" (scripts, curl)
+ * - ADMIN_USER + ADMIN_PASSWORD  Basic auth (lets a browser open the dashboard)
+ *
+ * With neither set the admin area doesn't exist (every route is a 404).
+ *
+ * Browsers resend cached Basic credentials on any request, including a
+ * form another site submits. So under Basic auth, anything but a read
+ * must come from a page on this host (Origin, or Referer when a browser
+ * leaves Origin out). Bearer tokens are never sent automatically.
+ */
+
+import crypto from "node:crypto";
+
+/**
+ * Compare secrets without leaking how much of them matched
+ */
+function safeEqual(given, expected) {
+    const hash = value => crypto.createHash("sha256").update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(given), hash(expected));
+}
+
+function hasBasicAuth() {
+    return !!(process.env.ADMIN_USER && process.env.ADMIN_PASSWORD);
+}
+
+/**
+ * Whether any admin credentials are configured
+ */
+export function isAdminAreaEnabled() {
+    return !!process.env.ADMIN_TOKEN || hasBasicAuth();
+}
+
+/**
+ * Check an Authorization header against the configured credentials
+ * @param {string} [header] - Authorization header value
+ * @returns {Object} { valid: true, scheme: 'bearer' | 'basic' } or { valid: false, reason }
+ */
+export function checkAdminAuth(header) {
+    if (!header) return { valid: false, reason: "missing_credentials" };
+
+    const [scheme, credentials = ""] = header.split(" ");
+
+    if (scheme === "Bearer" && process.env.ADMIN_TOKEN) {
+        return safeEqual(credentials, process.env.ADMIN_TOKEN)
+            ? { valid: true, scheme: "bearer" }
+            : { valid: false, reason: "bad_token" };
+    }
+
+    if (scheme === "Basic" && hasBasicAuth()) {
+        const decoded = Buffer.from(credentials, "base64").toString("utf8");
+        const separator = decoded.indexOf(":");
+        const user = decoded.slice(0, separator);
+        const password = decoded.slice(separator + 1);
+
+        // Check both, always, so timing doesn't say which one was wrong
+        const userMatches = safeEqual(user, process.env.ADMIN_USER);
+        const passwordMatches = safeEqual(password, process.env.ADMIN_PASSWORD);
+        return separator >= 0 && userMatches && passwordMatches
+            ? { valid: true, scheme: "basic" }
+            : { valid: false, reason: "bad_password" };
+    }
+
+    return { valid: false, reason: "unsupported_scheme" };
+}
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+/**
+ * Did a request come from a page on this host?
+ * @param {Object} req - Express request
+ */
+function isSameOrigin(req) {
+    const source = req.get("origin") || req.get("referer");
+    if (!source) return false;
+
+    try {
+        return new URL(source).host === req.get("host");
+    } catch {
+        return false;
+    }
+}
+
+function logFailure(req, reason) {
+    // Same one-line format as webhook verification failures (see index.js)
+    console.error("[Security]", JSON.stringify({
+        event: "admin_auth_failed",
+        reason,
+        path: req.originalUrl,
+        ip: req.ip
+    }));
+}
+
+/**
+ * Express middleware guarding the admin area
+ */
+export function requireAdmin(req, res, next) {
+    if (!isAdminAreaEnabled()) {
+        return res.sendStatus(404);
+    }
+
+    const result = checkAdminAuth(req.get("authorization"));
+    if (result.valid) {
+        if (result.scheme === "basic" && !SAFE_METHODS.includes(req.method) && !isSameOrigin(req)) {
+            logFailure(req, "cross_site_request");
+            return res.sendStatus(403);
+        }
+        return next();
+    }
+
+    // A browser's first visit has no credentials yet - that's not worth an alert
+    if (result.reason !== "missing_credentials") {
+        logFailure(req, result.reason);
+    }
+
+    if (hasBasicAuth()) {
+        res.set("WWW-Authenticate", 'Basic realm="Accountability Bot Admin"');
+    }
+    res.sendStatus(401);
+}
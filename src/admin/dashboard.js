@@ -0,0 +1,191 @@
+/**
+ * Admin Dashboard - Plain HTML pages over the admin API
+ *
+ * No client-side code: tables are rendered here and every action is a
+ * form that posts to the API (see router.js), which sends the browser back.
+ */
+
+import { REMINDER_TYPES } from "../models/User.js";
+
+const STYLE = `
+body { font: 14px/1.4 system-ui, sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; margin: 1rem 0; }
+th, td { border-bottom: 1px solid #ddd; padding: .35rem .7rem; text-align: left; vertical-align: top; }
+th { background: #f5f5f5; }
+.muted { color: #888; }
+form { display: inline-block; margin: 0 .5rem .5rem 0; }
+fieldset { margin: 1rem 0; border: 1px solid #ddd; }
+`;
+
+/**
+ * Escape text for HTML
+ */
+function escape(value) {
+    return String(value ?? "")
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;");
+}
+
+function page(title, body) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escape(title)}</title>
+<style>${STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function userPath(user) {
+    return `/admin/users/${encodeURIComponent(user.channel)}/${encodeURIComponent(user.channelId)}`;
+}
+
+function apiPath(user) {
+    return `/admin/api/users/${encodeURIComponent(user.channel)}/${encodeURIComponent(user.channelId)}`;
+}
+
+function formatReminders(user) {
+    return user.reminders.map(reminder => `${reminder.type} ${reminder.time}`).join(", ");
+}
+
+function broadcastPath(broadcast) {
+    return `/admin/broadcasts/${broadcast._id}`;
+}
+
+function formatSegment(segment) {
+    return segment?.type === "timezone" ? `timezone ${segment.timezone}` : (segment?.type || "all");
+}
+
+/**
+ * Every user, one row each, plus the latest broadcasts
+ * @param {Array} users - User documents
+ * @param {Array} [broadcasts] - Recent broadcasts, newest first
+ */
+export function renderUserList(users, broadcasts = []) {
+    const rows = users.map(user => `<tr>
+<td><a href="${userPath(user)}">${escape(user.name || "(no name)")}</a></td>
+<td>${escape(user.channel)}:${escape(user.channelId)}</td>
+<td>${user.onboardingComplete ? "✅" : escape(user.onboardingStep)}</td>
+<td>${user.currentStreak}</td>
+<td>${user.longestStreak}</td>
+<td>${escape(user.lastResponseDate || "-")}</td>
+<td>${escape(formatReminders(user))} <span class="muted">${escape(user.timezone)}</span></td>
+<td>${user.accessRevoked ? "⛔ deactivated" : (user.remindersPaused ? "⏸️ paused" : "active")}</td>
+</tr>`).join("\n");
+
+    return page("Admin - Users", `<h1>Users (${users.length})</h1>
+<table>
+<tr><th>Name</th><th>Address</th><th>Onboarded</th><th>Streak</th><th>Best</th><th>Last response</th><th>Reminders</th><th>Status</th></tr>
+${rows}
+</table>
+
+<fieldset>
+<legend>Broadcast</legend>
+<form method="post" action="/admin/api/broadcast">
+<textarea name="message" rows="3" cols="60" required></textarea><br>
+To <select name="segment">
+<option value="all">all onboarded users</option>
+<option value="no_streak">users with no current streak</option>
+<option value="timezone">users in timezone:</option>
+</select>
+<input name="timezone" size="18" placeholder="e.g. Africa/Accra">
+<button>Send</button>
+</form>
+${broadcasts.length ? `<table>
+<tr><th>Sent</th><th>To</th><th>Delivered</th><th>Message</th></tr>
+${broadcasts.map(broadcast => `<tr>
+<td><a href="${broadcastPath(broadcast)}">${escape(broadcast.createdAt.toISOString().slice(0, 16).replace("T", " "))}</a></td>
+<td>${escape(formatSegment(broadcast.segment))}</td>
+<td>${broadcast.sent} sent, ${broadcast.failed} failed${broadcast.finishedAt ? "" : " (sending...)"}</td>
+<td>${escape(broadcast.message.substring(0, 80))}</td>
+</tr>`).join("\n")}
+</table>` : ""}
+</fieldset>
+
+<form method="post" action="/admin/api/repair"><button>Repair everyone's streak counters</button></form>`);
+}
+
+/**
+ * One user: stats, actions and log history
+ * @param {Object} user - User document
+ * @param {Object} stats - From getUserStats
+ * @param {Array} logs - Daily logs, newest first
+ */
+export function renderUserPage(user, stats, logs) {
+    const api = apiPath(user);
+    const rows = logs.map(log => `<tr>
+<td>${escape(log.date)}</td>
+<td>${log.coded === true ? "✅" : (log.coded === false ? "❌" : (log.rest ? "🛌" : "⏳"))}</td>
+<td>${escape(log.todaysPlan || "")}${log.planOutcome ? ` <span class="muted">(${escape(log.planOutcome)})</span>` : ""}</td>
+<td>${escape(log.whatDone || log.whyNot || "")}</td>
+<td>${escape(log.learning || "")}</td>
+</tr>`).join("\n");
+
+    const reminderOptions = REMINDER_TYPES
+        .map(type => `<option>${type}</option>`).join("");
+
+    return page(`Admin - ${user.name || user.channelId}`, `<p><a href="/admin">← All users</a></p>
+<h1>${escape(user.name || "(no name)")} <span class="muted">${escape(user.channel)}:${escape(user.channelId)}</span></h1>
+
+<table>
+<tr><th>Stored streak</th><td>${user.currentStreak} (best ${user.longestStreak}, ${user.totalDaysCoded} days coded)</td></tr>
+<tr><th>From the logs</th><td>${stats.currentStreak} (best ${stats.longestStreak}, ${stats.totalDaysCoded} days coded)</td></tr>
+<tr><th>Freezes</th><td>${user.freezesAvailable}</td></tr>
+<tr><th>Last response</th><td>${escape(user.lastResponseDate || "-")}</td></tr>
+<tr><th>Reminders</th><td>${escape(formatReminders(user))} (${escape(user.timezone)})${user.remindersPaused ? " - paused" : ""}</td></tr>
+<tr><th>Status</th><td>${user.accessRevoked ? "⛔ deactivated" : "active"}</td></tr>
+</table>
+
+<form method="post" action="${api}/repair"><button>Repair stats from logs</button></form>
+<form method="post" action="${api}/remind"><select name="type">${reminderOptions}</select> <button>Send reminder now</button></form>
+<form method="post" action="${api}/${user.accessRevoked ? "reactivate" : "deactivate"}"><button>${user.accessRevoked ? "Reactivate" : "Deactivate"}</button></form>
+<p>Export: <a href="${api}/export?format=json">JSON</a> · <a href="${api}/export?format=csv">CSV</a> · <a href="${api}/export?format=journal">Journal</a></p>
+
+<fieldset>
+<legend>Edit stored stats</legend>
+<form method="post" action="${api}/stats">
+Streak <input name="currentStreak" size="4" value="${user.currentStreak}">
+Best <input name="longestStreak" size="4" value="${user.longestStreak}">
+Days coded <input name="totalDaysCoded" size="4" value="${user.totalDaysCoded}">
+Freezes <input name="freezesAvailable" size="4" value="${user.freezesAvailable}">
+<button>Save</button>
+</form>
+</fieldset>
+
+<h2>Log history</h2>
+<table>
+<tr><th>Date</th><th></th><th>Plan</th><th>Did / why not</th><th>Learned</th></tr>
+${rows || `<tr><td colspan="5" class="muted">No logs yet</td></tr>`}
+</table>`);
+}
+
+/**
+ * A broadcast's delivery report, one row per recipient
+ * @param {Object} broadcast - From getBroadcastReport
+ */
+export function renderBroadcastPage(broadcast) {
+    const pending = broadcast.recipients.length - broadcast.sent - broadcast.failed;
+    const rows = broadcast.recipients.map(recipient => `<tr>
+<td><a href="${userPath(recipient)}">${escape(recipient.name || "(no name)")}</a></td>
+<td>${escape(recipient.channel)}:${escape(recipient.channelId)}</td>
+<td>${escape(recipient.delivery || recipient.status)}</td>
+<td>${recipient.attempts}</td>
+<td>${escape(recipient.error || "")}</td>
+</tr>`).join("\n");
+
+    return page("Admin - Broadcast", `<p><a href="/admin">← All users</a></p>
+<h1>Broadcast to ${escape(formatSegment(broadcast.segment))}</h1>
+<p>${broadcast.sent} sent, ${broadcast.failed} failed${pending ? `, ${pending} still to go - refresh to update` : ""}</p>
+<pre>${escape(broadcast.message)}</pre>
+
+<table>
+<tr><th>Name</th><th>Address</th><th>Status</th><th>Attempts</th><th>Error</th></tr>
+${rows || `<tr><td colspan="5" class="muted">Nobody matched</td></tr>`}
+</table>`);
+}
@@ -0,0 +1,281 @@
+/**
+ * Admin Router - Operator API and dashboard, mounted at /admin
+ *
+ * Pages:
+ *   GET  /admin                                   Every user
+ *   GET  /admin/users/:channel/:id                One user, their logs and actions
+ *   GET  /admin/broadcasts/:broadcastId           One broadcast's delivery report
+ *
+ * JSON API (under /admin/api):
+ *   GET   /users                                  Every user
+ *   GET   /users/:channel/:id                     One user with stats worked out from the logs
+ *   GET   /users/:channel/:id/logs?limit=60       Log history, newest first
+ *   GET   /users/:channel/:id/export?format=json  Download their export (json, csv or journal)
+ *   PATCH /users/:channel/:id/stats               Overwrite stored counters
+ *   POST  /users/:channel/:id/repair              Recompute counters from the logs
+ *   POST  /users/:channel/:id/remind              Send a reminder now ({ type })
+ *   POST  /users/:channel/:id/deactivate          Block the user
+ *   POST  /users/:channel/:id/reactivate          Unblock the user
+ *   POST  /repair                                 Recompute everyone's counters
+ *   POST  /broadcast                              Message active users ({ message, segment, timezone })
+ *   GET   /broadcasts                             Latest broadcasts
+ *   GET   /broadcasts/:broadcastId                Delivery report, one line per recipient
+ *
+ * The dashboard's forms post to the same endpoints; form posts are sent
+ * back to the page they came from instead of getting JSON. Under basic auth
+ * they're only accepted from this host (see requireAdmin).
+ */
+
+import express from "express";
+import { requireAdmin } from "./auth.js";
+import { renderUserList, renderUserPage, renderBroadcastPage } from "./dashboard.js";
+import {
+    findUserData,
+    getAllUsers,
+    getUserStats,
+    getLogHistory,
+    updateUserStats,
+    repairUserStats,
+    repairStreakCounters,
+    setAccessRevoked,
+    getBroadcastReport,
+    getRecentBroadcasts
+} from "../services/storage.js";
+import { sendReminder } from "../services/scheduler.js";
+import { parseSegment, prepareBroadcast, runBroadcast } from "../services/broadcast.js";
+import { createExport, parseExportFormat } from "../services/export.js";
+import { REMINDER_TYPES } from "../models/User.js";
+
+const EDITABLE_STATS = ["currentStreak", "longestStreak", "totalDaysCoded", "freezesAvailable"];
+const MAX_LOG_LIMIT = 365;
+
+/**
+ * What the API shows of a user
+ */
+function summarize(user) {
+    return {
+        channel: user.channel,
+        id: user.channelId,
+        name: user.name,
+        timezone: user.timezone,
+        onboardingComplete: user.onboardingComplete,
+        currentStreak: user.currentStreak,
+        longestStreak: user.longestStreak,
+        totalDaysCoded: user.totalDaysCoded,
+        freezesAvailable: user.freezesAvailable,
+        lastResponseDate: user.lastResponseDate,
+        reminders: user.reminders.map(({ type, time, lastSent }) => ({ type, time, lastSent })),
+        remindersPaused: user.remindersPaused,
+        accessRevoked: !!user.accessRevoked,
+        createdAt: user.createdAt
+    };
+}
+
+function addressFrom(req) {
+    return { channel: req.params.channel, id: req.params.id };
+}
+
+/**
+ * Was this posted by a dashboard form (rather than an API client)?
+ */
+function fromForm(req) {
+    return !!req.is("application/x-www-form-urlencoded");
+}
+
+/**
+ * Send a form back where it came from, or answer an API call with JSON
+ */
+function respond(req, res, body) {
+    if (fromForm(req)) {
+        return res.redirect(303, req.get("referer") || "/admin");
+    }
+    res.json(body);
+}
+
+/**
+ * Check a stats update: known counters only, each a whole number >= 0
+ * @param {Object} body - Request body
+ * @returns {Object} { fields } or { error }
+ */
+export function parseStatsUpdate(body = {}) {
+    const fields = {};
+
+    for (const [name, value] of Object.entries(body)) {
+        if (!EDITABLE_STATS.includes(name)) {
+            return { error: `Unknown field: ${name}. Editable: ${EDITABLE_STATS.join(", ")}` };
+        }
+        // Forms send every field; a blank one means "leave it alone"
+        if (value === "" || value === null || value === undefined) continue;
+
+        const number = typeof value === "string" && /^\d+$/.test(value.trim()) ? Number(value) : value;
+        if (!Number.isInteger(number) || number < 0) {
+            return { error: `${name} must be a whole number of 0 or more` };
+        }
+        fields[name] = number;
+    }
+
+    if (!Object.keys(fields).length) {
+        return { error: `Nothing to update. Editable: ${EDITABLE_STATS.join(", ")}` };
+    }
+    return { fields };
+}
+
+/**
+ * Build the /admin router
+ */
+export function createAdminRouter() {
+    const router = express.Router();
+
+    router.use(requireAdmin);
+    router.use(express.urlencoded({ extended: false }));
+
+    // Look the user up once for every /users/:channel/:id route
+    router.param("id", async (req, res, next) => {
+        req.targetUser = await findUserData(addressFrom(req));
+        if (!req.targetUser) {
+            return res.status(404).json({ error: "No such user" });
+        }
+        next();
+    });
+
+    router.param("broadcastId", async (req, res, next) => {
+        req.broadcast = await getBroadcastReport(req.params.broadcastId);
+        if (!req.broadcast) {
+            return res.status(404).json({ error: "No such broadcast" });
+        }
+        next();
+    });
+
+    // ---------- Pages ----------
+
+    router.get("/", async (req, res) => {
+        const [users, broadcasts] = await Promise.all([getAllUsers(), getRecentBroadcasts(5)]);
+        res.send(renderUserList(users, broadcasts));
+    });
+
+    router.get("/users/:channel/:id", async (req, res) => {
+        const address = addressFrom(req);
+        const [stats, logs] = await Promise.all([getUserStats(address), getLogHistory(address)]);
+        res.send(renderUserPage(req.targetUser, stats, logs));
+    });
+
+    router.get("/broadcasts/:broadcastId", (req, res) => {
+        res.send(renderBroadcastPage(req.broadcast));
+    });
+
+    // ---------- API ----------
+
+    router.get("/api/users", async (req, res) => {
+        const users = await getAllUsers();
+        res.json({ users: users.map(summarize) });
+    });
+
+    router.get("/api/users/:channel/:id", async (req, res) => {
+        const stats = await getUserStats(addressFrom(req));
+        res.json({ user: summarize(req.targetUser), stats });
+    });
+
+    router.get("/api/users/:channel/:id/logs", async (req, res) => {
+        const limit = Math.min(Number.parseInt(req.query.limit, 10) || 60, MAX_LOG_LIMIT);
+        res.json({ logs: await getLogHistory(addressFrom(req), limit) });
+    });
+
+    router.get("/api/users/:channel/:id/export", async (req, res) => {
+        const format = parseExportFormat(req.query.format || "json");
+        if (!format) {
+            return res.status(400).json({ error: "format must be json, csv or journal" });
+        }
+
+        const file = await createExport(addressFrom(req), format);
+        console.log(`[Admin] Exported ${format} for ${req.params.channel}:${req.params.id}`);
+        res.attachment(file.filename).type(file.mimeType).send(file.content);
+    });
+
+    const editStats = async (req, res) => {
+        const { fields, error } = parseStatsUpdate(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const user = await updateUserStats(addressFrom(req), fields);
+        console.log(`[Admin] Set stats for ${user.channel}:${user.channelId}:`, JSON.stringify(fields));
+        respond(req, res, { user: summarize(user) });
+    };
+    router.patch("/api/users/:channel/:id/stats", editStats);
+    // HTML forms can't PATCH
+    router.post("/api/users/:channel/:id/stats", editStats);
+
+    router.post("/api/users/:channel/:id/repair", async (req, res) => {
+        const result = await repairUserStats(addressFrom(req));
+        console.log(`[Admin] Repaired ${req.params.channel}:${req.params.id}:`, JSON.stringify(result));
+        respond(req, res, result);
+    });
+
+    router.post("/api/users/:channel/:id/remind", async (req, res) => {
+        const type = req.body?.type;
+        if (!REMINDER_TYPES.includes(type)) {
+            return res.status(400).json({ error: `type must be one of: ${REMINDER_TYPES.join(", ")}` });
+        }
+
+        await sendReminder(type, req.targetUser);
+        console.log(`[Admin] Sent ${type} reminder to ${req.params.channel}:${req.params.id}`);
+        respond(req, res, { sent: type });
+    });
+
+    router.post("/api/users/:channel/:id/deactivate", async (req, res) => {
+        await setAccessRevoked(addressFrom(req), true);
+        console.log(`[Admin] Deactivated ${req.params.channel}:${req.params.id}`);
+        respond(req, res, { accessRevoked: true });
+    });
+
+    router.post("/api/users/:channel/:id/reactivate", async (req, res) => {
+        await setAccessRevoked(addressFrom(req), false);
+        console.log(`[Admin] Reactivated ${req.params.channel}:${req.params.id}`);
+        respond(req, res, { accessRevoked: false });
+    });
+
+    router.post("/api/repair", async (req, res) => {
+        const result = await repairStreakCounters();
+        console.log(`[Admin] Repaired streak counters: ${result.repaired}/${result.checked}`);
+        respond(req, res, result);
+    });
+
+    router.post("/api/broadcast", async (req, res) => {
+        const message = typeof req.body?.message === "string" ? req.body.message.trim() : "";
+        if (!message) {
+            return res.status(400).json({ error: "message is required" });
+        }
+        const { segment: type = "all", timezone } = req.body;
+        if (typeof type !== "string" || (timezone !== undefined && typeof timezone !== "string")) {
+            return res.status(400).json({ error: "segment and timezone must be text" });
+        }
+        const { segment, error } = parseSegment(type || "all", timezone);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const broadcast = await prepareBroadcast(message, segment, "admin-api");
+        console.log(`[Admin] Broadcasting ${broadcast._id}: ${message.substring(0, 60)}`);
+
+        // Throttled sends can take minutes - answer now, report at /broadcasts/:id
+        runBroadcast(broadcast).catch(error => {
+            console.error(`[Admin] Broadcast ${broadcast._id} stopped:`, error.message);
+        });
+
+        const id = String(broadcast._id);
+        if (fromForm(req)) {
+            return res.redirect(303, `/admin/broadcasts/${id}`);
+        }
+        res.status(202).json({ id, recipients: broadcast.recipients.length, report: `/admin/api/broadcasts/${id}` });
+    });
+
+    router.get("/api/broadcasts", async (req, res) => {
+        res.json({ broadcasts: await getRecentBroadcasts() });
+    });
+
+    router.get("/api/broadcasts/:broadcastId", (req, res) => {
+        res.json({ broadcast: req.broadcast });
+    });
+
+    return router;
+}
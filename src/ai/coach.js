@@ -15,6 +15,7 @@
  */
 
 import Groq from 'groq-sdk';
+import { formatDuration } from '../utils/helpers.js';
 
 // Initialize Groq client (only if key is provided)
 let groq = null;
@@ -51,6 +52,31 @@ function isAIEnabled() {
     return process.env.AI_ENABLED === 'true' && groq !== null;
 }
 
+/**
+ * Describe time and output for a prompt, e.g. "6h over 4 days (avg 1h 30m), 12 commits"
+ * @param {Object} [effort] - From calculateEffort
+ */
+function describeEffort(effort) {
+    if (!effort) return 'Not tracked';
+
+    const parts = [];
+    if (effort.minutes) {
+        parts.push(`${formatDuration(effort.minutes)} over ${effort.days} days (avg ${formatDuration(effort.averageMinutes)})`);
+    }
+    if (effort.commits) parts.push(`${effort.commits} commits`);
+    if (effort.problemsSolved) parts.push(`${effort.problemsSolved} problems solved`);
+    return parts.length ? parts.join(', ') : 'Not tracked';
+}
+
+/**
+ * Describe plan outcomes for a prompt, e.g. "3 of 5 fully done, 1 partly"
+ * @param {Object} [plans] - From calculatePlans
+ */
+function describePlans(plans) {
+    if (!plans?.planned) return 'None set';
+    return `${plans.done} of ${plans.planned} fully done, ${plans.partial} partly`;
+}
+
 /**
  * Get random fallback message
  */
@@ -114,7 +140,10 @@ Encourage small adjustments.
 Weekly data:
 - Days completed: {COMPLETED}/7
 - Missed days: {MISSED}
-- Common blockers: {BLOCKERS}`;
+- Common blockers: {BLOCKERS}
+- Time and output this week: {WEEK_EFFORT}
+- Time and output last 30 days: {MONTH_EFFORT}
+- Morning plans: {PLANS}`;
 
 // ========== MAIN AI FUNCTIONS ==========
 
@@ -208,13 +237,13 @@ export async function getEncouragement() {
 /**
  * Generate weekly summary with AI coaching
  * 
- * @param {Object} weekData - { completed: number, missed: number, blockers: string[] }
+ * @param {Object} weekData - { completed: number, missed: number, blockers: string[], effort: { week, month }, plans }
  * @returns {string} Weekly summary message
  * 
  * Integration point: Called by weekly cron job
  */
 export async function getWeeklySummary(weekData) {
-    const { completed = 0, missed = 0, blockers = [] } = weekData;
+    const { completed = 0, missed = 0, blockers = [], effort = {}, plans = {} } = weekData;
 
     if (!isAIEnabled() || process.env.AI_WEEKLY_SUMMARY !== 'true') {
         return FALLBACK_WEEKLY;
@@ -228,7 +257,10 @@ export async function getWeeklySummary(weekData) {
         const prompt = WEEKLY_SUMMARY_PROMPT
             .replace('{COMPLETED}', completed)
             .replace('{MISSED}', missed)
-            .replace('{BLOCKERS}', blockerText);
+            .replace('{BLOCKERS}', blockerText)
+            .replace('{WEEK_EFFORT}', describeEffort(effort.week))
+            .replace('{MONTH_EFFORT}', describeEffort(effort.month))
+            .replace('{PLANS}', describePlans(plans));
 
         const response = await groq.chat.completions.create({
             model: 'llama-3.3-70b-versatile',
@@ -0,0 +1,76 @@
+/**
+ * Speech-to-Text Service
+ *
+ * Turns voice notes into text so the AI coach can reflect on them.
+ *
+ * The provider is picked with STT_PROVIDER:
+ * - groq (default when GROQ_API_KEY is set): Whisper on Groq
+ * - none: voice notes are stored but not transcribed
+ *
+ * To add a provider, write an async (buffer, mimeType) => text function
+ * and add it to PROVIDERS.
+ *
+ * Like the coach, failures never break the conversation - they just
+ * return null.
+ */
+
+import Groq, { toFile } from 'groq-sdk';
+
+// Initialize Groq client (only if key is provided)
+let groq = null;
+if (process.env.GROQ_API_KEY) {
+    groq = new Groq({ apiKey: process.env.GROQ_API_KEY });
+}
+
+// ========== PROVIDERS ==========
+
+/**
+ * Whisper via Groq
+ */
+async function transcribeWithGroq(buffer, mimeType) {
+    if (!groq) return null;
+
+    const extension = mimeType?.split('/')[1]?.split(';')[0] || 'ogg';
+    const response = await groq.audio.transcriptions.create({
+        file: await toFile(buffer, `voice-note.${extension}`),
+        model: process.env.STT_MODEL || 'whisper-large-v3-turbo'
+    });
+
+    return response.text;
+}
+
+const PROVIDERS = {
+    groq: transcribeWithGroq,
+    none: async () => null
+};
+
+// ========== MAIN FUNCTION ==========
+
+/**
+ * Transcribe a voice note
+ *
+ * @param {Buffer} buffer - Audio file contents
+ * @param {string} mimeType - e.g. 'audio/ogg; codecs=opus'
+ * @returns {string|null} Transcript, or null if unavailable
+ */
+export async function transcribeAudio(buffer, mimeType) {
+    const providerName = process.env.STT_PROVIDER || 'groq';
+    const provider = PROVIDERS[providerName];
+
+    if (!provider) {
+        console.error(`[STT] Unknown provider: ${providerName}`);
+        return null;
+    }
+
+    try {
+        const text = (await provider(buffer, mimeType))?.trim();
+        if (text) {
+            console.log(`[STT] Transcribed voice note with ${providerName}`);
+            return text;
+        }
+        return null;
+    } catch (error) {
+        console.error('[STT] Transcription error:', error.message);
+        return null;
+    }
+}
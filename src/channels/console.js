@@ -0,0 +1,35 @@
+/**
+ * Console Channel - Prints messages to the terminal
+ * Used by the local CLI (src/cli.js); it has no webhook.
+ */
+
+import { writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+
+export const name = "console";
+
+/**
+ * Print a message as the bot would send it
+ * @param {string} to - Recipient ID
+ * @param {string} message - Message text
+ * @param {Object} [options] - { replies: [{ id, title }] }
+ */
+export async function sendMessage(to, message, options = {}) {
+    const body = message.split("\n").map(line => `  ${line}`).join("\n");
+    const replies = options.replies?.length
+        ? `\n  ${options.replies.map(({ title }) => `[${title}]`).join(" ")}`
+        : "";
+    console.log(`\n🤖 → ${to}\n${body}${replies}\n`);
+}
+
+/**
+ * Save a file to the temp directory and print where it went
+ * @param {string} to - Recipient ID
+ * @param {Object} file - { buffer, filename, caption }
+ */
+export async function sendDocument(to, { buffer, filename, caption }) {
+    const path = join(tmpdir(), filename);
+    await writeFile(path, buffer);
+    console.log(`\n🤖 → ${to}\n  📎 ${path}${caption ? `\n  ${caption}` : ""}\n`);
+}
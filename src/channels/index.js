@@ -0,0 +1,98 @@
+/**
+ * Channels - Messaging transports the bot can talk through
+ *
+ * Each channel adapter exports:
+ * - name: Channel key stored on the user
+ * - sendMessage(to, message, options): Deliver a message to a channel ID,
+ *   returning the provider's message ID when there is one. options.replies
+ *   ([{ id, title }]) offers quick replies; a tapped reply comes back as a
+ *   message whose text is the reply's id (or title, where the provider
+ *   only sends that back)
+ * - parseWebhook(body): Turn a webhook payload into { messages, statuses }
+ *   (webhook channels only). A message may carry media: { type, id, mimeType }
+ * - downloadMedia(id, mimeType) (optional): Fetch an incoming file as { buffer, mimeType }
+ * - sendDocument(to, { buffer, filename, mimeType, caption }) (optional):
+ *   Deliver a file, returning the provider's message ID
+ * - verifyRequest(req) (optional): Check a webhook call came from the
+ *   provider, returning { valid, reason }
+ *
+ * The rest of the bot only deals with addresses - { channel, id } -
+ * so conversation logic and the scheduler don't care about the transport.
+ */
+
+import * as whatsapp from "./whatsapp.js";
+import * as telegram from "./telegram.js";
+
+const channels = new Map([
+    [whatsapp.name, whatsapp],
+    [telegram.name, telegram],
+]);
+
+/**
+ * Register an additional channel adapter
+ * @param {Object} adapter - Channel adapter (see above)
+ */
+export function registerChannel(adapter) {
+    channels.set(adapter.name, adapter);
+}
+
+/**
+ * Look up a channel adapter by name
+ * @param {string} name - Channel name
+ * @returns {Object} Channel adapter
+ */
+export function getChannel(name) {
+    const channel = channels.get(name);
+    if (!channel) {
+        throw new Error(`Unknown channel: ${name}`);
+    }
+    return channel;
+}
+
+/**
+ * Get the address to reach a user on
+ * @param {Object} user - User document
+ * @returns {Object} { channel, id }
+ */
+export function getAddress(user) {
+    return { channel: user.channel, id: user.channelId };
+}
+
+/**
+ * Parse an address typed by a person or read from config
+ * "telegram:12345" names the channel; a bare number means WhatsApp.
+ * @param {string} text - Address text
+ * @returns {Object|null} { channel, id } or null if empty
+ */
+export function parseAddress(text) {
+    const value = text?.trim();
+    if (!value) return null;
+
+    const [channel, id] = value.includes(":")
+        ? value.split(/:(.*)/, 2)
+        : [whatsapp.name, value];
+
+    // WhatsApp IDs are the number without "+" or spaces
+    return channel === whatsapp.name
+        ? { channel, id: id.replace(/\D/g, "") }
+        : { channel, id: id.trim() };
+}
+
+/**
+ * Format an address as "channel:id" for logs and admin messages
+ * @param {Object} address - { channel, id }
+ */
+export function formatAddress(address) {
+    return `${address.channel}:${address.id}`;
+}
+
+/**
+ * Send a message to an address through its channel
+ * @param {Object} address - { channel, id }
+ * @param {string} message - Message text
+ * @param {Object} [options] - { replies: [{ id, title }], replyLabel }
+ * @returns {string|undefined} Provider's message ID
+ */
+export async function sendMessage(address, message, options) {
+    return await getChannel(address.channel).sendMessage(address.id, message, options);
+}
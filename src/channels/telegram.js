@@ -0,0 +1,157 @@
+/**
+ * Telegram Channel - Telegram Bot API adapter
+ */
+
+import axios from "axios";
+
+export const name = "telegram";
+
+const BUTTONS_PER_ROW = 3;
+
+/**
+ * Quick replies become a one-time reply keyboard - tapping a button sends
+ * its title as a normal message, so no callback handling is needed
+ */
+function buildReplyMarkup(replies) {
+    if (!replies?.length) return undefined;
+
+    const rows = [];
+    for (let i = 0; i < replies.length; i += BUTTONS_PER_ROW) {
+        rows.push(replies.slice(i, i + BUTTONS_PER_ROW).map(({ title }) => ({ text: title })));
+    }
+
+    return { keyboard: rows, one_time_keyboard: true, resize_keyboard: true };
+}
+
+/**
+ * Send a message, optionally with quick replies
+ * Bot API Markdown uses the same *bold* and _italic_ as WhatsApp. If the
+ * text doesn't parse (e.g. a stray underscore in user input), it is
+ * resent as plain text.
+ * @param {string} to - Recipient chat ID
+ * @param {string} message - Message text (WhatsApp-style formatting)
+ * @param {Object} [options] - { replies: [{ id, title }] }
+ * @returns {string} Telegram message ID
+ */
+export async function sendMessage(to, message, options = {}) {
+    const url = `https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendMessage`;
+    const payload = { chat_id: to, text: message, reply_markup: buildReplyMarkup(options.replies) };
+
+    let response;
+    try {
+        response = await axios.post(url, { ...payload, parse_mode: "Markdown" });
+    } catch (error) {
+        if (error.response?.status !== 400) throw error;
+        response = await axios.post(url, payload);
+    }
+
+    return messageIdOf(response);
+}
+
+/**
+ * The message_id Telegram gave a sent message (unique within the chat only)
+ * @returns {string|null}
+ */
+function messageIdOf(response) {
+    const id = response.data?.result?.message_id;
+    return id === undefined || id === null ? null : String(id);
+}
+
+/**
+ * Send a file as a document
+ * @param {string} to - Recipient chat ID
+ * @param {Object} file - { buffer, filename, mimeType, caption }
+ * @returns {string} Telegram message ID
+ */
+export async function sendDocument(to, { buffer, filename, mimeType, caption }) {
+    const form = new FormData();
+    form.append("chat_id", to);
+    form.append("document", new Blob([buffer], { type: mimeType }), filename);
+    if (caption) form.append("caption", caption);
+
+    const response = await axios.post(`https://api.telegram.org/bot${process.env.TELEGRAM_BOT_TOKEN}/sendDocument`, form);
+    return messageIdOf(response);
+}
+
+/**
+ * Download a file someone sent us
+ * @param {string} fileId - Telegram file_id
+ * @param {string} mimeType - Telegram doesn't return one for downloads
+ * @returns {Object} { buffer, mimeType }
+ */
+export async function downloadMedia(fileId, mimeType) {
+    const token = process.env.TELEGRAM_BOT_TOKEN;
+
+    const { data: info } = await axios.get(`https://api.telegram.org/bot${token}/getFile`, { params: { file_id: fileId } });
+    const { data } = await axios.get(
+        `https://api.telegram.org/file/bot${token}/${info.result.file_path}`,
+        { responseType: "arraybuffer" }
+    );
+
+    return { buffer: Buffer.from(data), mimeType };
+}
+
+/**
+ * Get the attachment of an incoming voice note or photo
+ * @returns {Object|null} { type: 'audio' | 'image', id, mimeType }
+ */
+function getMessageMedia(message) {
+    const audio = message.voice || message.audio;
+    if (audio) {
+        return { type: "audio", id: audio.file_id, mimeType: audio.mime_type || "audio/ogg" };
+    }
+    if (message.photo?.length) {
+        // Sizes are listed smallest first
+        return { type: "image", id: message.photo[message.photo.length - 1].file_id, mimeType: "image/jpeg" };
+    }
+    return null;
+}
+
+/**
+ * Check the secret token Telegram echoes back on every webhook call
+ * TELEGRAM_WEBHOOK_SECRET must be set (and passed as secret_token to
+ * setWebhook) - without it every call is rejected.
+ * @param {Object} req - Express request
+ * @returns {Object} { valid, reason }
+ */
+export function verifyRequest(req) {
+    const secret = process.env.TELEGRAM_WEBHOOK_SECRET;
+    if (!secret) {
+        return { valid: false, reason: "secret_not_configured" };
+    }
+
+    return req.get("x-telegram-bot-api-secret-token") === secret
+        ? { valid: true }
+        : { valid: false, reason: "invalid_secret_token" };
+}
+
+/**
+ * Extract incoming messages from a Telegram update
+ * Telegram sends one update per call and has no delivery statuses for bots.
+ * @param {Object} body - Webhook request body (an Update object)
+ * @returns {Object} { messages: [{ id, from, text, media, timestamp }], statuses: [] }
+ */
+export function parseWebhook(body) {
+    const message = body?.message;
+    const media = message && getMessageMedia(message);
+
+    // Only handle text, voice notes and photos
+    if (!message?.text && !media) {
+        return { messages: [], statuses: [] };
+    }
+
+    // Telegram users type commands as /status or /status@BotName
+    const text = (message.text || message.caption || "").replace(/^\/(\w+)(@\w+)?/, "$1");
+
+    // update_id is unique per bot (message_id only per chat)
+    return {
+        messages: [{
+            id: String(body.update_id),
+            from: String(message.chat.id),
+            text,
+            ...(media && { media }),
+            timestamp: message.date,
+        }],
+        statuses: [],
+    };
+}
@@ -0,0 +1,249 @@
+/**
+ * WhatsApp Channel - Meta WhatsApp Cloud API adapter
+ */
+
+import crypto from "node:crypto";
+import axios from "axios";
+
+export const name = "whatsapp";
+
+// Cloud API limits for interactive messages
+const MAX_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+
+/**
+ * Build the message body - plain text, reply buttons (up to 3 replies)
+ * or a list (up to 10)
+ */
+function buildMessage(message, { replies, replyLabel = "Choose" } = {}) {
+    if (!replies?.length) {
+        return { type: "text", text: { body: message } };
+    }
+
+    if (replies.length <= MAX_BUTTONS) {
+        return {
+            type: "interactive",
+            interactive: {
+                type: "button",
+                body: { text: message },
+                action: {
+                    buttons: replies.map(({ id, title }) => ({ type: "reply", reply: { id, title } })),
+                },
+            },
+        };
+    }
+
+    return {
+        type: "interactive",
+        interactive: {
+            type: "list",
+            body: { text: message },
+            action: {
+                button: replyLabel,
+                sections: [{ title: replyLabel, rows: replies.slice(0, MAX_LIST_ROWS) }],
+            },
+        },
+    };
+}
+
+/**
+ * Base URL and auth header for Graph API calls
+ */
+function getGraphApi() {
+    const API_VERSION = process.env.WHATSAPP_API_VERSION || "v24.0";
+
+    return {
+        baseUrl: `https://graph.facebook.com/${API_VERSION}`,
+        headers: { Authorization: `Bearer ${process.env.WHATSAPP_TOKEN}` },
+    };
+}
+
+/**
+ * Send a message, optionally with quick replies
+ * @param {string} to - Recipient phone number
+ * @param {string} message - Message text (WhatsApp formatting)
+ * @param {Object} [options] - { replies: [{ id, title }], replyLabel }
+ * @returns {string} WhatsApp message ID (for status webhooks)
+ */
+export async function sendMessage(to, message, options) {
+    const { baseUrl, headers } = getGraphApi();
+
+    const response = await axios.post(
+        `${baseUrl}/${process.env.PHONE_NUMBER_ID}/messages`,
+        {
+            messaging_product: "whatsapp",
+            to,
+            ...buildMessage(message, options),
+        },
+        {
+            headers: { ...headers, "Content-Type": "application/json" },
+        }
+    );
+
+    return response.data?.messages?.[0]?.id;
+}
+
+/**
+ * Send a file as a document message
+ * The file is uploaded to Meta first. Uploads only accept a few document
+ * types, so text files (JSON, CSV, Markdown) go up as text/plain - the
+ * filename keeps its extension.
+ * @param {string} to - Recipient phone number
+ * @param {Object} file - { buffer, filename, mimeType, caption }
+ * @returns {string} WhatsApp message ID
+ */
+export async function sendDocument(to, { buffer, filename, mimeType, caption }) {
+    const { baseUrl, headers } = getGraphApi();
+    const uploadType = mimeType.startsWith("text/") || mimeType === "application/json" ? "text/plain" : mimeType;
+
+    const form = new FormData();
+    form.append("messaging_product", "whatsapp");
+    form.append("type", uploadType);
+    form.append("file", new Blob([buffer], { type: uploadType }), filename);
+    const { data: upload } = await axios.post(`${baseUrl}/${process.env.PHONE_NUMBER_ID}/media`, form, { headers });
+
+    const response = await axios.post(
+        `${baseUrl}/${process.env.PHONE_NUMBER_ID}/messages`,
+        {
+            messaging_product: "whatsapp",
+            to,
+            type: "document",
+            document: { id: upload.id, filename, caption },
+        },
+        {
+            headers: { ...headers, "Content-Type": "application/json" },
+        }
+    );
+
+    return response.data?.messages?.[0]?.id;
+}
+
+/**
+ * Download a file someone sent us
+ * Meta gives a short-lived URL for the media ID, which needs the same token.
+ * @param {string} mediaId - Media ID from the webhook
+ * @returns {Object} { buffer, mimeType }
+ */
+export async function downloadMedia(mediaId) {
+    const { baseUrl, headers } = getGraphApi();
+
+    const { data: info } = await axios.get(`${baseUrl}/${mediaId}`, { headers });
+    const { data } = await axios.get(info.url, { headers, responseType: "arraybuffer" });
+
+    return { buffer: Buffer.from(data), mimeType: info.mime_type };
+}
+
+/**
+ * Get the attachment of an incoming voice note or image
+ * @returns {Object|null} { type: 'audio' | 'image', id, mimeType }
+ */
+function getMessageMedia(message) {
+    if (message.type === "audio" && message.audio?.id) {
+        return { type: "audio", id: message.audio.id, mimeType: message.audio.mime_type };
+    }
+    if (message.type === "image" && message.image?.id) {
+        return { type: "image", id: message.image.id, mimeType: message.image.mime_type };
+    }
+    return null;
+}
+
+/**
+ * Get the text of an incoming message
+ * Button and list replies become their reply ID, which is the keyword the
+ * conversation expects (e.g. "yes"), so they flow through the same states.
+ * @returns {string|null} Text, or null for types we don't handle
+ */
+function getMessageText(message) {
+    switch (message.type) {
+        case "text":
+            return message.text?.body || null;
+        case "interactive": {
+            const reply = message.interactive?.button_reply || message.interactive?.list_reply;
+            return reply?.id || reply?.title || null;
+        }
+        case "button":
+            // Quick reply on a template message
+            return message.button?.payload || message.button?.text || null;
+        case "image":
+            return message.image?.caption || null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Check Meta's X-Hub-Signature-256 header against the raw request body
+ * The signature is an HMAC-SHA256 of the body keyed with the app secret.
+ * @param {Object} req - Express request (with rawBody)
+ * @returns {Object} { valid, reason }
+ */
+export function verifyRequest(req) {
+    const secret = process.env.WHATSAPP_APP_SECRET;
+    if (!secret) {
+        return { valid: false, reason: "app_secret_not_configured" };
+    }
+
+    const header = req.get("x-hub-signature-256");
+    if (!header) {
+        return { valid: false, reason: "missing_signature" };
+    }
+
+    if (!req.rawBody) {
+        return { valid: false, reason: "missing_body" };
+    }
+
+    const expected = "sha256=" + crypto.createHmac("sha256", secret).update(req.rawBody).digest("hex");
+    const received = Buffer.from(header);
+    const valid = received.length === expected.length
+        && crypto.timingSafeEqual(received, Buffer.from(expected));
+
+    return valid ? { valid: true } : { valid: false, reason: "invalid_signature" };
+}
+
+/**
+ * Extract incoming messages and delivery statuses from a Meta webhook payload
+ * A delivery can batch many entries, changes and messages (e.g. after downtime).
+ * @param {Object} body - Webhook request body
+ * @returns {Object} { messages: [{ id, from, text, media, timestamp }], statuses: [{ id, status, timestamp, error }] }
+ */
+export function parseWebhook(body) {
+    const messages = [];
+    const statuses = [];
+
+    for (const entry of body?.entry ?? []) {
+        for (const change of entry.changes ?? []) {
+            const value = change.value ?? {};
+
+            for (const message of value.messages ?? []) {
+                // Text, button and list replies, voice notes and images
+                const text = getMessageText(message);
+                const media = getMessageMedia(message);
+                if (!text && !media) continue;
+
+                messages.push({
+                    id: message.id,
+                    from: message.from,
+                    text: text || "",
+                    ...(media && { media }),
+                    timestamp: Number(message.timestamp) || 0,
+                });
+            }
+
+            // sent / delivered / read / failed for messages we sent
+            for (const status of value.statuses ?? []) {
+                statuses.push({
+                    id: status.id,
+                    status: status.status,
+                    timestamp: Number(status.timestamp) || 0,
+                    error: status.errors?.[0]?.title ?? null,
+                });
+            }
+        }
+    }
+
+    // Batches aren't guaranteed to be in order - oldest first, so each
+    // sender's messages are queued in the order they were written
+    messages.sort((a, b) => a.timestamp - b.timestamp);
+
+    return { messages, statuses };
+}
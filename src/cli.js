@@ -0,0 +1,170 @@
+/**
+ * Local CLI - Talk to the bot from your terminal
+ *
+ * Usage: npm run cli
+ *
+ * Everything you type goes to the bot as a message from a console user.
+ * Lines starting with / control the simulation (type /help).
+ *
+ * Uses LOCAL_MONGODB_URI if set, otherwise an in-memory MongoDB.
+ * Outgoing messages on every channel are printed here, never sent.
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import readline from "node:readline";
+import { connectDB, connectMemoryDB, disconnectDB } from "./config/db.js";
+import { registerChannel } from "./channels/index.js";
+import * as consoleChannel from "./channels/console.js";
+import { handleMessage } from "./services/messageHandler.js";
+import { getUserData } from "./services/storage.js";
+import {
+    sendMorningReminder,
+    sendEveningReminder,
+    sendMiddayReminder,
+    sendLastCallReminder,
+    sendWeeklySummaries,
+    sendTeamDigests,
+    checkAndSendReminders
+} from "./services/scheduler.js";
+import { setClock, advanceClock, resetClock } from "./utils/clock.js";
+import { getTodayDate, getCurrentTime, getZonedDate, parseTime } from "./utils/helpers.js";
+
+const HELP = `Anything you type is sent to the bot. Commands:
+
+  /user <id>                 Switch to another console user (default: me)
+  /time                      Show the simulated time
+  /time <HH:MM>              Set the time today, in the user's timezone
+  /time <YYYY-MM-DD> <HH:MM> Set date and time, in the user's timezone
+  /time reset                Back to real time
+  /advance <n>m|h|d          Move the clock forward
+  /tick                      Run the every-minute reminder check now
+  /morning                   Send this user the morning reminder
+  /evening                   Send this user the evening reminder
+  /midday                    Send this user the midday ping
+  /lastcall                  Send this user the last call
+  /weekly                    Send everyone the weekly summary and team digests
+  /quit                      Exit`;
+
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+let address = { channel: consoleChannel.name, id: "me" };
+
+// Nothing leaves this machine - every channel prints to the terminal
+registerChannel(consoleChannel);
+registerChannel({ ...consoleChannel, name: "whatsapp" });
+registerChannel({ ...consoleChannel, name: "telegram" });
+
+async function showClock() {
+    const { timezone } = await getUserData(address);
+    console.log(`🕐 ${getTodayDate(timezone)} ${getCurrentTime(timezone)} (${timezone})`);
+}
+
+async function runCommand(line) {
+    const [command, ...args] = line.slice(1).trim().split(/\s+/);
+
+    switch (command.toLowerCase()) {
+        case "user":
+            address = { channel: consoleChannel.name, id: args[0] || "me" };
+            console.log(`👤 Now talking as ${address.id}`);
+            break;
+
+        case "time": {
+            if (args[0] === "reset") {
+                resetClock();
+            } else if (args.length > 0) {
+                const { timezone } = await getUserData(address);
+                const date = args.length > 1 ? args[0] : getTodayDate(timezone);
+                const time = parseTime(args[args.length - 1]);
+                if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || !time) {
+                    console.log("Try: /time 20:00 or /time 2026-10-19 08:00");
+                    return;
+                }
+                setClock(getZonedDate(date, time, timezone));
+            }
+            await showClock();
+            break;
+        }
+
+        case "advance": {
+            const match = args[0]?.match(/^(\d+)([mhd])$/);
+            if (!match) {
+                console.log("Try: /advance 30m, /advance 2h or /advance 1d");
+                return;
+            }
+            advanceClock(Number(match[1]) * DURATION_UNITS[match[2]]);
+            await showClock();
+            break;
+        }
+
+        case "tick":
+            await checkAndSendReminders();
+            break;
+
+        case "morning":
+            await sendMorningReminder(await getUserData(address));
+            break;
+
+        case "evening":
+            await sendEveningReminder(await getUserData(address));
+            break;
+
+        case "midday":
+            await sendMiddayReminder(await getUserData(address));
+            break;
+
+        case "lastcall":
+            await sendLastCallReminder(await getUserData(address));
+            break;
+
+        case "weekly":
+            await sendWeeklySummaries({ force: true });
+            await sendTeamDigests();
+            break;
+
+        case "help":
+            console.log(HELP);
+            break;
+
+        default:
+            console.log(`Unknown command /${command} - type /help`);
+    }
+}
+
+async function startCli() {
+    const stopDB = process.env.LOCAL_MONGODB_URI
+        ? (await connectDB(process.env.LOCAL_MONGODB_URI), disconnectDB)
+        : await connectMemoryDB();
+
+    console.log(`\n🤖 Daily Accountability Bot - local mode\n\n${HELP}\n`);
+
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, prompt: "you> " });
+    rl.prompt();
+
+    for await (const line of rl) {
+        const input = line.trim();
+
+        if (input === "/quit" || input === "/exit") break;
+
+        try {
+            if (input.startsWith("/")) {
+                await runCommand(input);
+            } else if (input) {
+                await handleMessage(address, input);
+            }
+        } catch (error) {
+            console.error("[CLI]", error);
+        }
+
+        rl.prompt();
+    }
+
+    rl.close();
+    await stopDB();
+}
+
+startCli().catch(error => {
+    console.error("[CLI] Failed to start:", error);
+    process.exit(1);
+});
@@ -7,10 +7,10 @@ import mongoose from 'mongoose';
 
 /**
  * Connect to MongoDB
- * Uses MONGODB_URI from environment variables
+ * Uses MONGODB_URI from environment variables unless a URI is given
+ * @param {string} [uri] - Connection string
  */
-export async function connectDB() {
-    const uri = process.env.MONGODB_URI;
+export async function connectDB(uri = process.env.MONGODB_URI) {
 
     if (!uri) {
         console.error('[Database] MONGODB_URI not set in environment variables');
@@ -26,6 +26,24 @@ export async function connectDB() {
     }
 }
 
+/**
+ * Start an in-memory MongoDB and connect to it
+ * For offline development and tests (needs the mongodb-memory-server dev dependency)
+ * @returns {Function} Disconnects and shuts the server down
+ */
+export async function connectMemoryDB() {
+    const { MongoMemoryServer } = await import('mongodb-memory-server');
+    const server = await MongoMemoryServer.create();
+
+    await mongoose.connect(server.getUri());
+    console.log('[Database] Connected to in-memory MongoDB');
+
+    return async () => {
+        await mongoose.disconnect();
+        await server.stop();
+    };
+}
+
 /**
  * Disconnect from MongoDB
  */
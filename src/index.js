@@ -1,8 +1,8 @@
 /**
  * Daily Accountability Bot - Main Entry Point
  * 
- * A WhatsApp-based bot that helps track daily programming consistency.
- * Built with Express, WhatsApp Cloud API, MongoDB, and node-cron.
+ * A WhatsApp/Telegram bot that helps track daily programming consistency.
+ * Built with Express, WhatsApp Cloud API, Telegram Bot API, MongoDB, and node-cron.
  * 
  * Features:
  * - Daily check-in (yes/no)
@@ -16,8 +16,11 @@ dotenv.config();
 
 import express from "express";
 import { connectDB } from "./config/db.js";
-import { handleMessage } from "./services/messageHandler.js";
+import { enqueueMessage, enqueueStatus } from "./services/messageQueue.js";
+import { getChannel } from "./channels/index.js";
 import { initScheduler } from "./services/scheduler.js";
+import { createAdminRouter } from "./admin/router.js";
+import { getDownload } from "./services/export.js";
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -27,7 +30,12 @@ const VERIFY_TOKEN = process.env.VERIFY_TOKEN || "WHATSAPP_TOKEN";
 
 // ==================== MIDDLEWARE ====================
 
-app.use(express.json());
+// Keep the raw body - webhook signatures are computed over the exact bytes
+app.use(express.json({
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 
 // ==================== ROUTES ====================
 
@@ -57,44 +65,76 @@ app.get("/webhook", (req, res) => {
 });
 
 /**
- * Webhook message receiver (POST)
- * Receives incoming WhatsApp messages from Meta
+ * Receive a webhook from a channel and queue every message and status in it
+ * @param {string} channelName - Channel the webhook belongs to
  */
-app.post("/webhook", async (req, res) => {
-    try {
-        // Extract message from webhook payload
-        const entry = req.body.entry?.[0];
-        const changes = entry?.changes?.[0];
-        const value = changes?.value;
-
-        // Check if this is a message event (not a status update)
-        const messages = value?.messages;
+function receiveFrom(channelName) {
+    const channel = getChannel(channelName);
+
+    return (req, res) => {
+        const verification = channel.verifyRequest?.(req) ?? { valid: true };
+        if (!verification.valid) {
+            // One JSON line with a fixed event name, so log alerts can match on it
+            console.error("[Security]", JSON.stringify({
+                event: "webhook_verification_failed",
+                channel: channelName,
+                reason: verification.reason,
+                ip: req.ip
+            }));
+            return res.sendStatus(401);
+        }
 
-        if (messages && messages.length > 0) {
-            const message = messages[0];
+        // Acknowledge right away - processing happens in the message queue,
+        // so slow handlers (AI replies) can't trigger a redelivery
+        res.sendStatus(200);
 
-            // Only handle text messages
-            if (message.type === "text" && message.text?.body) {
-                const from = message.from;
-                const text = message.text.body;
+        try {
+            const { messages, statuses } = channel.parseWebhook(req.body);
 
-                console.log(`[Message] From: ${from} | Text: "${text}"`);
+            for (const message of messages) {
+                enqueueMessage(channelName, message);
+            }
 
-                // Process the message through our handler
-                await handleMessage(from, text);
+            for (const status of statuses) {
+                enqueueStatus(channelName, status);
             }
+        } catch (error) {
+            console.error(`[Webhook] Error parsing ${channelName} webhook:`, error);
         }
+    };
+}
 
-        // Always respond with 200 to acknowledge receipt
-        res.sendStatus(200);
+/**
+ * Webhook message receiver (POST)
+ * Receives incoming WhatsApp messages from Meta
+ */
+app.post("/webhook", receiveFrom("whatsapp"));
 
-    } catch (error) {
-        console.error("[Webhook] Error processing message:", error);
-        // Still return 200 to prevent Meta from retrying
-        res.sendStatus(200);
+/**
+ * Telegram webhook receiver (POST)
+ * Register with setWebhook: https://your-url/telegram/webhook
+ */
+app.post("/telegram/webhook", receiveFrom("telegram"));
+
+/**
+ * Data export download (GET)
+ * Time-limited links handed out by the "export ... link" command
+ */
+app.get("/export/:token", async (req, res) => {
+    const file = await getDownload(req.params.token);
+    if (!file) {
+        return res.status(404).send("This download link has expired. Send \"export\" to the bot for a new one.");
     }
+
+    res.attachment(file.filename).type(file.mimeType).send(file.content);
 });
 
+/**
+ * Admin API and dashboard
+ * Only exists when ADMIN_TOKEN or ADMIN_USER/ADMIN_PASSWORD are set
+ */
+app.use("/admin", createAdminRouter());
+
 // ==================== START SERVER ====================
 
 async function startServer() {
@@ -109,7 +149,7 @@ async function startServer() {
 ║   🤖 Daily Accountability Bot Started    ║
 ╠══════════════════════════════════════════╣
 ║   Port: ${PORT}                              ║
-║   Webhook: /webhook                      ║
+║   Webhooks: /webhook, /telegram/webhook  ║
 ║   Database: MongoDB Connected            ║
 ╚══════════════════════════════════════════╝
             `);
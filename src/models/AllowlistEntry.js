@@ -0,0 +1,20 @@
+/**
+ * AllowlistEntry Model - Addresses admins have let in without an invite
+ * (numbers in the ALLOWED_PHONES env var are allowed too)
+ */
+
+import mongoose from 'mongoose';
+
+const allowlistEntrySchema = new mongoose.Schema({
+    channel: { type: String, required: true },
+    channelId: { type: String, required: true },
+    addedBy: { type: String, default: null }       // channel:id of the admin
+}, {
+    timestamps: true
+});
+
+allowlistEntrySchema.index({ channel: 1, channelId: 1 }, { unique: true });
+
+const AllowlistEntry = mongoose.model('AllowlistEntry', allowlistEntrySchema);
+
+export default AllowlistEntry;
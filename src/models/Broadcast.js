@@ -0,0 +1,41 @@
+/**
+ * Broadcast Model - An announcement sent to many users, with a line per recipient
+ *
+ * Each recipient starts 'pending' and becomes 'sent' or 'failed' as the
+ * broadcast goes out. Later delivery (delivered/read) comes from the
+ * OutboundMessage with the same messageId.
+ */
+
+import mongoose from 'mongoose';
+
+// all: every onboarded user; no_streak: current streak of 0; timezone: one timezone
+export const BROADCAST_SEGMENTS = ['all', 'no_streak', 'timezone'];
+
+const recipientSchema = new mongoose.Schema({
+    channel: { type: String, required: true },
+    channelId: { type: String, required: true },
+    name: { type: String, default: null },
+    status: { type: String, enum: ['pending', 'sent', 'failed'], default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    messageId: { type: String, default: null },
+    error: { type: String, default: null }
+}, { _id: false });
+
+const broadcastSchema = new mongoose.Schema({
+    message: { type: String, required: true },
+    segment: {
+        type: { type: String, enum: BROADCAST_SEGMENTS, default: 'all' },
+        timezone: { type: String, default: null }
+    },
+    createdBy: { type: String, default: null },      // "whatsapp:233..." or "admin-api"
+    recipients: { type: [recipientSchema], default: [] },
+    sent: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    finishedAt: { type: Date, default: null }
+}, {
+    timestamps: true
+});
+
+const Broadcast = mongoose.model('Broadcast', broadcastSchema);
+
+export default Broadcast;
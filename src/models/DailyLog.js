@@ -0,0 +1,61 @@
+/**
+ * DailyLog Model - One document per user per day
+ * Kept out of the User document so history can grow without limit
+ */
+
+import mongoose from 'mongoose';
+
+// Unfinished plans from up to CARRY_OVER_DAYS ago are offered again in the morning,
+// and a plan carried over SLIPPING_AFTER times or more is called out as slipping
+export const CARRY_OVER_DAYS = 3;
+export const SLIPPING_AFTER = 2;
+
+const dailyLogSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    date: { type: String, required: true },           // YYYY-MM-DD in the user's timezone
+
+    // Morning
+    morningMood: { type: String, default: null },     // How they felt in morning
+    todaysPlan: { type: String, default: null },       // What they plan to do
+    planItems: [{                                      // The plan as a checklist (one item for a single goal)
+        text: String,
+        done: { type: Boolean, default: null }
+    }],
+
+    // Evening
+    eveningMood: { type: String, default: null },      // How they feel in evening
+    carriedOver: { type: Number, default: 0 },         // Days this plan has been carried over
+    planOutcome: { type: String, enum: ['done', 'partial', 'not_done', null], default: null },  // Did the plan happen?
+    coded: { type: Boolean, default: null },           // Did they code at all?
+    whatDone: { type: String, default: null },         // What they actually did
+    whyNot: { type: String, default: null },           // If no, why not
+    learning: { type: String, default: null },         // What they learned
+
+    // Numbers (all optional)
+    minutesSpent: { type: Number, default: null },     // Time spent on it
+    commits: { type: Number, default: null },
+    problemsSolved: { type: Number, default: null },
+
+    // Rest day - 'planned' (marked ahead of time) or 'freeze' (spent a freeze)
+    rest: { type: String, enum: ['planned', 'freeze', null], default: null },
+
+    // Voice notes and screenshots sent as reflections (files live in GridFS)
+    attachments: [{
+        kind: { type: String, enum: ['audio', 'image'] },
+        field: { type: String, enum: ['whatDone', 'learning', 'whyNot'] },
+        fileId: mongoose.Schema.Types.ObjectId,  // media.files
+        mimeType: String,
+        caption: { type: String, default: null },
+        transcript: { type: String, default: null },
+        createdAt: { type: Date, default: Date.now }
+    }],
+
+    timestamp: { type: Date, default: Date.now }
+});
+
+dailyLogSchema.index({ user: 1, date: 1 }, { unique: true });
+dailyLogSchema.index({ date: 1, coded: 1 });   // Who has logged on a given day
+
+const DailyLog = mongoose.model('DailyLog', dailyLogSchema);
+
+export default DailyLog;
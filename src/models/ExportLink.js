@@ -0,0 +1,19 @@
+/**
+ * ExportLink Model - A download link for someone's data export
+ *
+ * The token in the URL is the only key, so it's long and random. The file
+ * is built when the link is opened; MongoDB deletes the link once it expires.
+ */
+
+import mongoose from 'mongoose';
+
+const exportLinkSchema = new mongoose.Schema({
+    token: { type: String, required: true, unique: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    format: { type: String, required: true },         // See EXPORT_FORMATS
+    expiresAt: { type: Date, required: true, expires: 0 }
+});
+
+const ExportLink = mongoose.model('ExportLink', exportLinkSchema);
+
+export default ExportLink;
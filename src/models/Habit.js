@@ -0,0 +1,42 @@
+/**
+ * Habit Model - Something else a user checks in on, besides coding
+ *
+ * Coding is every user's default habit and keeps living on User and
+ * DailyLog. Extra habits (reading, LeetCode, exercise, ...) live here,
+ * with one HabitLog per day.
+ */
+
+import mongoose from 'mongoose';
+
+export const MAX_HABITS = 5;
+
+const habitSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, default: null },
+
+    // Yes/no, or a number to hit each day (e.g. 20 pages)
+    kind: { type: String, enum: ['yesno', 'numeric'], default: 'yesno' },
+    target: { type: Number, default: null },
+    unit: { type: String, default: null },
+
+    // Schedule
+    days: { type: [String], default: [] },             // Weekdays to check in (empty = every day)
+    reminderTime: { type: String, default: null },     // HH:MM in the user's timezone
+    lastReminder: { type: String, default: null },
+
+    status: { type: String, enum: ['draft', 'active', 'removed'], default: 'draft' },
+
+    // Stats (cache - worked out from HabitLog)
+    currentStreak: { type: Number, default: 0 },
+    longestStreak: { type: Number, default: 0 },
+    totalDaysDone: { type: Number, default: 0 }
+}, {
+    timestamps: true
+});
+
+habitSchema.index({ user: 1, status: 1 });
+habitSchema.index({ status: 1, reminderTime: 1 });
+
+const Habit = mongoose.model('Habit', habitSchema);
+
+export default Habit;
@@ -0,0 +1,23 @@
+/**
+ * HabitLog Model - One document per habit per day
+ */
+
+import mongoose from 'mongoose';
+
+const habitLogSchema = new mongoose.Schema({
+    habit: { type: mongoose.Schema.Types.ObjectId, ref: 'Habit', required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    date: { type: String, required: true },            // YYYY-MM-DD in the user's timezone
+
+    done: { type: Boolean, default: null },            // Hit the habit (or its target)?
+    value: { type: Number, default: null },            // Numeric habits: how much
+
+    timestamp: { type: Date, default: Date.now }
+});
+
+habitLogSchema.index({ habit: 1, date: 1 }, { unique: true });
+habitLogSchema.index({ date: 1, habit: 1 });   // Who has checked in on a given day
+
+const HabitLog = mongoose.model('HabitLog', habitLogSchema);
+
+export default HabitLog;
@@ -0,0 +1,19 @@
+/**
+ * Invite Model - Codes that let new people join an invite-only bot
+ */
+
+import mongoose from 'mongoose';
+
+const inviteSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true },
+    maxUses: { type: Number, default: 1 },
+    uses: { type: Number, default: 0 },
+    active: { type: Boolean, default: true },      // false once cancelled by an admin
+    createdBy: { type: String, default: null }     // channel:id of the admin
+}, {
+    timestamps: true
+});
+
+const Invite = mongoose.model('Invite', inviteSchema);
+
+export default Invite;
@@ -0,0 +1,32 @@
+/**
+ * OutboundMessage Model - Messages we sent and want delivery state for
+ * (reminders today). Updated from the provider's status webhooks.
+ */
+
+import mongoose from 'mongoose';
+
+export const DELIVERY_STATUSES = ['sent', 'delivered', 'read'];
+
+const outboundMessageSchema = new mongoose.Schema({
+    channel: { type: String, required: true },
+    channelId: { type: String, required: true },     // Recipient
+    messageId: { type: String, required: true },     // Provider's ID for the message (Telegram's are only unique per chat)
+    kind: { type: String, required: true },          // 'morning_reminder', 'evening_reminder', ...
+    date: { type: String, default: null },           // User's local date it was for
+
+    status: { type: String, default: 'accepted' },   // accepted, sent, delivered, read or failed
+    sentAt: { type: Date, default: null },
+    deliveredAt: { type: Date, default: null },
+    readAt: { type: Date, default: null },
+    failedAt: { type: Date, default: null },
+    error: { type: String, default: null }
+}, {
+    timestamps: true
+});
+
+outboundMessageSchema.index({ channel: 1, channelId: 1, messageId: 1 }, { unique: true });
+outboundMessageSchema.index({ channel: 1, channelId: 1, kind: 1, date: 1 });
+
+const OutboundMessage = mongoose.model('OutboundMessage', outboundMessageSchema);
+
+export default OutboundMessage;
@@ -0,0 +1,19 @@
+/**
+ * ProcessedMessage Model - Incoming message IDs we've already handled
+ * Providers retry webhooks, so the same message can arrive more than once.
+ * Entries expire after a week, longer than Meta keeps retrying.
+ */
+
+import mongoose from 'mongoose';
+
+const processedMessageSchema = new mongoose.Schema({
+    channel: { type: String, required: true },
+    messageId: { type: String, required: true },
+    createdAt: { type: Date, default: Date.now, expires: 60 * 60 * 24 * 7 }
+});
+
+processedMessageSchema.index({ channel: 1, messageId: 1 }, { unique: true });
+
+const ProcessedMessage = mongoose.model('ProcessedMessage', processedMessageSchema);
+
+export default ProcessedMessage;
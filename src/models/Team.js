@@ -0,0 +1,23 @@
+/**
+ * Team Model - Accountability partners (a pair is a team of two)
+ *
+ * People join with the team's code. Members see each other's streaks
+ * and hear when a teammate checks in, misses a day, or goes quiet.
+ */
+
+import mongoose from 'mongoose';
+
+export const MAX_TEAM_SIZE = 8;
+
+const teamSchema = new mongoose.Schema({
+    name: { type: String, required: true },
+    code: { type: String, required: true, unique: true },   // Join code
+    // Members are the users whose User.team points here
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+}, {
+    timestamps: true
+});
+
+const Team = mongoose.model('Team', teamSchema);
+
+export default Team;
@@ -3,33 +3,41 @@
  */
 
 import mongoose from 'mongoose';
+import { now } from '../utils/clock.js';
 
-const dailyLogSchema = new mongoose.Schema({
-    date: { type: String, required: true },
+export const DEFAULT_TIMEZONE = 'Africa/Accra';
 
-    // Morning
-    morningMood: { type: String, default: null },     // How they felt in morning
-    todaysPlan: { type: String, default: null },       // What they plan to do
+// Streak freezes: one is earned for every FREEZE_STREAK_INTERVAL days in a row,
+// and at most MAX_BANKED_FREEZES can be saved up
+export const FREEZE_STREAK_INTERVAL = 7;
+export const MAX_BANKED_FREEZES = 2;
 
-    // Evening
-    eveningMood: { type: String, default: null },      // How they feel in evening
-    coded: { type: Boolean, default: null },           // Did they code?
-    whatDone: { type: String, default: null },         // What they actually did
-    whyNot: { type: String, default: null },           // If no, why not
-    learning: { type: String, default: null },         // What they learned
+// Reminder slots. morning and evening follow morningReminderTime and
+// eveningReminderTime; midday and last_call are optional extras.
+export const REMINDER_TYPES = ['morning', 'midday', 'evening', 'last_call'];
+export const DEFAULT_MIDDAY_TIME = '13:00';
+export const LAST_CALL_TIME = '23:00';   // An hour before the day ends
 
-    timestamp: { type: Date, default: Date.now }
-});
+// A conversation counts as in progress for this long after its state last
+// changed - reminders don't cut into it (see scheduler.js)
+export const CONVERSATION_IDLE_MINUTES = 30;
+
+const reminderSlotSchema = new mongoose.Schema({
+    type: { type: String, enum: REMINDER_TYPES, required: true },
+    time: { type: String, required: true },         // HH:MM in the user's timezone
+    lastSent: { type: String, default: null }       // Date it last went out - each slot is sent once a day
+}, { _id: false });
 
 const userSchema = new mongoose.Schema({
-    phone: {
-        type: String,
-        required: true,
-        unique: true,
-        index: true
-    },
+    // Where the user talks to us - see src/channels
+    channel: { type: String, required: true, default: 'whatsapp' },
+    channelId: { type: String, required: true },      // Phone number, Telegram chat ID, ...
     name: { type: String, default: null },
 
+    // Access control
+    accessRevoked: { type: Boolean, default: false },   // Blocked by an admin
+    invitedWith: { type: String, default: null },       // Invite code used to join
+
     // Onboarding
     onboardingComplete: { type: Boolean, default: false },
     onboardingStep: { type: String, default: 'welcome' },
@@ -37,30 +45,70 @@ const userSchema = new mongoose.Schema({
     // Reminder times
     morningReminderTime: { type: String, default: '08:00' },
     eveningReminderTime: { type: String, default: '20:00' },
-    timezone: { type: String, default: 'Africa/Accra' },
+    // IANA name, drives all date/time logic. Older records may have null - read as the default
+    timezone: { type: String, default: DEFAULT_TIMEZONE, get: timezone => timezone || DEFAULT_TIMEZONE },
 
-    // Tracking reminders
-    lastMorningReminder: { type: String, default: null },
-    lastEveningReminder: { type: String, default: null },
+    remindersPaused: { type: Boolean, default: false },  // Skip reminders, keep history
+
+    // When reminders go out - see REMINDER_TYPES
+    reminders: {
+        type: [reminderSlotSchema],
+        default: () => [{ type: 'morning', time: '08:00' }, { type: 'evening', time: '20:00' }]
+    },
 
     // Conversation state - tracks the flow
     conversationState: { type: String, default: null },
     // States: 
-    // Morning: 'morning_mood', 'morning_plan'
-    // Evening: 'evening_mood', 'evening_check', 'why_not', 'what_done', 'what_learned'
+    // Morning: 'morning_mood', 'plan_carry', 'morning_plan'
+    // Evening: 'evening_mood', 'evening_check', 'why_not', 'what_done', 'plan_outcome', 'time_spent', 'what_metrics', 'what_learned'
+    // Settings: 'settings_menu', 'settings_name', 'settings_morning', 'settings_evening', 'settings_timezone', 'settings_leaderboard'
+    // Habits: 'habit_name', 'habit_target', 'habit_days', 'habit_time', 'habit_check'
     // null = awaiting nothing
+    conversationUpdatedAt: { type: Date, default: null },   // When conversationState last changed
+    editingDate: { type: String, default: null },     // Past day the evening flow is filling in (null = today)
+    activeHabit: { type: mongoose.Schema.Types.ObjectId, ref: 'Habit', default: null },  // Habit being set up or checked in on
 
     // Stats
     lastResponseDate: { type: String, default: null },
     currentStreak: { type: Number, default: 0 },
     longestStreak: { type: Number, default: 0 },
     totalDaysCoded: { type: Number, default: 0 },
-    dailyLog: [dailyLogSchema],
+    // Daily logs live in their own collection (see DailyLog.js)
+
+    // Rest days - never break a streak
+    restDays: { type: [String], default: [] },        // Recurring rest weekdays, e.g. ['Sun']
+    freezesAvailable: { type: Number, default: 0 },   // Earned streak freezes not yet spent
+
+    // Accountability partners - see Team.js
+    team: { type: mongoose.Schema.Types.ObjectId, ref: 'Team', default: null },
+    // How they appear on leaderboards and team digests - names are opt-in
+    leaderboard: { type: String, enum: ['named', 'anonymous', 'hidden'], default: 'anonymous' },
 
 }, {
     timestamps: true
 });
 
+userSchema.index({ channel: 1, channelId: 1 }, { unique: true });
+userSchema.index({ team: 1 });
+
+// Keep the morning and evening slots on the times the user chose
+userSchema.pre('validate', function () {
+    for (const [type, time] of [['morning', this.morningReminderTime], ['evening', this.eveningReminderTime]]) {
+        const slot = this.reminders.find(reminder => reminder.type === type);
+        if (!slot) {
+            this.reminders.push({ type, time });
+        } else if (slot.time !== time) {
+            slot.time = time;
+        }
+    }
+});
+
+userSchema.pre('validate', function () {
+    if (this.isModified('conversationState')) {
+        this.conversationUpdatedAt = now();
+    }
+});
+
 const User = mongoose.model('User', userSchema);
 
 export default User;
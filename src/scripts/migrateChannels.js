@@ -0,0 +1,41 @@
+/**
+ * Migration - Key users by (channel, channelId) instead of phone
+ *
+ * Usage: npm run migrate:channels
+ *
+ * Existing users are all WhatsApp users: their phone becomes the
+ * channelId. The old unique phone index is dropped so users on other
+ * channels (who have no phone) can be created. Safe to re-run.
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { connectDB, disconnectDB } from '../config/db.js';
+import User from '../models/User.js';
+
+async function migrateChannels() {
+    await connectDB();
+
+    const result = await User.collection.updateMany(
+        { phone: { $exists: true }, channelId: { $exists: false } },
+        [{ $set: { channel: 'whatsapp', channelId: '$phone' } }, { $unset: 'phone' }]
+    );
+    console.log(`[Migrate] ${result.modifiedCount} users moved to channel keys`);
+
+    const indexes = await User.collection.indexes();
+    if (indexes.some(index => index.name === 'phone_1')) {
+        await User.collection.dropIndex('phone_1');
+        console.log('[Migrate] Dropped phone_1 index');
+    }
+
+    await User.syncIndexes();
+    console.log('[Migrate] Done');
+}
+
+migrateChannels()
+    .catch(error => {
+        console.error('[Migrate] Failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => disconnectDB());
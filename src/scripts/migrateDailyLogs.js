@@ -0,0 +1,61 @@
+/**
+ * Migration - Move embedded User.dailyLog entries into the DailyLog collection
+ *
+ * Usage: npm run migrate:daily-logs
+ *
+ * Safe to re-run: logs are upserted on (user, date) without overwriting
+ * anything already migrated, and the embedded array is only removed from
+ * a user once their logs have been copied.
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { connectDB, disconnectDB } from '../config/db.js';
+import User from '../models/User.js';
+import DailyLog from '../models/DailyLog.js';
+
+async function migrateDailyLogs() {
+    await connectDB();
+
+    // Read raw documents - dailyLog is no longer part of the User schema
+    const cursor = User.collection.find(
+        { 'dailyLog.0': { $exists: true } },
+        { projection: { channel: 1, channelId: 1, phone: 1, dailyLog: 1 } }
+    );
+
+    let usersMigrated = 0;
+    let logsMigrated = 0;
+
+    for await (const doc of cursor) {
+        const operations = doc.dailyLog
+            .filter(log => log.date)
+            .map(({ _id, date, ...fields }) => ({
+                updateOne: {
+                    filter: { user: doc._id, date },
+                    update: { $setOnInsert: fields },
+                    upsert: true
+                }
+            }));
+
+        if (operations.length > 0) {
+            const result = await DailyLog.bulkWrite(operations, { ordered: false });
+            logsMigrated += result.upsertedCount;
+        }
+
+        await User.collection.updateOne({ _id: doc._id }, { $unset: { dailyLog: '' } });
+        usersMigrated++;
+        // Users still keyed by phone haven't been through migrate:channels yet
+        const who = doc.channelId ? `${doc.channel}:${doc.channelId}` : doc.phone;
+        console.log(`[Migrate] ${who}: ${operations.length} logs`);
+    }
+
+    console.log(`[Migrate] Done - ${logsMigrated} logs moved for ${usersMigrated} users`);
+}
+
+migrateDailyLogs()
+    .catch(error => {
+        console.error('[Migrate] Failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => disconnectDB());
@@ -0,0 +1,30 @@
+/**
+ * Migration - Key sent-message records by recipient as well as message ID
+ *
+ * Usage: npm run migrate:outbound-messages
+ *
+ * Telegram message IDs are only unique within one chat, so the old unique
+ * (channel, messageId) index rejected the second user to get the same ID.
+ * It is replaced by (channel, channelId, messageId). Safe to re-run.
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { connectDB, disconnectDB } from '../config/db.js';
+import OutboundMessage from '../models/OutboundMessage.js';
+
+async function migrateOutboundMessages() {
+    await connectDB();
+
+    const dropped = await OutboundMessage.syncIndexes();
+    console.log(`[Migrate] Dropped ${dropped.length ? dropped.join(', ') : 'no'} old indexes`);
+    console.log('[Migrate] Done');
+}
+
+migrateOutboundMessages()
+    .catch(error => {
+        console.error('[Migrate] Failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => disconnectDB());
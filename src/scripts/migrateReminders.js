@@ -0,0 +1,51 @@
+/**
+ * Migration - Move reminder tracking into per-user reminder slots
+ *
+ * Usage: npm run migrate:reminders
+ *
+ * lastMorningReminder / lastEveningReminder become the lastSent of the
+ * morning and evening slots, which take their times from
+ * morningReminderTime / eveningReminderTime. Safe to re-run.
+ */
+
+import dotenv from 'dotenv';
+dotenv.config();
+
+import { connectDB, disconnectDB } from '../config/db.js';
+import User from '../models/User.js';
+
+async function migrateReminders() {
+    await connectDB();
+
+    const result = await User.collection.updateMany(
+        { reminders: { $exists: false } },
+        [
+            {
+                $set: {
+                    reminders: [
+                        {
+                            type: 'morning',
+                            time: { $ifNull: ['$morningReminderTime', '08:00'] },
+                            lastSent: { $ifNull: ['$lastMorningReminder', null] }
+                        },
+                        {
+                            type: 'evening',
+                            time: { $ifNull: ['$eveningReminderTime', '20:00'] },
+                            lastSent: { $ifNull: ['$lastEveningReminder', null] }
+                        }
+                    ]
+                }
+            },
+            { $unset: ['lastMorningReminder', 'lastEveningReminder'] }
+        ]
+    );
+    console.log(`[Migrate] ${result.modifiedCount} users moved to reminder slots`);
+    console.log('[Migrate] Done');
+}
+
+migrateReminders()
+    .catch(error => {
+        console.error('[Migrate] Failed:', error);
+        process.exitCode = 1;
+    })
+    .finally(() => disconnectDB());
@@ -0,0 +1,108 @@
+/**
+ * Access Control - Who may use the bot
+ *
+ * Off by default. Turned on by INVITE_ONLY=true or by listing numbers in
+ * ALLOWED_PHONES (ALLOWED_PHONE is still read for older deployments).
+ * When on, a new sender gets in if they:
+ * - are on the allowlist (env or added by an admin)
+ * - are an admin
+ * - send a valid invite code as their first message
+ *
+ * Anyone else gets a polite rejection and no database record.
+ * Users revoked by an admin are blocked whether or not access control is on.
+ *
+ * Admins are listed in ADMINS as channel:id (a bare number means WhatsApp).
+ */
+
+import crypto from 'node:crypto';
+import { parseAddress, formatAddress } from '../channels/index.js';
+import { findUserData, isOnAllowlist, redeemInvite } from './storage.js';
+
+// No 0/O or 1/I - codes get read out and typed by hand
+const INVITE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const INVITE_LENGTH = 6;
+
+/**
+ * Parse a comma-separated list of addresses from an env var
+ */
+function addressesFromEnv(value) {
+    return (value || '')
+        .split(',')
+        .map(parseAddress)
+        .filter(Boolean)
+        .map(formatAddress);
+}
+
+function sameAddressIn(list, address) {
+    return list.includes(formatAddress(address));
+}
+
+/**
+ * Whether new senders need an invite or allowlist entry
+ */
+export function isAccessControlled() {
+    return process.env.INVITE_ONLY === 'true'
+        || addressesFromEnv(process.env.ALLOWED_PHONES || process.env.ALLOWED_PHONE).length > 0;
+}
+
+/**
+ * Whether an address belongs to an admin
+ * @param {Object} address - { channel, id }
+ */
+export function isAdmin(address) {
+    return sameAddressIn(addressesFromEnv(process.env.ADMINS), address);
+}
+
+/**
+ * Whether an address is on the allowlist (env or database)
+ * @param {Object} address - { channel, id }
+ */
+export async function isAllowlisted(address) {
+    const envList = addressesFromEnv(process.env.ALLOWED_PHONES || process.env.ALLOWED_PHONE);
+    return sameAddressIn(envList, address) || await isOnAllowlist(address);
+}
+
+/**
+ * Generate a random invite code
+ * @returns {string} e.g. "K7QM2X"
+ */
+export function generateInviteCode() {
+    const bytes = crypto.randomBytes(INVITE_LENGTH);
+    return Array.from(bytes, byte => INVITE_ALPHABET[byte % INVITE_ALPHABET.length]).join('');
+}
+
+/**
+ * Pull an invite code out of a message ("K7QM2X", "code k7qm2x", ...)
+ * @returns {string|null} Uppercase code
+ */
+function extractInviteCode(text) {
+    const match = text.trim().match(/^(?:(?:invite|code)\s*:?\s*)?([a-z0-9]{4,12})$/i);
+    return match ? match[1].toUpperCase() : null;
+}
+
+/**
+ * Decide whether a sender may talk to the bot
+ * A valid invite code is redeemed here, so only call this once per message.
+ * @param {Object} address - Sender's { channel, id }
+ * @param {string} text - Message text (may be an invite code)
+ * @returns {Object} { allowed, reason, inviteCode }
+ */
+export async function checkAccess(address, text) {
+    const user = await findUserData(address);
+    if (user) {
+        return user.accessRevoked
+            ? { allowed: false, reason: 'revoked' }
+            : { allowed: true };
+    }
+
+    if (!isAccessControlled() || isAdmin(address) || await isAllowlisted(address)) {
+        return { allowed: true };
+    }
+
+    const code = extractInviteCode(text);
+    if (code && await redeemInvite(code)) {
+        return { allowed: true, inviteCode: code };
+    }
+
+    return { allowed: false, reason: 'not_invited' };
+}
@@ -0,0 +1,248 @@
+/**
+ * Admin Commands - Chat commands for people listed in ADMINS
+ * Every command starts with "admin", e.g. "admin invite 5"
+ */
+
+import { sendMessage, parseAddress, formatAddress } from '../channels/index.js';
+import {
+    setAccessRevoked,
+    addToAllowlist,
+    removeFromAllowlist,
+    createInvite,
+    getActiveInvites,
+    cancelInvite,
+    repairStreakCounters,
+    getRecentBroadcasts
+} from './storage.js';
+import { generateInviteCode } from './access.js';
+import { parseSegment, describeSegment, prepareBroadcast, runBroadcast } from './broadcast.js';
+
+// Most failed recipients listed in the chat report
+const MAX_FAILURES_SHOWN = 10;
+
+const ADMIN_HELP = `🛠️ *Admin Commands*
+
+• *admin invite [uses]* - New invite code (default 1 use)
+• *admin invites* - List open invite codes
+• *admin cancel <code>* - Cancel an invite code
+• *admin allow <number>* - Let someone in without a code
+• *admin revoke <number>* - Block someone (history kept)
+• *admin restore <number>* - Unblock someone
+• *admin repair* - Recompute everyone's streak counters from their logs
+• *admin broadcast <message>* - Message every onboarded user
+• *admin broadcast nostreak <message>* - Only users with no current streak
+• *admin broadcast tz <timezone> <message>* - Only users in one timezone
+• *admin broadcasts* - Latest broadcasts
+
+Numbers can also be written as telegram:<chat id>.`;
+
+/**
+ * Run an admin command
+ * @param {Object} from - Admin's address
+ * @param {string} args - Everything after "admin"
+ */
+export async function handleAdminCommand(from, args) {
+    const [command = '', ...rest] = args.trim().split(/\s+/);
+    const argument = rest.join(' ');
+
+    switch (command.toLowerCase()) {
+        case 'invite':
+            await handleInvite(from, argument);
+            break;
+        case 'invites':
+            await handleListInvites(from);
+            break;
+        case 'cancel':
+            await handleCancelInvite(from, argument);
+            break;
+        case 'allow':
+            await handleAllow(from, argument);
+            break;
+        case 'revoke':
+            await handleRevoke(from, argument);
+            break;
+        case 'restore':
+            await handleRestore(from, argument);
+            break;
+        case 'repair':
+            await handleRepair(from);
+            break;
+        case 'broadcast':
+            // Keep the message's own line breaks and spacing
+            await handleBroadcast(from, args.trim().slice(command.length).trim());
+            break;
+        case 'broadcasts':
+            await handleListBroadcasts(from);
+            break;
+        default:
+            await sendMessage(from, ADMIN_HELP);
+    }
+}
+
+// ========== INVITES ==========
+
+async function handleInvite(from, argument) {
+    const maxUses = argument ? parseInt(argument, 10) : 1;
+    if (!Number.isInteger(maxUses) || maxUses < 1) {
+        await sendMessage(from, `Try: *admin invite* or *admin invite 5*`);
+        return;
+    }
+
+    const code = generateInviteCode();
+    await createInvite(code, maxUses, formatAddress(from));
+    console.log(`[Admin] ${formatAddress(from)} created invite ${code} (${maxUses} uses)`);
+
+    await sendMessage(from, `🎟️ Invite code: *${code}*
+
+Good for ${maxUses} ${maxUses === 1 ? 'person' : 'people'}. New members send it as their first message.`);
+}
+
+async function handleListInvites(from) {
+    const invites = await getActiveInvites();
+    if (!invites.length) {
+        await sendMessage(from, `No open invite codes. Create one with *admin invite*`);
+        return;
+    }
+
+    const lines = invites.map(invite => `• *${invite.code}* - ${invite.uses}/${invite.maxUses} used`);
+    await sendMessage(from, `🎟️ *Open Invites*\n\n${lines.join('\n')}`);
+}
+
+async function handleCancelInvite(from, argument) {
+    const code = argument.trim().toUpperCase();
+    if (!code) {
+        await sendMessage(from, `Try: *admin cancel K7QM2X*`);
+        return;
+    }
+
+    const cancelled = await cancelInvite(code);
+    await sendMessage(from, cancelled
+        ? `Invite *${code}* cancelled ✅`
+        : `No open invite with code *${code}*`);
+}
+
+// ========== ACCESS ==========
+
+async function handleAllow(from, argument) {
+    const address = parseAddress(argument);
+    if (!address?.id) {
+        await sendMessage(from, `Try: *admin allow 233501234567*`);
+        return;
+    }
+
+    await addToAllowlist(address, formatAddress(from));
+    await setAccessRevoked(address, false);
+    console.log(`[Admin] ${formatAddress(from)} allowed ${formatAddress(address)}`);
+
+    await sendMessage(from, `✅ ${formatAddress(address)} can now use the bot`);
+}
+
+async function handleRevoke(from, argument) {
+    const address = parseAddress(argument);
+    if (!address?.id) {
+        await sendMessage(from, `Try: *admin revoke 233501234567*`);
+        return;
+    }
+
+    const wasAllowlisted = await removeFromAllowlist(address);
+    const hadAccount = await setAccessRevoked(address, true);
+    console.log(`[Admin] ${formatAddress(from)} revoked ${formatAddress(address)}`);
+
+    if (!wasAllowlisted && !hadAccount) {
+        await sendMessage(from, `${formatAddress(address)} has no account or allowlist entry. Nothing to revoke.`);
+        return;
+    }
+
+    await sendMessage(from, `🚫 ${formatAddress(address)} can no longer use the bot.
+
+Their history is kept - *admin restore* lets them back in.`);
+}
+
+async function handleRestore(from, argument) {
+    const address = parseAddress(argument);
+    if (!address?.id) {
+        await sendMessage(from, `Try: *admin restore 233501234567*`);
+        return;
+    }
+
+    const hadAccount = await setAccessRevoked(address, false);
+    console.log(`[Admin] ${formatAddress(from)} restored ${formatAddress(address)}`);
+
+    await sendMessage(from, hadAccount
+        ? `✅ ${formatAddress(address)} has access again`
+        : `${formatAddress(address)} has no account. Use *admin allow* to let them in.`);
+}
+
+// ========== MAINTENANCE ==========
+
+async function handleRepair(from) {
+    const { checked, repaired } = await repairStreakCounters();
+    console.log(`[Admin] ${formatAddress(from)} repaired streak counters (${repaired}/${checked} users changed)`);
+
+    await sendMessage(from, `🔧 Checked ${checked} ${checked === 1 ? 'user' : 'users'}, fixed ${repaired}.
+
+Streaks and totals now match the logs.`);
+}
+
+// ========== BROADCASTS ==========
+
+/**
+ * Split "[all|nostreak|tz <timezone>] <message>" into segment and message
+ * @returns {Object} { segment, message } or { error }
+ */
+function parseBroadcast(text) {
+    const byTimezone = text.match(/^(?:tz|timezone)\s+(\S+)\s+([\s\S]+)$/i);
+    if (byTimezone) {
+        const { segment, error } = parseSegment('timezone', byTimezone[1]);
+        return error ? { error } : { segment, message: byTimezone[2] };
+    }
+
+    const named = text.match(/^(all|no[_-]?streak)\s+([\s\S]+)$/i);
+    if (named) {
+        return { segment: parseSegment(named[1]).segment, message: named[2] };
+    }
+
+    return { segment: parseSegment('all').segment, message: text };
+}
+
+async function handleBroadcast(from, text) {
+    const { segment, message, error } = text ? parseBroadcast(text) : { error: 'No message' };
+    if (error) {
+        await sendMessage(from, `${error}
+
+Try: *admin broadcast No check-ins needed over the holiday week 🎄*
+or *admin broadcast nostreak ...* / *admin broadcast tz Africa/Accra ...*`);
+        return;
+    }
+
+    const broadcast = await prepareBroadcast(message, segment, formatAddress(from));
+    if (!broadcast.recipients.length) {
+        await sendMessage(from, `📣 Nobody to send to - no ${describeSegment(segment)}.`);
+        return;
+    }
+
+    await sendMessage(from, `📣 Sending to ${broadcast.recipients.length} ${describeSegment(segment)}... I'll report back when it's done.`);
+    const { recipients, sent, failed, failures } = await runBroadcast(broadcast);
+
+    const failureLines = failures.slice(0, MAX_FAILURES_SHOWN)
+        .map(({ name, address, error }) => `• ${name || 'Someone'} (${formatAddress(address)}) - ${error}`);
+    if (failures.length > MAX_FAILURES_SHOWN) {
+        failureLines.push(`• ...and ${failures.length - MAX_FAILURES_SHOWN} more`);
+    }
+
+    await sendMessage(from, `📣 *Broadcast done*
+
+✅ Sent: ${sent}/${recipients}${failed ? `\n❌ Failed: ${failed}\n\n${failureLines.join('\n')}` : ''}`);
+}
+
+async function handleListBroadcasts(from) {
+    const broadcasts = await getRecentBroadcasts(5);
+    if (!broadcasts.length) {
+        await sendMessage(from, `No broadcasts yet. Send one with *admin broadcast <message>*`);
+        return;
+    }
+
+    const lines = broadcasts.map(broadcast =>
+        `• ${broadcast.createdAt.toISOString().slice(0, 10)} - ${describeSegment(broadcast.segment)}: ${broadcast.sent} sent, ${broadcast.failed} failed${broadcast.finishedAt ? '' : ' (sending)'}\n  _${broadcast.message.substring(0, 60)}_`);
+    await sendMessage(from, `📣 *Latest Broadcasts*\n\n${lines.join('\n')}`);
+}
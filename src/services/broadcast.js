@@ -0,0 +1,179 @@
+/**
+ * Broadcast - Send one announcement to many users
+ *
+ * Used by "admin broadcast" in chat and POST /admin/api/broadcast.
+ * Goes to every onboarded user who isn't blocked, or a segment of them:
+ * - all         everyone
+ * - no_streak   current streak of 0, worked out from their logs (a nudge to restart)
+ * - timezone    users in one timezone
+ *
+ * Messages go out one at a time, BROADCAST_DELAY_MS apart (default 250),
+ * so a big cohort doesn't hit the provider's rate limits. Rate limits and
+ * server errors are retried up to BROADCAST_RETRIES times (default 2) with
+ * a doubling wait; anything else fails that recipient straight away.
+ * Every recipient's outcome is kept on the Broadcast (see getBroadcastReport).
+ */
+
+import { sendMessage, getAddress } from '../channels/index.js';
+import {
+    getBroadcastRecipients,
+    createBroadcast,
+    recordBroadcastResult,
+    finishBroadcast,
+    recordOutboundMessage
+} from './storage.js';
+import { resolveTimezone } from '../utils/helpers.js';
+
+function readSetting(name, fallback) {
+    const value = Number.parseInt(process.env[name], 10);
+    return Number.isInteger(value) && value >= 0 ? value : fallback;
+}
+
+/**
+ * Throttling and retry settings
+ * @returns {Object} { delayMs, retries, retryDelayMs }
+ */
+export function getBroadcastSettings() {
+    return {
+        delayMs: readSetting('BROADCAST_DELAY_MS', 250),
+        retries: readSetting('BROADCAST_RETRIES', 2),
+        retryDelayMs: readSetting('BROADCAST_RETRY_DELAY_MS', 2000)
+    };
+}
+
+/**
+ * Work out a segment from its name
+ * @param {string} [type] - 'all', 'no_streak' (or 'nostreak') or 'timezone' (or 'tz')
+ * @param {string} [timezone] - Timezone or city, for the timezone segment
+ * @returns {Object} { segment } or { error }
+ */
+export function parseSegment(type = 'all', timezone) {
+    switch (type.toLowerCase().replace(/-/g, '_')) {
+        case 'all':
+            return { segment: { type: 'all' } };
+        case 'no_streak':
+        case 'nostreak':
+            return { segment: { type: 'no_streak' } };
+        case 'timezone':
+        case 'tz': {
+            const resolved = resolveTimezone(timezone);
+            return resolved
+                ? { segment: { type: 'timezone', timezone: resolved } }
+                : { error: `Unknown timezone: ${timezone || '(none given)'}` };
+        }
+        default:
+            return { error: `Unknown segment: ${type}. Use all, no_streak or timezone` };
+    }
+}
+
+/**
+ * Who a segment covers, in words
+ */
+export function describeSegment(segment) {
+    if (segment.type === 'no_streak') return 'users with no current streak';
+    if (segment.type === 'timezone') return `users in ${segment.timezone}`;
+    return 'all users';
+}
+
+/**
+ * Line up a broadcast: find the recipients and record them as pending
+ * @param {string} message - Text to send
+ * @param {Object} segment - From parseSegment
+ * @param {string} createdBy - Who's sending it
+ * @returns {Object} The Broadcast document
+ */
+export async function prepareBroadcast(message, segment, createdBy) {
+    const users = await getBroadcastRecipients(segment);
+    const broadcast = await createBroadcast(message, segment, createdBy, users);
+    console.log(`[Broadcast] ${createdBy} queued ${broadcast._id} for ${users.length} ${describeSegment(segment)}`);
+    return broadcast;
+}
+
+/**
+ * Send a prepared broadcast to each recipient in turn
+ * @param {Object} broadcast - From prepareBroadcast
+ * @returns {Object} { id, recipients, sent, failed, failures: [{ name, address, error }] }
+ */
+export async function runBroadcast(broadcast) {
+    const { delayMs, ...retry } = getBroadcastSettings();
+    const failures = [];
+    let sent = 0;
+
+    try {
+        for (const [index, recipient] of broadcast.recipients.entries()) {
+            if (index > 0) await wait(delayMs);
+
+            const address = getAddress(recipient);
+            const result = await sendWithRetries(address, broadcast.message, retry);
+            await recordBroadcastResult(broadcast._id, index, result);
+
+            if (result.status === 'sent') {
+                sent++;
+                // Delivery tracking is a nice-to-have - keep going for everyone else
+                try {
+                    await recordOutboundMessage(address, result.messageId, 'broadcast', null);
+                } catch (error) {
+                    console.error(`[Broadcast] Couldn't track delivery to ${recipient.channel}:${recipient.channelId}:`, error.message);
+                }
+            } else {
+                failures.push({ name: recipient.name, address, error: result.error });
+                console.error(`[Broadcast] Failed for ${recipient.channel}:${recipient.channelId} after ${result.attempts} attempts:`, result.error);
+            }
+        }
+    } finally {
+        // Even if the loop stopped early, the report mustn't say "sending..." forever
+        await finishBroadcast(broadcast._id);
+    }
+
+    const total = broadcast.recipients.length;
+    console.log(`[Broadcast] ${broadcast._id} sent to ${sent}/${total} users (${failures.length} failed)`);
+
+    return { id: String(broadcast._id), recipients: total, sent, failed: failures.length, failures };
+}
+
+/**
+ * Prepare and send a broadcast, waiting until it's done
+ * @param {string} message - Text to send
+ * @param {Object} [segment] - From parseSegment (default: everyone)
+ * @param {string} [createdBy] - Who's sending it
+ * @returns {Object} See runBroadcast
+ */
+export async function broadcastMessage(message, segment = { type: 'all' }, createdBy = 'system') {
+    return await runBroadcast(await prepareBroadcast(message, segment, createdBy));
+}
+
+/**
+ * Send one message, retrying failures worth retrying
+ * @returns {Object} { status: 'sent', attempts, messageId } or { status: 'failed', attempts, error }
+ */
+async function sendWithRetries(address, message, { retries, retryDelayMs }) {
+    for (let attempts = 1; ; attempts++) {
+        try {
+            const messageId = await sendMessage(address, message);
+            return { status: 'sent', attempts, messageId: messageId || null };
+        } catch (error) {
+            if (attempts > retries || !isRetryable(error)) {
+                return { status: 'failed', attempts, error: describeError(error) };
+            }
+            await wait(retryDelayMs * 2 ** (attempts - 1));
+        }
+    }
+}
+
+/**
+ * Rate limits, server errors and network trouble may pass; a rejected
+ * request (bad number, user blocked the bot) won't
+ */
+function isRetryable(error) {
+    const status = error.response?.status;
+    return !status || status === 429 || status >= 500;
+}
+
+function describeError(error) {
+    const data = error.response?.data;
+    return data?.error?.message || data?.description || error.message;
+}
+
+function wait(ms) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
@@ -0,0 +1,142 @@
+/**
+ * Export - Take your history with you
+ *
+ * - export json      Everything, for other tools
+ * - export csv       One row per day, for spreadsheets
+ * - export journal   Markdown learning journal, grouped by week
+ * - export csv link  A download link instead of a file
+ *
+ * The file comes as a document in chat. Channels that can't send files,
+ * or a document that fails to send, fall back to a download link. Links
+ * need PUBLIC_URL (this server's address) and work for EXPORT_LINK_MINUTES
+ * (default 60).
+ */
+
+import crypto from 'node:crypto';
+import { sendMessage, getChannel } from '../channels/index.js';
+import { getExportData, createExportLink, getExportLink } from './storage.js';
+import { buildExport, EXPORT_FORMATS } from '../utils/exportFormats.js';
+import { getTodayDate } from '../utils/helpers.js';
+
+const FORMAT_ALIASES = { markdown: 'journal', md: 'journal' };
+
+const FORMAT_LABELS = {
+    json: '🗂️ Your full history (JSON)',
+    csv: '📊 Your history as a spreadsheet (CSV)',
+    journal: '📓 Your learning journal'
+};
+
+/**
+ * How long download links work (EXPORT_LINK_MINUTES, default 60)
+ */
+export function getExportLinkMinutes() {
+    const minutes = Number.parseInt(process.env.EXPORT_LINK_MINUTES, 10);
+    return Number.isInteger(minutes) && minutes > 0 ? minutes : 60;
+}
+
+/**
+ * Read a format name, allowing "markdown" and "md" for the journal
+ * @returns {string|null} One of EXPORT_FORMATS
+ */
+export function parseExportFormat(input = '') {
+    const format = input.trim().toLowerCase();
+    const resolved = FORMAT_ALIASES[format] || format;
+    return EXPORT_FORMATS.includes(resolved) ? resolved : null;
+}
+
+/**
+ * Build a user's export file from their full history
+ * @param {Object} address - { channel, id }
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {Object|null} { filename, mimeType, content }, or null if there's no such user
+ */
+export async function createExport(address, format) {
+    const data = await getExportData(address);
+    if (!data) return null;
+
+    const { user, logs } = data;
+    return buildExport(user, logs, format, getTodayDate(user.timezone));
+}
+
+/**
+ * Make a time-limited download link for a user's export
+ * @param {Object} address - { channel, id }
+ * @param {string} format - One of EXPORT_FORMATS
+ * @returns {string|null} The URL, or null without PUBLIC_URL
+ */
+export async function createDownloadLink(address, format) {
+    const baseUrl = process.env.PUBLIC_URL?.replace(/\/+$/, '');
+    if (!baseUrl) return null;
+
+    const token = crypto.randomBytes(24).toString('base64url');
+    const expiresAt = new Date(Date.now() + getExportLinkMinutes() * 60 * 1000);
+    await createExportLink(address, format, token, expiresAt);
+
+    return `${baseUrl}/export/${token}`;
+}
+
+/**
+ * The export behind a download link, built fresh
+ * @param {string} token - Token from the URL
+ * @returns {Object|null} { filename, mimeType, content }, or null if the link is unknown or expired
+ */
+export async function getDownload(token) {
+    const link = await getExportLink(token);
+    if (!link) return null;
+    return await createExport(link.address, link.format);
+}
+
+/**
+ * export [json|csv|journal] [link]
+ * @param {Object} from - User's address
+ * @param {Object} user - User document
+ * @param {string} args - Everything after "export"
+ */
+export async function handleExportCommand(from, user, args) {
+    const words = args.trim().split(/\s+/).filter(Boolean);
+    const wantsLink = words.at(-1)?.toLowerCase() === 'link';
+    const format = parseExportFormat(wantsLink ? words.slice(0, -1).join(' ') : words.join(' '));
+
+    if (!format) {
+        await sendMessage(from, `📦 *Export Your History*
+
+• *export journal* - Learning journal, week by week (Markdown)
+• *export csv* - One row per day, for spreadsheets
+• *export json* - Everything, for other tools
+
+Add *link* for a download link instead, e.g. *export csv link*`);
+        return;
+    }
+
+    const file = await createExport(from, format);
+    const channel = getChannel(from.channel);
+
+    if (!wantsLink && channel.sendDocument) {
+        try {
+            await channel.sendDocument(from.id, {
+                buffer: Buffer.from(file.content, 'utf8'),
+                filename: file.filename,
+                mimeType: file.mimeType,
+                caption: FORMAT_LABELS[format]
+            });
+            console.log(`[Export] Sent ${format} to ${user.name}`);
+            return;
+        } catch (error) {
+            console.error(`[Export] Document failed for ${from.channel}:${from.id}:`, error.message);
+        }
+    }
+
+    const url = await createDownloadLink(from, format);
+    if (!url) {
+        await sendMessage(from, `Sorry, I couldn't send your export right now. Please try again later.`);
+        return;
+    }
+
+    const minutes = getExportLinkMinutes();
+    console.log(`[Export] Link for ${format} created for ${user.name}`);
+    await sendMessage(from, `${FORMAT_LABELS[format]}
+
+${url}
+
+The link works for ${minutes >= 120 && minutes % 60 === 0 ? `${minutes / 60} hours` : `${minutes} minutes`} - don't share it, anyone with it can download your history.`);
+}
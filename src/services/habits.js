@@ -0,0 +1,383 @@
+/**
+ * Habits - Things to check in on besides coding
+ *
+ * Coding is every user's default habit and keeps its morning/evening flow.
+ * Anything else (reading, LeetCode, exercise, ...) is added with
+ * "habit add" and gets its own schedule, check-in, streak and stats.
+ * A habit is either yes/no or has a daily number to hit (e.g. 20 pages).
+ *
+ * Coding isn't stored as a Habit on purpose: its day is a DailyLog with a
+ * mood, plan, reflections and effort, and rest days, freezes, teams,
+ * leaderboards and exports are all built on those logs. A habit check-in
+ * is one answer in a HabitLog. Only the streak and stats maths is the
+ * same, and both go through calculateStreaks/calculateStats (utils/stats.js)
+ * - a habit log's `done` is read as `coded`.
+ *
+ * FLOWS:
+ * - habit_name -> habit_target -> habit_days -> habit_time: Set up a habit
+ * - habit_check: Answer a habit's check-in, or *skip* it for now
+ */
+
+import { sendMessage } from '../channels/index.js';
+import {
+    setConversationState,
+    getHabits,
+    getHabit,
+    startHabitDraft,
+    updateHabitDraft,
+    removeHabit,
+    saveHabitEntry,
+    getHabitStats
+} from './storage.js';
+import { MAX_HABITS } from '../models/Habit.js';
+import { formatStreakEmoji, parseTime, parseWeekdays } from '../utils/helpers.js';
+import { YES_NO_REPLIES } from '../utils/quickReplies.js';
+
+export const DEFAULT_HABIT_NAME = 'Coding';
+
+// Words that can't be habit names because they're subcommands
+const RESERVED_NAMES = ['add', 'remove', DEFAULT_HABIT_NAME.toLowerCase()];
+
+const EVERY_DAY_REPLIES = {
+    replies: [{ id: 'every day', title: 'Every day' }]
+};
+
+/**
+ * Describe what counts as done, e.g. "20 pages" or "yes/no"
+ */
+export function formatHabitTarget(habit) {
+    if (habit.kind !== 'numeric') return 'yes/no';
+    return habit.unit ? `${habit.target} ${habit.unit}` : `${habit.target}`;
+}
+
+function formatSchedule(habit) {
+    return `${habit.days.length ? habit.days.join(', ') : 'every day'} at ${habit.reminderTime}`;
+}
+
+/**
+ * The check-in question for a habit
+ * @returns {Object} { message, options } for sendMessage
+ */
+export function getHabitQuestion(habit) {
+    if (habit.kind === 'numeric') {
+        return {
+            message: `*How many ${habit.unit || 'times'} of ${habit.name} today?*
+Target: ${formatHabitTarget(habit)} - reply with a number`,
+            options: undefined
+        };
+    }
+
+    return {
+        message: `*Did you do ${habit.name} today?*\nReply *yes* or *no*`,
+        options: YES_NO_REPLIES
+    };
+}
+
+/**
+ * The command that checks in on a habit, e.g. "habit reading 20"
+ */
+export function getHabitCommand(habit) {
+    return `habit ${habit.name.toLowerCase()} ${habit.kind === 'numeric' ? habit.target : 'yes'}`;
+}
+
+/**
+ * Find the habit a message starts with, e.g. "reading 25" -> Reading, "25"
+ * @returns {Object|null} { habit, rest }
+ */
+function matchHabit(habits, text) {
+    const lower = text.toLowerCase();
+    const matches = habits.filter(habit => {
+        const name = habit.name.toLowerCase();
+        return lower === name || lower.startsWith(`${name} `);
+    });
+    if (!matches.length) return null;
+
+    // "leetcode hard" should win over "leetcode"
+    const habit = matches.sort((a, b) => b.name.length - a.name.length)[0];
+    return { habit, rest: text.slice(habit.name.length).trim() };
+}
+
+/**
+ * Read a check-in answer for a habit
+ * @returns {Object|null} { done, value }, or null if it doesn't answer the question
+ */
+function parseHabitAnswer(habit, inputLower) {
+    if (habit.kind === 'numeric') {
+        if (inputLower === 'no' || inputLower === 'n') return { done: false, value: 0 };
+        const value = Number.parseFloat(inputLower);
+        if (!Number.isFinite(value) || value < 0) return null;
+        return { done: value >= habit.target, value };
+    }
+
+    if (['yes', 'y', 'done'].includes(inputLower)) return { done: true };
+    if (['no', 'n'].includes(inputLower)) return { done: false };
+    return null;
+}
+
+/**
+ * Save a check-in and tell the user how the habit stands
+ * @returns {boolean} false if the answer didn't make sense
+ */
+async function recordHabitAnswer(from, habit, inputLower) {
+    const entry = parseHabitAnswer(habit, inputLower);
+    if (!entry) return false;
+
+    const updated = await saveHabitEntry(from, habit, entry);
+    const amount = habit.kind === 'numeric' ? `: ${entry.value}/${formatHabitTarget(habit)}` : '';
+
+    await sendMessage(from, entry.done
+        ? `✅ *${habit.name}*${amount}
+
+${formatStreakEmoji(updated.currentStreak)} Streak: *${updated.currentStreak} days*`
+        : `❌ *${habit.name}*${amount}
+
+Not today - tomorrow's a fresh start. 💪`);
+    return true;
+}
+
+// ========== COMMANDS ==========
+
+/**
+ * habits, habit add [name], habit remove <name>, habit <name> [answer]
+ * @param {Object} from - User's address
+ * @param {Object} user - User document
+ * @param {string} args - Everything after "habit"
+ */
+export async function handleHabitCommand(from, user, args) {
+    const text = args.trim();
+    const [subcommand = '', ...rest] = text.split(/\s+/);
+
+    switch (subcommand.toLowerCase()) {
+        case '':
+            await showHabits(from, user);
+            return;
+        case 'add':
+            await handleAddHabit(from, rest.join(' '));
+            return;
+        case 'remove':
+            await handleRemoveHabit(from, rest.join(' '));
+            return;
+    }
+
+    if (text.toLowerCase().startsWith(DEFAULT_HABIT_NAME.toLowerCase())) {
+        await sendMessage(from, `${DEFAULT_HABIT_NAME} is your main habit - use *yes* / *no* in the evening and *status* for stats.`);
+        return;
+    }
+
+    const match = matchHabit(await getHabits(from), text);
+    if (!match) {
+        await sendMessage(from, `I don't know a habit called "${text}".\n\nReply *habits* to see yours.`);
+        return;
+    }
+
+    if (!match.rest) {
+        await showHabitStats(from, match.habit);
+        return;
+    }
+
+    if (!(await recordHabitAnswer(from, match.habit, match.rest.toLowerCase()))) {
+        await sendMessage(from, `Try: *${getHabitCommand(match.habit)}*`);
+    }
+}
+
+async function showHabits(from, user) {
+    const habits = await getHabits(from);
+
+    let message = `🎯 *Your Habits*
+
+💻 *${DEFAULT_HABIT_NAME}* (main) - every day at ${user.eveningReminderTime} - ${formatStreakEmoji(user.currentStreak)} ${user.currentStreak} days`;
+
+    for (const habit of habits) {
+        message += `\n🎯 *${habit.name}* - ${formatHabitTarget(habit)}, ${formatSchedule(habit)} - ${formatStreakEmoji(habit.currentStreak)} ${habit.currentStreak} days`;
+    }
+
+    message += `
+
+• *habit add* - Track something new
+• *habit <name> <answer>* - Check in now (e.g. *habit reading 25*)
+• *habit <name>* - Stats for one habit
+• *habit remove <name>* - Stop tracking (history is kept)`;
+
+    await sendMessage(from, message);
+}
+
+async function showHabitStats(from, habit) {
+    const stats = await getHabitStats(from, habit);
+    const rate = stats.completionRate === null ? '-' : `${Math.round(stats.completionRate * 100)}%`;
+
+    await sendMessage(from, `📊 *${habit.name}*
+${formatHabitTarget(habit)}, ${formatSchedule(habit)}
+
+${formatStreakEmoji(stats.currentStreak)} Current: *${stats.currentStreak} days*
+🏆 Best: *${stats.longestStreak} days*
+📅 This week: ${stats.last7Days}/7
+✅ Days done: ${stats.totalDaysCoded}
+🎯 Completion rate: *${rate}* (${stats.totalDaysCoded}/${stats.daysLogged} days)`);
+}
+
+async function handleAddHabit(from, name) {
+    const habits = await getHabits(from);
+    if (habits.length >= MAX_HABITS) {
+        await sendMessage(from, `You're tracking ${MAX_HABITS} habits already - that's the limit.
+
+Remove one with *habit remove <name>* first.`);
+        return;
+    }
+
+    if (name) {
+        const problem = checkHabitName(name, habits);
+        if (problem) {
+            await sendMessage(from, problem);
+            return;
+        }
+        await startHabitDraft(from, name);
+        await askTarget(from, name);
+        return;
+    }
+
+    await startHabitDraft(from);
+    await sendMessage(from, `🎯 *New habit*
+
+*What do you want to track?*
+(A short name, like Reading, LeetCode or Exercise)`);
+}
+
+async function handleRemoveHabit(from, name) {
+    const match = name && matchHabit(await getHabits(from), name);
+    if (!match || match.rest) {
+        await sendMessage(from, `Try: *habit remove reading* (reply *habits* to see yours)`);
+        return;
+    }
+
+    await removeHabit(match.habit._id);
+    await sendMessage(from, `*${match.habit.name}* removed. Its history is kept. 👋`);
+}
+
+/**
+ * Check a new habit name
+ * @returns {string|null} What's wrong with it, or null if it's fine
+ */
+function checkHabitName(name, habits) {
+    if (name.length > 30) {
+        return `Keep the name under 30 characters.`;
+    }
+    if (RESERVED_NAMES.includes(name.toLowerCase())) {
+        return `"${name}" is taken - pick another name.`;
+    }
+    if (habits.some(habit => habit.name.toLowerCase() === name.toLowerCase())) {
+        return `You already track *${name}*.`;
+    }
+    return null;
+}
+
+async function askTarget(from, name) {
+    await sendMessage(from, `*${name}* it is!
+
+*Is it a yes/no habit, or is there a number to hit each day?*
+Reply *yes/no*, or a target like *20 pages* or *30 minutes*`, {
+        replies: [{ id: 'yes/no', title: 'Yes/No' }]
+    });
+}
+
+// ========== CONVERSATION ==========
+
+/**
+ * Handle a reply while setting up or checking in on a habit
+ * @param {Object} from - User's address
+ * @param {Object} user - User document (conversationState is a habit_* state)
+ * @param {string} input - Message text
+ * @param {string} inputLower - Lowercased message text
+ */
+export async function handleHabitConversation(from, user, input, inputLower) {
+    if (user.conversationState === 'habit_check') {
+        const habit = user.activeHabit && await getHabit(user.activeHabit);
+        if (!habit || habit.status !== 'active') {
+            await setConversationState(from, null);
+            await sendMessage(from, `That habit isn't tracked any more.`);
+            return;
+        }
+
+        if (['skip', 'cancel'].includes(inputLower)) {
+            await setConversationState(from, null);
+            await sendMessage(from, `No problem - check in later with *${getHabitCommand(habit)}*`);
+            return;
+        }
+
+        if (!(await recordHabitAnswer(from, habit, inputLower))) {
+            const { message, options } = getHabitQuestion(habit);
+            await sendMessage(from, `Simple question, ${user.name}:\n\n${message}\n\nOr reply *skip* to answer later`, options);
+        }
+        return;
+    }
+
+    // The draft is cleaned up next time a habit is added
+    if (inputLower === 'cancel') {
+        await setConversationState(from, null);
+        await sendMessage(from, `No problem - habit not added.`);
+        return;
+    }
+
+    switch (user.conversationState) {
+        case 'habit_name': {
+            const problem = checkHabitName(input, await getHabits(from));
+            if (problem) {
+                await sendMessage(from, `${problem}\n\nOr reply *cancel*`);
+                return;
+            }
+            await updateHabitDraft(from, { name: input }, 'habit_target');
+            await askTarget(from, input);
+            break;
+        }
+
+        case 'habit_target': {
+            let fields;
+            if (['yes/no', 'yes', 'no', 'yesno'].includes(inputLower)) {
+                fields = { kind: 'yesno', target: null, unit: null };
+            } else {
+                const match = input.match(/^(\d+(?:\.\d+)?)\s*(.*)$/);
+                if (!match || Number(match[1]) <= 0) {
+                    await sendMessage(from, `Reply *yes/no*, or a target like *20 pages*`);
+                    return;
+                }
+                fields = { kind: 'numeric', target: Number(match[1]), unit: match[2].trim() || null };
+            }
+
+            await updateHabitDraft(from, fields, 'habit_days');
+            await sendMessage(from, `*Which days?*
+Reply *every day*, or days like *mon wed fri*`, EVERY_DAY_REPLIES);
+            break;
+        }
+
+        case 'habit_days': {
+            const days = ['every day', 'everyday', 'daily'].includes(inputLower)
+                ? []
+                : parseWeekdays(inputLower.split(/[\s,]+/).filter(Boolean));
+            if (!days) {
+                await sendMessage(from, `Try: *every day* or *mon wed fri*`, EVERY_DAY_REPLIES);
+                return;
+            }
+
+            await updateHabitDraft(from, { days }, 'habit_time');
+            await sendMessage(from, `*When should I check in?*
+Reply like: 21:00 or 7 PM`);
+            break;
+        }
+
+        case 'habit_time': {
+            const time = parseTime(input);
+            if (!time) {
+                await sendMessage(from, `Try: 21:00 or 7 PM`);
+                return;
+            }
+
+            const habit = await updateHabitDraft(from, { reminderTime: time, status: 'active' }, null);
+            await sendMessage(from, `🎯 Now tracking *${habit.name}*
+
+Target: ${formatHabitTarget(habit)}
+Check-in: ${formatSchedule(habit)} (${user.timezone})
+
+Check in anytime with *habit ${habit.name.toLowerCase()} ${habit.kind === 'numeric' ? habit.target : 'yes'}*`);
+            break;
+        }
+    }
+}
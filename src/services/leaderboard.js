@@ -0,0 +1,107 @@
+/**
+ * Leaderboard - How a cohort is doing, ranked
+ *
+ * - leaderboard             Your team (or everyone, outside a team)
+ * - leaderboard all         Everyone on the bot
+ * - leaderboard show        Appear by name (everyone starts anonymous)
+ * - leaderboard anonymous   Appear without your name
+ * - leaderboard hide        Leave leaderboards and digests
+ *
+ * Ranked by current streak, then days coded this week, then consistency
+ * (completion rate). The same table goes out in the Sunday team digest.
+ */
+
+import { sendMessage } from '../channels/index.js';
+import {
+    getLeaderboard,
+    getTeamMembers,
+    getAllUsersForWeeklySummary,
+    setLeaderboardVisibility
+} from './storage.js';
+import { formatStreakEmoji } from '../utils/helpers.js';
+
+const MEDALS = ['🥇', '🥈', '🥉'];
+const MAX_ROWS = 10;
+
+const VISIBILITY_COMMANDS = {
+    show: 'named',
+    anonymous: 'anonymous',
+    anon: 'anonymous',
+    hide: 'hidden'
+};
+
+/**
+ * leaderboard [all|show|anonymous|hide]
+ * @param {Object} from - User's address
+ * @param {Object} user - User document
+ * @param {string} args - Everything after "leaderboard"
+ */
+export async function handleLeaderboardCommand(from, user, args) {
+    const option = args.trim().toLowerCase();
+
+    if (VISIBILITY_COMMANDS[option]) {
+        await handleVisibility(from, VISIBILITY_COMMANDS[option]);
+        return;
+    }
+    if (option && option !== 'all') {
+        await sendMessage(from, `Try: *leaderboard*, *leaderboard all*, *leaderboard show*, *leaderboard anonymous* or *leaderboard hide*`);
+        return;
+    }
+
+    const inTeam = user.team && option !== 'all';
+    const cohort = inTeam ? await getTeamMembers(user.team) : await getAllUsersForWeeklySummary();
+    const entries = await getLeaderboard(cohort);
+
+    if (!entries.length) {
+        await sendMessage(from, `🏆 Nobody on the leaderboard yet - check in tonight and you'll be first!`);
+        return;
+    }
+
+    const visibility = {
+        named: `*leaderboard anonymous* or *hide* for privacy`,
+        anonymous: `*leaderboard show* to use your name`,
+        hidden: `*leaderboard show* to join in`
+    }[user.leaderboard];
+    const hidden = user.leaderboard === 'hidden'
+        ? `\n\n_You're hidden from leaderboards._`
+        : '';
+
+    await sendMessage(from, `🏆 *${inTeam ? 'Team' : 'Everyone'} Leaderboard*
+
+${formatLeaderboard(entries, user)}${hidden}
+
+_🔥 streak · days this week · consistency_
+${inTeam ? '*leaderboard all* to see everyone · ' : ''}${visibility}`);
+}
+
+async function handleVisibility(from, visibility) {
+    await setLeaderboardVisibility(from, visibility);
+
+    const replies = {
+        named: `🏆 You're on the leaderboard by name.`,
+        anonymous: `🕶️ You'll appear on leaderboards anonymously. Type *leaderboard show* to use your name.`,
+        hidden: `🙈 You're off leaderboards and team digests. Type *leaderboard show* to come back.`
+    };
+    await sendMessage(from, replies[visibility]);
+}
+
+/**
+ * Ranked table for a viewer - their own row says "You", anonymous members stay anonymous
+ * @param {Array} entries - From getLeaderboard
+ * @param {Object} viewer - User document of whoever will read it
+ * @returns {string} One line per member (top MAX_ROWS, plus the viewer if further down)
+ */
+export function formatLeaderboard(entries, viewer) {
+    const rows = entries.map((entry, index) => ({ entry, rank: index + 1 }));
+    const shown = rows.filter(({ entry, rank }) => rank <= MAX_ROWS || entry.user._id.equals(viewer._id));
+
+    return shown.map(({ entry, rank }) => {
+        const { user, currentStreak, daysThisWeek, consistency } = entry;
+        const name = user._id.equals(viewer._id)
+            ? '*You*'
+            : (user.leaderboard === 'anonymous' ? 'Anonymous coder' : (user.name || 'Someone'));
+        const rate = consistency === null ? '-' : `${Math.round(consistency * 100)}%`;
+
+        return `${MEDALS[rank - 1] || `${rank}.`} ${name} - ${formatStreakEmoji(currentStreak)} ${currentStreak} · ${daysThisWeek}/7 · ${rate}`;
+    }).join('\n');
+}
@@ -0,0 +1,56 @@
+/**
+ * Media - Voice notes and screenshots sent as reflections
+ *
+ * The file is downloaded from the channel and kept in GridFS, with a
+ * reference on today's log. Voice notes are transcribed so the coach can
+ * reflect on what was said.
+ */
+
+import { getChannel } from '../channels/index.js';
+import { saveMediaFile, addLogAttachment } from './storage.js';
+import { transcribeAudio } from '../ai/transcriber.js';
+
+// Stands in for the reflection when there's no caption or transcript
+const PLACEHOLDERS = {
+    audio: '🎙️ Voice note',
+    image: '📷 Screenshot'
+};
+
+/**
+ * Save an incoming file as a reflection answer
+ * @param {Object} address - { channel, id }
+ * @param {Object} media - { type, id, mimeType } from the channel adapter
+ * @param {string} field - Log field it answers: whatDone, learning or whyNot
+ * @param {string} caption - Text sent with the file, if any
+ * @returns {string|null} Text to save as the reflection, or null if the file couldn't be fetched
+ */
+export async function saveReflectionMedia(address, media, field, caption = '') {
+    const channel = getChannel(address.channel);
+    if (!channel.downloadMedia) return null;
+
+    try {
+        const { buffer, mimeType } = await channel.downloadMedia(media.id, media.mimeType);
+        const type = mimeType || media.mimeType;
+
+        const fileId = await saveMediaFile(buffer, {
+            filename: `${address.channel}-${address.id}-${media.id}`,
+            mimeType: type
+        });
+        const transcript = media.type === 'audio' ? await transcribeAudio(buffer, type) : null;
+
+        await addLogAttachment(address, {
+            kind: media.type,
+            field,
+            fileId,
+            mimeType: type,
+            caption: caption || null,
+            transcript
+        });
+
+        console.log(`[Media] Saved ${media.type} for ${address.channel}:${address.id}`);
+        return [caption, transcript].filter(Boolean).join('\n') || PLACEHOLDERS[media.type];
+    } catch (error) {
+        console.error('[Media] Failed to save media:', error.message);
+        return null;
+    }
+}
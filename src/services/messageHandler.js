@@ -7,35 +7,102 @@
  * - why_not: AI acknowledges reason without judgment
  */
 
-import { sendMessage } from './whatsapp.js';
+import { sendMessage, formatAddress } from '../channels/index.js';
+import { checkAccess, isAdmin } from './access.js';
+import { handleAdminCommand } from './adminCommands.js';
+import { saveReflectionMedia } from './media.js';
+import { handleRestCommand, handleFreezeCommand } from './restDays.js';
+import { handleRemindersCommand } from './reminders.js';
+import { handleTeamCommand, notifyTeamCheckIn } from './teams.js';
+import { handleLeaderboardCommand } from './leaderboard.js';
+import { handleExportCommand } from './export.js';
+import { handleHabitCommand, handleHabitConversation, formatHabitTarget } from './habits.js';
 import {
     getUserData,
     setOnboardingStep,
     setUserName,
     setMorningReminderTime,
     setEveningReminderTime,
+    setTimezone,
+    setRemindersPaused,
+    setLeaderboardVisibility,
     setConversationState,
+    startEditingDay,
     saveMorningMood,
     saveTodaysPlan,
     saveEveningMood,
     saveCodedResponse,
     saveWhyNot,
     saveWhatDone,
+    savePlanOutcome,
+    getUnfinishedPlan,
+    saveTimeSpent,
+    saveMetrics,
     saveWhatLearned,
     getTodaysLog,
+    getLogForDate,
     getRecentLogs,
+    getUserStats,
+    getHabits,
     hasLoggedToday,
     canLogCompletion,
     resetUserData
 } from './storage.js';
-import { formatStreakEmoji, parseTime } from '../utils/helpers.js';
+import {
+    formatStreakEmoji,
+    formatDateDisplay,
+    parseTime,
+    parseDuration,
+    parseMetrics,
+    parsePlanItems,
+    parsePlanOutcome,
+    MAX_PLAN_ITEMS,
+    formatDuration,
+    parseLogDate,
+    resolveTimezone,
+    getTodayDate,
+    getWeekday,
+    daysBetween
+} from '../utils/helpers.js';
+import { SLIPPING_AFTER } from '../models/DailyLog.js';
+import { YES_NO_REPLIES, SKIP_REPLIES, PLAN_OUTCOME_REPLIES } from '../utils/quickReplies.js';
+import { calculateEffort } from '../utils/stats.js';
 // AI Coach - optional, non-blocking
 import { getReflectionFeedback, getEncouragement } from '../ai/coach.js';
 
-export async function handleMessage(from, text) {
-    const user = await getUserData(from);
-    const input = text.trim();
-    const inputLower = input.toLowerCase();
+/**
+ * Handle an incoming message from any channel
+ * @param {Object} from - Sender's address { channel, id }
+ * @param {string} text - Message text (or caption)
+ * @param {Object} [media] - Voice note or image { type, id, mimeType }
+ */
+export async function handleMessage(from, text, media = null) {
+    let input = text.trim();
+    let inputLower = input.toLowerCase();
+
+    // Access control - rejected senders get no database record
+    const access = await checkAccess(from, input);
+    if (!access.allowed) {
+        console.log(`[Access] Rejected ${formatAddress(from)} (${access.reason})`);
+        await handleAccessDenied(from, access.reason);
+        return;
+    }
+
+    // Admin commands work before onboarding and mid-conversation
+    if (/^admin\b/.test(inputLower) && isAdmin(from)) {
+        await handleAdminCommand(from, input.slice('admin'.length));
+        return;
+    }
+
+    const user = await getUserData(from, { invitedWith: access.inviteCode || null });
+
+    // Voice notes and screenshots stand in for a typed reflection
+    if (media) {
+        const reflection = await handleMedia(from, user, media, input);
+        if (!reflection) return;
+        input = reflection;
+        inputLower = input.toLowerCase();
+    }
 
     // Onboarding
     if (!user.onboardingComplete) {
@@ -49,6 +116,48 @@ export async function handleMessage(from, text) {
         return;
     }
 
+    // Commands with arguments
+    if (inputLower.startsWith('timezone ')) {
+        await handleTimezoneCommand(from, user, input.slice('timezone '.length));
+        return;
+    }
+    if (inputLower.startsWith('log ')) {
+        await handleLogCommand(from, user, inputLower.slice('log '.length));
+        return;
+    }
+    if (inputLower.startsWith('edit ')) {
+        await handleEditCommand(from, user, inputLower.slice('edit '.length));
+        return;
+    }
+    if (inputLower === 'rest' || inputLower.startsWith('rest ')) {
+        await handleRestCommand(from, user, inputLower.slice('rest'.length));
+        return;
+    }
+    if (inputLower === 'freeze' || inputLower.startsWith('freeze ')) {
+        await handleFreezeCommand(from, user, inputLower.slice('freeze'.length));
+        return;
+    }
+    if (inputLower === 'reminders' || inputLower.startsWith('reminders ')) {
+        await handleRemindersCommand(from, user, inputLower.slice('reminders'.length));
+        return;
+    }
+    if (inputLower === 'team' || inputLower.startsWith('team ')) {
+        await handleTeamCommand(from, user, input.slice('team'.length));
+        return;
+    }
+    if (inputLower === 'leaderboard' || inputLower.startsWith('leaderboard ')) {
+        await handleLeaderboardCommand(from, user, inputLower.slice('leaderboard'.length));
+        return;
+    }
+    if (inputLower === 'export' || inputLower.startsWith('export ')) {
+        await handleExportCommand(from, user, inputLower.slice('export'.length));
+        return;
+    }
+    if (inputLower === 'habits' || inputLower === 'habit' || inputLower.startsWith('habit ')) {
+        await handleHabitCommand(from, user, input.replace(/^habits?/i, ''));
+        return;
+    }
+
     // Commands
     switch (inputLower) {
         case 'hi':
@@ -73,6 +182,18 @@ export async function handleMessage(from, text) {
         case 'week':
             await handleSummary(from, user);
             break;
+        case 'timezone':
+            await handleTimezoneCommand(from, user, '');
+            break;
+        case 'settings':
+            await handleSettings(from, user);
+            break;
+        case 'pause':
+            await handlePauseCommand(from, user, true);
+            break;
+        case 'resume':
+            await handlePauseCommand(from, user, false);
+            break;
         case 'help':
             await handleHelp(from, user);
             break;
@@ -144,16 +265,34 @@ Reply like: 20:00 or 9 PM`);
                 return;
             }
             await setEveningReminderTime(from, eTime);
+            await sendMessage(from, `Evening check-in: *${eTime}* 🌙
+
+*Which timezone are you in?*
+
+Reply with your city or zone, like: Lagos, London or Europe/Berlin
+Or reply *skip* to use ${user.timezone}`);
+            await setOnboardingStep(from, 'ask_timezone');
+            break;
+
+        case 'ask_timezone':
+            if (input.toLowerCase() !== 'skip') {
+                const timezone = resolveTimezone(input);
+                if (!timezone) {
+                    await sendMessage(from, `I don't know that one. Try a city like Lagos or a zone like Europe/Paris`);
+                    return;
+                }
+                await setTimezone(from, timezone);
+            }
             await setOnboardingStep(from, 'complete');
 
             const u = await getUserData(from);
             await sendMessage(from, `Perfect ${u.name}! You're all set. 🎯
 
-*Your Schedule:*
+*Your Schedule:* (${u.timezone})
 🌅 ${u.morningReminderTime} - What's your plan?
-🌙 ${eTime} - Did you do it?
+🌙 ${u.eveningReminderTime} - Did you do it?
 
-*Note:* You can only log your day complete after ${eTime} - no shortcuts! 😉
+*Note:* You can only log your day complete after ${u.eveningReminderTime} - no shortcuts! 😉
 
 Commands:
 • *status* - Your stats
@@ -166,59 +305,160 @@ Let's build something great! 💪`);
 
 // ========== CONVERSATION FLOW ==========
 
+const ASK_FOR_PLAN = `*What's the ONE thing you want to accomplish today?*
+(Keep it focused - one clear goal, or up to ${MAX_PLAN_ITEMS} items, one per line)`;
+
+/**
+ * A typed plan as checklist items - a single goal is kept exactly as typed
+ */
+function planItemsFrom(input) {
+    const items = parsePlanItems(input);
+    return items.length > 1 ? items : [input];
+}
+
+/**
+ * Save today's plan and confirm it, calling out a goal that keeps slipping
+ * @param {Object} from - User's address
+ * @param {Object} user - User document
+ * @param {string[]} items - Checklist items (one for a single goal)
+ * @param {number} [carriedOver] - Days it has been carried over
+ */
+async function confirmPlan(from, user, items, carriedOver = 0) {
+    const plan = items.length > 1 ? items.join('; ') : items[0];
+    await saveTodaysPlan(from, plan, items, carriedOver);
+
+    let message = items.length > 1
+        ? `📋 *Today's plan:*\n${formatPlanItems(items.map(text => ({ text })))}`
+        : `📋 *Today's goal:*\n_"${plan}"_`;
+
+    if (carriedOver >= SLIPPING_AFTER) {
+        message += `\n\n⚠️ This has slipped *${carriedOver} days* in a row. Could a smaller first step get it moving? Even 30 focused minutes counts.`;
+    } else if (carriedOver) {
+        message += `\n\n🔁 Carried over from yesterday.`;
+    }
+
+    await sendMessage(from, `${message}
+
+I'll check in tonight to see how it went.
+
+Go make it happen, ${user.name}! 💪`);
+}
+
 async function handleConversation(from, user, input, inputLower) {
     switch (user.conversationState) {
         // MORNING FLOW
         case 'morning_mood':
-            await saveMorningMood(from, input);
+            const unfinished = await saveMorningMood(from, input);
             const moodResponse = getMoodResponse(input, user.name, 'morning');
-            await sendMessage(from, `${moodResponse}
 
-*What's the ONE thing you want to accomplish today?*
-(Keep it focused - one clear goal)`);
+            if (unfinished) {
+                const when = daysBetween(unfinished.date, getTodayDate(user.timezone)) === 1
+                    ? 'Yesterday'
+                    : `On ${formatDateDisplay(unfinished.date)}`;
+                const planned = unfinished.items.length > 1
+                    ? `\n${formatPlanItems(unfinished.items.map(text => ({ text })))}`
+                    : ` _"${unfinished.plan}"_`;
+                await sendMessage(from, `${moodResponse}
+
+📌 ${when} you planned:${planned}
+
+*Carry it over?*
+Reply *yes* to keep it, *no* to start fresh - or just type today's goal`, YES_NO_REPLIES);
+            } else {
+                await sendMessage(from, `${moodResponse}
+
+${ASK_FOR_PLAN}`);
+            }
             break;
 
-        case 'morning_plan':
-            await saveTodaysPlan(from, input);
-            await sendMessage(from, `📋 *Today's goal:*
-_"${input}"_
+        case 'plan_carry':
+            if (inputLower === 'yes' || inputLower === 'y') {
+                const carried = await getUnfinishedPlan(from);
+                if (carried) {
+                    await confirmPlan(from, user, carried.items, carried.carriedOver + 1);
+                    break;
+                }
+            }
+            if (inputLower === 'yes' || inputLower === 'y' || inputLower === 'no' || inputLower === 'n') {
+                await setConversationState(from, 'morning_plan');
+                await sendMessage(from, `Fresh start it is! 🌱
 
-I'll check in tonight to see how it went.
+${ASK_FOR_PLAN}`);
+                break;
+            }
+            // Anything else is today's new goal
+            await confirmPlan(from, user, planItemsFrom(input));
+            break;
 
-Go make it happen, ${user.name}! 💪`);
+        case 'morning_plan':
+            await confirmPlan(from, user, planItemsFrom(input));
             break;
 
         // EVENING FLOW
         case 'evening_mood':
-            await saveEveningMood(from, input);
-            const todaysLog = await getTodaysLog(from);
-            const plan = todaysLog?.todaysPlan;
-
+            const todaysLog = await saveEveningMood(from, input);
             const eveningMoodResponse = getMoodResponse(input, user.name, 'evening');
 
-            if (plan) {
+            if (todaysLog.planItems?.length > 1) {
+                await sendMessage(from, `${eveningMoodResponse}
+
+This morning's plan:
+${formatPlanItems(todaysLog.planItems)}
+
+*Which did you finish?*
+Reply with the numbers (like *1 3*), *all* or *none* - be honest!`);
+            } else if (todaysLog.todaysPlan) {
                 await sendMessage(from, `${eveningMoodResponse}
 
 This morning you said you'd work on:
-📋 _"${plan}"_
+📋 _"${todaysLog.todaysPlan}"_
 
 *Did you get it done?*
-Reply *yes* or *no* - be honest!`);
+Reply *done*, *partly* or *not done* - be honest!`, PLAN_OUTCOME_REPLIES);
             } else {
                 await sendMessage(from, `${eveningMoodResponse}
 
 *Did you write any code today?*
-Reply *yes* or *no*`);
+Reply *yes* or *no*`, YES_NO_REPLIES);
             }
             break;
 
+        case 'plan_outcome': {
+            const log = await getTodaysLog(from);
+            const itemCount = Math.max(log?.planItems?.length || 0, 1);
+            const result = parsePlanOutcome(input, itemCount);
+            if (!result) {
+                await sendMessage(from, itemCount > 1
+                    ? `Which items did you finish? Reply with the numbers (like *1 3*), *all* or *none*`
+                    : `Did you get it done? *done*, *partly* or *not done*`,
+                    itemCount > 1 ? undefined : PLAN_OUTCOME_REPLIES);
+                return;
+            }
+
+            await savePlanOutcome(from, result.outcome, result.doneItems);
+            if (result.outcome === 'not_done') {
+                const slipping = log?.carriedOver >= SLIPPING_AFTER - 1
+                    ? `\n\n⚠️ That's *${log.carriedOver + 1} days* this one has slipped. Tomorrow, try just the first small piece of it.`
+                    : '';
+                await sendMessage(from, `Plans slip sometimes - thanks for being honest.${slipping}
+
+*Did you write any code at all today?*
+Reply *yes* or *no*`, YES_NO_REPLIES);
+            } else {
+                // Doing some of the plan means they coded
+                await handleYes(from, user);
+            }
+            break;
+        }
+
         case 'evening_check':
             if (inputLower === 'yes' || inputLower === 'y') {
-                await handleYes(from, user);
+                await handleYes(from, user, user.editingDate);
             } else if (inputLower === 'no' || inputLower === 'n') {
-                await handleNo(from, user);
+                await handleNo(from, user, user.editingDate);
             } else {
-                await sendMessage(from, `Simple question, ${user.name}:\n\nDid you code today? *yes* or *no*`);
+                const day = user.editingDate ? `on ${formatDateDisplay(user.editingDate)}` : 'today';
+                await sendMessage(from, `Simple question, ${user.name}:\n\nDid you code ${day}? *yes* or *no*`, YES_NO_REPLIES);
             }
             break;
 
@@ -226,9 +466,33 @@ Reply *yes* or *no*`);
             await saveWhatDone(from, input);
             await sendMessage(from, `Nice work! 👏
 
-*What did you learn?*
+⏱️ *How long did you spend on it?*
+Reply like *2h*, *45m* or *1h30* - or *skip*`, SKIP_REPLIES);
+            break;
+
+        case 'time_spent': {
+            const minutes = inputLower === 'skip' ? null : parseDuration(input);
+            if (inputLower !== 'skip' && !minutes) {
+                await sendMessage(from, `Try *2h*, *45m* or *1h30* - or *skip*`, SKIP_REPLIES);
+                return;
+            }
+            await saveTimeSpent(from, minutes);
+            await sendMessage(from, `${minutes ? `⏱️ ${formatDuration(minutes)} logged.\n\n` : ''}*Any commits or problems solved?*
+Reply like *5 commits* or *3 problems* - or *skip*`, SKIP_REPLIES);
+            break;
+        }
+
+        case 'what_metrics': {
+            const metrics = inputLower === 'skip' ? {} : parseMetrics(input);
+            if (!metrics) {
+                await sendMessage(from, `Try *5 commits*, *3 problems* or *4 commits 2 problems* - or *skip*`, SKIP_REPLIES);
+                return;
+            }
+            await saveMetrics(from, metrics);
+            await sendMessage(from, `*What did you learn?*
 (Even something small - every lesson counts)`);
             break;
+        }
 
         case 'what_learned':
             await saveWhatLearned(from, input);
@@ -269,12 +533,201 @@ Tomorrow at ${user.morningReminderTime}, we start fresh.
 Rest well, ${user.name}. We go again. 💪`);
             break;
 
+        // HABITS FLOW
+        case 'habit_name':
+        case 'habit_target':
+        case 'habit_days':
+        case 'habit_time':
+        case 'habit_check':
+            await handleHabitConversation(from, user, input, inputLower);
+            break;
+
+        // SETTINGS FLOW
+        case 'settings_menu':
+        case 'settings_name':
+        case 'settings_morning':
+        case 'settings_evening':
+        case 'settings_timezone':
+        case 'settings_leaderboard':
+            await handleSettingsConversation(from, user, input, inputLower);
+            break;
+
         default:
             await setConversationState(from, null);
             await handleUnknown(from, user);
     }
 }
 
+// ========== MEDIA ==========
+
+// Conversation states that take a voice note or screenshot, and the log field each fills
+const REFLECTION_FIELDS = {
+    what_done: 'whatDone',
+    what_learned: 'learning',
+    why_not: 'whyNot'
+};
+
+/**
+ * Turn a voice note or screenshot into the reflection being asked for
+ * @returns {string|null} Text to carry on the conversation with, or null if handled here
+ */
+async function handleMedia(from, user, media, caption) {
+    const field = REFLECTION_FIELDS[user.conversationState];
+    if (!field || !user.onboardingComplete) {
+        await sendMessage(from, `Got it! I only keep voice notes and screenshots when I ask what you did, what you learned, or what got in the way.
+
+For anything else, please type it out.`);
+        return null;
+    }
+
+    const reflection = await saveReflectionMedia(from, media, field, caption);
+    if (!reflection) {
+        await sendMessage(from, `I couldn't open that one 😕\n\nCould you type it instead?`);
+        return null;
+    }
+
+    return reflection;
+}
+
+// ========== SETTINGS ==========
+
+const LEADERBOARD_SETTINGS = {
+    named: 'By name',
+    anonymous: 'Anonymous 🕶️',
+    hidden: 'Hidden 🙈'
+};
+
+const LEADERBOARD_REPLIES = {
+    '1': 'named', name: 'named', named: 'named', show: 'named',
+    '2': 'anonymous', anonymous: 'anonymous', anon: 'anonymous',
+    '3': 'hidden', hide: 'hidden', hidden: 'hidden'
+};
+
+async function handleSettings(from, user, intro = '') {
+    await setConversationState(from, 'settings_menu');
+    await sendMessage(from, `${intro ? `${intro}\n\n` : ''}⚙️ *Your Settings*
+
+1️⃣ Name: *${user.name}*
+2️⃣ Morning check-in: *${user.morningReminderTime}*
+3️⃣ Evening check-in: *${user.eveningReminderTime}*
+4️⃣ Timezone: *${user.timezone}*
+5️⃣ Reminders: *${user.remindersPaused ? 'Paused ⏸️' : 'On ▶️'}*
+6️⃣ Leaderboard: *${LEADERBOARD_SETTINGS[user.leaderboard]}*
+
+Reply with a number to change it, or *done* to exit.`);
+}
+
+async function handleSettingsConversation(from, user, input, inputLower) {
+    if (['done', 'exit', 'cancel'].includes(inputLower)) {
+        await setConversationState(from, null);
+        await sendMessage(from, `Settings saved ✅`);
+        return;
+    }
+
+    switch (user.conversationState) {
+        case 'settings_menu':
+            switch (inputLower) {
+                case '1':
+                    await setConversationState(from, 'settings_name');
+                    await sendMessage(from, `*What should I call you?*`);
+                    break;
+                case '2':
+                    await setConversationState(from, 'settings_morning');
+                    await sendMessage(from, `*New morning check-in time?*\n\nReply like: 7:00 or 8:30 AM`);
+                    break;
+                case '3':
+                    await setConversationState(from, 'settings_evening');
+                    await sendMessage(from, `*New evening check-in time?*\n\nReply like: 20:00 or 9 PM`);
+                    break;
+                case '4':
+                    await setConversationState(from, 'settings_timezone');
+                    await sendMessage(from, `*Which timezone are you in?*\n\nReply with your city or zone, like: Lagos, London or Europe/Berlin`);
+                    break;
+                case '5':
+                    await setRemindersPaused(from, !user.remindersPaused);
+                    await handleSettings(from, await getUserData(from), user.remindersPaused
+                        ? `Reminders back on ▶️`
+                        : `Reminders paused ⏸️ Your streak and history are safe.`);
+                    break;
+                case '6':
+                    await setConversationState(from, 'settings_leaderboard');
+                    await sendMessage(from, `*How should you appear on leaderboards and team digests?*
+
+1️⃣ By name
+2️⃣ Anonymously
+3️⃣ Hidden`);
+                    break;
+                default:
+                    await sendMessage(from, `Reply with a number from 1 to 6, or *done* to exit.`);
+            }
+            break;
+
+        case 'settings_name':
+            await setUserName(from, input.split(' ')[0]);
+            await handleSettings(from, await getUserData(from), `Got it ✅`);
+            break;
+
+        case 'settings_morning':
+            const mTime = parseTime(input);
+            if (!mTime) {
+                await sendMessage(from, `Hmm, try: 7:00 or 8 AM`);
+                return;
+            }
+            await setMorningReminderTime(from, mTime);
+            await handleSettings(from, await getUserData(from), `Morning check-in: *${mTime}* ☀️`);
+            break;
+
+        case 'settings_evening':
+            const eTime = parseTime(input);
+            if (!eTime) {
+                await sendMessage(from, `Try: 20:00 or 8 PM`);
+                return;
+            }
+            await setEveningReminderTime(from, eTime);
+            await handleSettings(from, await getUserData(from), `Evening check-in: *${eTime}* 🌙`);
+            break;
+
+        case 'settings_timezone':
+            const timezone = resolveTimezone(input);
+            if (!timezone) {
+                await sendMessage(from, `I don't know that one. Try a city like Lagos or a zone like Europe/Paris`);
+                return;
+            }
+            await setTimezone(from, timezone);
+            await handleSettings(from, await getUserData(from), `Timezone: *${timezone}* 🌍`);
+            break;
+
+        case 'settings_leaderboard':
+            const visibility = Object.hasOwn(LEADERBOARD_REPLIES, inputLower) && LEADERBOARD_REPLIES[inputLower];
+            if (!visibility) {
+                await sendMessage(from, `Reply 1 (by name), 2 (anonymously) or 3 (hidden)`);
+                return;
+            }
+            await setLeaderboardVisibility(from, visibility);
+            await handleSettings(from, await getUserData(from), `Leaderboard: *${LEADERBOARD_SETTINGS[visibility]}*`);
+            break;
+    }
+}
+
+async function handlePauseCommand(from, user, paused) {
+    if (user.remindersPaused === paused) {
+        await sendMessage(from, paused
+            ? `Reminders are already paused. Type *resume* to turn them back on.`
+            : `Reminders are already on! 📲`);
+        return;
+    }
+
+    await setRemindersPaused(from, paused);
+    await sendMessage(from, paused
+        ? `Reminders paused ⏸️
+
+Your streak and history are safe. You can still check in anytime.
+Type *resume* when you're ready.`
+        : `Welcome back, ${user.name}! ▶️
+
+🌅 ${user.morningReminderTime} and 🌙 ${user.eveningReminderTime} reminders are back on.`);
+}
+
 // ========== COMMAND HANDLERS ==========
 
 async function handleGreeting(from, user) {
@@ -296,7 +749,7 @@ See you tomorrow!`);
 ${emoji} Current streak: *${user.currentStreak} days*
 
 Time to check in - did you code today?
-Reply *yes* or *no*`);
+Reply *yes* or *no*`, YES_NO_REPLIES);
             await setConversationState(from, 'evening_check');
         } else {
             await sendMessage(from, `Hey ${user.name}! 👋
@@ -349,30 +802,64 @@ Don't give up early, ${user.name}. 💪`);
     await handleNo(from, user);
 }
 
-async function handleYes(from, user) {
-    const streakInfo = await saveCodedResponse(from, true);
+async function handleYes(from, user, date = null) {
+    const streakInfo = await saveCodedResponse(from, true, date);
+
+    if (date && date !== getTodayDate(user.timezone)) {
+        await sendMessage(from, `✅ Logged *${formatDateDisplay(date)}* as a coding day.
+${formatStreakEmoji(streakInfo.currentStreak)} Streak: *${streakInfo.currentStreak} days*
+
+*What did you work on that day?*`);
+        return;
+    }
+
     const todaysLog = await getTodaysLog(from);
     const plan = todaysLog?.todaysPlan;
+    const outcome = todaysLog?.planOutcome;
+    const earnedFreeze = (await getUserData(from)).freezesAvailable > (user.freezesAvailable || 0);
 
     let message;
-    if (plan) {
+    if (plan && outcome === 'partial') {
+        message = `💪 Progress is progress, ${user.name}!
+
+You planned: _"${plan}"_
+
+*What did you get done?*`;
+    } else if (plan && outcome !== 'not_done') {
         message = `🎉 You did it, ${user.name}!
 
 You said: _"${plan}"_
 
 *What did you actually accomplish?*`;
+    } else if (plan) {
+        message = `🎉 Still showed up - nice, ${user.name}!
+
+*What did you work on instead?*`;
     } else {
         message = `🎉 Great work, ${user.name}!
 
 *What did you work on today?*`;
     }
 
+    if (earnedFreeze) {
+        message = `❄️ ${streakInfo.currentStreak} days in a row earns you a streak freeze! (*rest* to see them)\n\n${message}`;
+    }
+
     await sendMessage(from, message);
+    await notifyTeamCheckIn(from, user, true, streakInfo.currentStreak);
 }
 
-async function handleNo(from, user) {
+async function handleNo(from, user, date = null) {
     const streak = user.currentStreak;
-    await saveCodedResponse(from, false);
+    const streakInfo = await saveCodedResponse(from, false, date);
+
+    if (date && date !== getTodayDate(user.timezone)) {
+        await sendMessage(from, `Logged *${formatDateDisplay(date)}* as a day off.
+${formatStreakEmoji(streakInfo.currentStreak)} Streak: *${streakInfo.currentStreak} days*
+
+*What got in the way that day?*`);
+        return;
+    }
 
     let message;
     if (streak >= 7) {
@@ -399,23 +886,201 @@ It happens. What matters is tomorrow.
     }
 
     await sendMessage(from, message);
+    await notifyTeamCheckIn(from, user, false, streakInfo.currentStreak);
+}
+
+// ========== PAST DAYS ==========
+
+/**
+ * How many days back a user can fill in or correct (BACKFILL_DAYS, default 3)
+ */
+function getBackfillDays() {
+    const days = Number.parseInt(process.env.BACKFILL_DAYS, 10);
+    return Number.isInteger(days) && days >= 0 ? days : 3;
+}
+
+/**
+ * Check a typed day can be logged, explaining why not if it can't
+ * @returns {string|null} Date in YYYY-MM-DD format, or null if rejected
+ */
+async function resolveEditableDate(from, user, dayInput, usage) {
+    const date = parseLogDate(dayInput, user.timezone);
+    if (!date) {
+        await sendMessage(from, `I didn't get that day. Try: ${usage}`);
+        return null;
+    }
+
+    const daysAgo = daysBetween(date, getTodayDate(user.timezone));
+    if (daysAgo < 0) {
+        await sendMessage(from, `${formatDateDisplay(date)} hasn't happened yet! 😉`);
+        return null;
+    }
+    if (daysAgo > getBackfillDays()) {
+        await sendMessage(from, `${formatDateDisplay(date)} is too far back - you can fill in the last ${getBackfillDays()} days.`);
+        return null;
+    }
+
+    return date;
+}
+
+/**
+ * log <day> yes|no - Fill in a day that was never answered
+ */
+async function handleLogCommand(from, user, args) {
+    const [dayInput, answer] = args.trim().split(/\s+/);
+    const usage = '*log yesterday yes* or *log 2026-10-12 no*';
+
+    if (!['yes', 'y', 'no', 'n'].includes(answer)) {
+        await sendMessage(from, `Tell me the day and whether you coded, like ${usage}`);
+        return;
+    }
+
+    const date = await resolveEditableDate(from, user, dayInput, usage);
+    if (!date) return;
+
+    const coded = answer.startsWith('y');
+
+    // Today keeps its usual rules
+    if (date === getTodayDate(user.timezone)) {
+        await (coded ? handleYesCommand(from, user) : handleNoCommand(from, user));
+        return;
+    }
+
+    const log = await getLogForDate(from, date);
+    if (log && log.coded !== null) {
+        await sendMessage(from, `${formatDateDisplay(date)} is already logged ${log.coded ? '✅' : '❌'}
+
+To change it, reply *edit ${date}*`);
+        return;
+    }
+
+    await (coded ? handleYes(from, user, date) : handleNo(from, user, date));
+}
+
+/**
+ * edit <day> - Show a day's log and answer it again
+ */
+async function handleEditCommand(from, user, args) {
+    const date = await resolveEditableDate(from, user, args.trim(), '*edit yesterday* or *edit 2026-10-12*');
+    if (!date) return;
+
+    if (date === getTodayDate(user.timezone) && !(await canLogCompletion(from))) {
+        await sendMessage(from, `You can log today after ${user.eveningReminderTime}.`);
+        return;
+    }
+
+    const log = await getLogForDate(from, date);
+    const answered = log?.coded === true ? '✅ Coded' : (log?.coded === false ? '❌ No code' : '⏳ Not logged');
+
+    let details = '';
+    if (log?.todaysPlan) {
+        const outcome = { done: ' (done)', partial: ' (partly done)', not_done: ' (not done)' }[log.planOutcome] || '';
+        details += `\n📋 Plan: _${log.todaysPlan}_${outcome}`;
+    }
+    if (log?.whatDone) details += `\n💻 Did: _${log.whatDone}_`;
+    if (log?.learning) details += `\n📚 Learned: _${log.learning}_`;
+    if (log?.whyNot) details += `\n🧱 Got in the way: _${log.whyNot}_`;
+
+    await startEditingDay(from, date);
+    await sendMessage(from, `📅 *${formatDateDisplay(date)}*
+${answered}${details}
+
+*Did you code that day?*
+Reply *yes* or *no*`, YES_NO_REPLIES);
+}
+
+/**
+ * Format a 0-1 rate as a percentage
+ */
+function formatRate(rate) {
+    return rate === null ? '-' : `${Math.round(rate * 100)}%`;
+}
+
+/**
+ * Describe time and output, e.g. "6h 30m (avg 1h 18m/day) · 12 commits"
+ * @param {Object} effort - From calculateEffort
+ * @returns {string|null} null when nothing was logged
+ */
+function formatEffort(effort) {
+    const parts = [];
+    if (effort.minutes) parts.push(`${formatDuration(effort.minutes)} (avg ${formatDuration(effort.averageMinutes)}/day)`);
+    if (effort.commits) parts.push(`${effort.commits} commits`);
+    if (effort.problemsSolved) parts.push(`${effort.problemsSolved} problems`);
+    return parts.length ? parts.join(' · ') : null;
+}
+
+/**
+ * Number a plan's checklist, marking items once the evening answer is in
+ * @param {Array} items - [{ text, done }]
+ */
+function formatPlanItems(items) {
+    const marks = { true: '✅ ', false: '❌ ' };
+    return items.map((item, index) => `${marks[item.done] || ''}${index + 1}. ${item.text}`).join('\n');
+}
+
+/**
+ * Describe plan hit rate, e.g. "60% (3 done, 1 partly of 5)"
+ * @param {Object} plans - From calculatePlans
+ * @returns {string|null} null when no plan outcomes were recorded
+ */
+function formatPlans(plans) {
+    if (!plans.planned) return null;
+    const partly = plans.partial ? `, ${plans.partial} partly` : '';
+    return `*${formatRate(plans.hitRate)}* (${plans.done} done${partly} of ${plans.planned})`;
 }
 
 async function handleStatus(from, user) {
-    const emoji = formatStreakEmoji(user.currentStreak);
-    const logs = await getRecentLogs(from, 7);
-    const coded = logs.filter(l => l.coded).length;
+    // Worked out from the logs, not the stored counters
+    const stats = await getUserStats(from);
+    const emoji = formatStreakEmoji(stats.currentStreak);
+
+    let message = `📊 *${user.name}'s Stats*
+
+${emoji} Current: *${stats.currentStreak} days*
+🏆 Best: *${stats.longestStreak} days*
+📅 This week: ${stats.last7Days}/7
+💻 Total days coded: ${stats.totalDaysCoded}
+🎯 Completion rate: *${formatRate(stats.completionRate)}* (${stats.totalDaysCoded}/${stats.daysLogged} days)`;
+
+    const plans = formatPlans(stats.plans.all);
+    if (plans) {
+        message += `\n📋 Plan hit rate: ${plans}`;
+        const thisWeek = formatPlans(stats.plans.week);
+        if (thisWeek) message += `\n    This week: ${thisWeek}`;
+    }
 
-    await sendMessage(from, `📊 *${user.name}'s Stats*
+    const todaysLog = await getTodaysLog(from);
+    if (todaysLog?.carriedOver >= SLIPPING_AFTER) {
+        message += `\n⚠️ Slipping: _${todaysLog.todaysPlan}_ (carried over ${todaysLog.carriedOver} days)`;
+    }
+
+    const week = formatEffort(stats.effort.week);
+    const month = formatEffort(stats.effort.month);
+    if (week || month) {
+        message += `\n\n⏱️ Last 7 days: ${week || '-'}\n📆 Last 30 days: ${month || '-'}`;
+    }
 
-${emoji} Current: *${user.currentStreak} days*
-🏆 Best: *${user.longestStreak} days*
-📅 This week: ${coded}/7
-💻 Total days coded: ${user.totalDaysCoded || 0}
+    const weekdays = stats.weekdays.filter(weekday => weekday.logged > 0);
+    if (weekdays.length) {
+        message += `\n\n*By weekday:*\n`;
+        message += weekdays
+            .map(weekday => `${weekday.day} ${formatRate(weekday.rate)} (${weekday.coded}/${weekday.logged})`)
+            .join('\n');
+    }
 
-${user.currentStreak >= 7 ? "You're crushing it! 🔥" :
-            user.currentStreak > 0 ? "Building that streak! 🧱" :
-                "Ready to start? 🚀"}`);
+    const habits = await getHabits(from);
+    if (habits.length) {
+        message += `\n\n*Other habits:*\n`;
+        message += habits
+            .map(habit => `${formatStreakEmoji(habit.currentStreak)} ${habit.name} (${formatHabitTarget(habit)}): *${habit.currentStreak} days*`)
+            .join('\n');
+    }
+
+    message += `\n\n${stats.currentStreak >= 7 ? "You're crushing it! 🔥" :
+        stats.currentStreak > 0 ? "Building that streak! 🧱" :
+            "Ready to start? 🚀"}`;
+
+    await sendMessage(from, message);
 }
 
 async function handleSummary(from, user) {
@@ -426,19 +1091,49 @@ async function handleSummary(from, user) {
         return;
     }
 
+    const isRestDay = log => !log.coded && (log.rest || user.restDays.includes(getWeekday(log.date)));
+
     let summary = `📋 *${user.name}'s Week*\n\n`;
     for (const log of [...logs].reverse()) {
-        const icon = log.coded ? "✅" : (log.coded === false ? "❌" : "⏳");
+        let icon = log.coded ? "✅" : (log.coded === false ? "❌" : "⏳");
+        if (isRestDay(log)) icon = log.rest === 'freeze' ? "❄️" : "🛌";
         const task = log.todaysPlan ? ` → ${log.todaysPlan.substring(0, 25)}...` : "";
-        summary += `${icon} ${log.date}${task}\n`;
+        const time = log.minutesSpent ? ` (${formatDuration(log.minutesSpent)})` : "";
+        summary += `${icon} ${log.date}${time}${task}\n`;
     }
 
+    // Rest days don't count against you
     const coded = logs.filter(l => l.coded).length;
-    summary += `\n*${coded}/${logs.length} days* 💪`;
+    const workDays = logs.filter(l => !isRestDay(l)).length;
+    summary += `\n*${coded}/${workDays} days* 💪`;
+
+    const effort = formatEffort(calculateEffort(logs, getTodayDate(user.timezone), 7));
+    if (effort) summary += `\n⏱️ ${effort}`;
 
     await sendMessage(from, summary);
 }
 
+async function handleTimezoneCommand(from, user, zoneInput) {
+    if (!zoneInput.trim()) {
+        await sendMessage(from, `🌍 Your timezone: *${user.timezone}*
+
+To change it, reply like:
+*timezone Lagos* or *timezone Europe/Berlin*`);
+        return;
+    }
+
+    const timezone = resolveTimezone(zoneInput);
+    if (!timezone) {
+        await sendMessage(from, `I don't know "${zoneInput.trim()}". Try a city like Lagos or a zone like Europe/Paris`);
+        return;
+    }
+
+    await setTimezone(from, timezone);
+    await sendMessage(from, `🌍 Timezone set to *${timezone}*
+
+🌅 ${user.morningReminderTime} and 🌙 ${user.eveningReminderTime} now follow your local time.`);
+}
+
 async function handleHelp(from, user) {
     await sendMessage(from, `*${user.name}'s Commands:*
 
@@ -446,9 +1141,20 @@ async function handleHelp(from, user) {
 📝 *no* - I didn't code
 📊 *status* - My stats
 📋 *summary* - This week
+🗓️ *log yesterday yes* - Fill in a missed day
+✏️ *edit 2026-10-12* - Correct a past day
+🛌 *rest* - Rest days & streak freezes
+🎯 *habits* - Track more than coding
+👥 *team* - Accountability partners
+🏆 *leaderboard* - Who's on a roll
+📦 *export* - Download your journal & history
+🌍 *timezone* - View or change timezone
+⚙️ *settings* - Change name & reminder times
+📲 *reminders* - Midday ping & last call
+⏸️ *pause* / *resume* - Pause reminders
 🔄 *reset* - Start over
 
-*Schedule:*
+*Schedule:* (${user.timezone})
 🌅 ${user.morningReminderTime} - Plan your day
 🌙 ${user.eveningReminderTime} - Log results
 
@@ -469,6 +1175,21 @@ async function handleReset(from, user) {
 Type *confirm reset* to proceed.`);
 }
 
+async function handleAccessDenied(from, reason) {
+    if (reason === 'revoked') {
+        await sendMessage(from, `Your access to this bot has been turned off.
+
+If you think that's a mistake, please reach out to the organiser. 🙏`);
+        return;
+    }
+
+    await sendMessage(from, `Hi there! 👋
+
+This accountability bot is invite-only for now.
+
+If you have an invite code, just send it here to get started.`);
+}
+
 async function handleUnknown(from, user) {
     await sendMessage(from, `Not sure what you mean, ${user.name}.
 
@@ -0,0 +1,105 @@
+/**
+ * Message Queue - Process incoming messages after the webhook is acknowledged
+ *
+ * Webhooks are answered with 200 straight away and the work happens here,
+ * so a slow AI reply can't make the provider time out and redeliver.
+ * Messages from the same sender run one at a time, in arrival order, so a
+ * conversation can't race itself. Different senders run side by side.
+ *
+ * The provider already has its 200, so it won't retry a message that fails
+ * here: the sender is asked to send it again, and its ID is forgotten so a
+ * redelivery isn't skipped as a duplicate.
+ */
+
+import { sendMessage, formatAddress } from '../channels/index.js';
+import { handleMessage } from './messageHandler.js';
+import { markMessageProcessed, unmarkMessageProcessed, updateDeliveryStatus } from './storage.js';
+
+// Tail of each sender's queue, keyed by "channel:id"
+const queues = new Map();
+
+/**
+ * Run a task after every earlier task with the same key
+ * @param {string} key - Queue key
+ * @param {Function} task - Async work
+ * @returns {Promise} Settles when the task is done (never rejects)
+ */
+export function enqueue(key, task) {
+    const previous = queues.get(key) || Promise.resolve();
+    const current = previous
+        .then(task)
+        .catch(error => console.error(`[Queue] Task for ${key} failed:`, error));
+
+    queues.set(key, current);
+    current.then(() => {
+        if (queues.get(key) === current) queues.delete(key);
+    });
+
+    return current;
+}
+
+/**
+ * Wait until every queued task has finished
+ */
+export async function whenIdle() {
+    while (queues.size > 0) {
+        await Promise.all(queues.values());
+    }
+}
+
+/**
+ * Handle one incoming message, skipping IDs we've seen before
+ * @param {string} channelName - Channel the message came in on
+ * @param {Object} message - { id, from, text, media } from the channel adapter
+ */
+async function processMessage(channelName, message) {
+    if (message.id && !(await markMessageProcessed(channelName, message.id))) {
+        console.log(`[Queue] Skipping duplicate ${channelName} message ${message.id}`);
+        return;
+    }
+
+    const address = { channel: channelName, id: message.from };
+    const attachment = message.media ? ` [${message.media.type}]` : '';
+    console.log(`[Message] ${channelName}:${message.from} | Text: "${message.text}"${attachment}`);
+
+    try {
+        await handleMessage(address, message.text, message.media);
+    } catch (error) {
+        console.error(`[Queue] Handling ${channelName} message ${message.id} from ${message.from} failed:`, error);
+
+        if (message.id) {
+            await unmarkMessageProcessed(channelName, message.id)
+                .catch(unmarkError => console.error(`[Queue] Couldn't forget message ${message.id}:`, unmarkError.message));
+        }
+        await sendMessage(address, `Sorry, something went wrong on my side 😕\n\nPlease send that again.`)
+            .catch(sendError => console.error(`[Queue] Couldn't tell ${message.from} about it:`, sendError.message));
+    }
+}
+
+/**
+ * Queue an incoming message for processing
+ * @param {string} channelName - Channel the message came in on
+ * @param {Object} message - { id, from, text, media, timestamp } from the channel adapter
+ * @returns {Promise} Settles once the message has been handled
+ */
+export function enqueueMessage(channelName, message) {
+    const key = formatAddress({ channel: channelName, id: message.from });
+    return enqueue(key, () => processMessage(channelName, message));
+}
+
+/**
+ * Queue a delivery status update for a message we sent
+ * @param {string} channelName - Channel the status came in on
+ * @param {Object} status - { id, status, timestamp, error } from the channel adapter
+ * @returns {Promise} Settles once the status has been recorded
+ */
+export function enqueueStatus(channelName, status) {
+    return enqueue(`${channelName}:statuses`, async () => {
+        const tracked = await updateDeliveryStatus(channelName, status);
+        if (status.status === 'failed') {
+            console.error(`[Delivery] ${channelName} message ${status.id} failed: ${status.error}`);
+        } else if (tracked) {
+            console.log(`[Delivery] ${channelName} message ${status.id} ${status.status}`);
+        }
+    });
+}
@@ -0,0 +1,100 @@
+/**
+ * Reminders - Which check-ins go out and when
+ *
+ * Morning and evening come with every account (change them in settings).
+ * Two optional extras:
+ * - reminders midday 13:00   A progress ping about today's plan
+ * - reminders lastcall on    A nudge at 23:00 if nothing is logged yet
+ */
+
+import { sendMessage } from '../channels/index.js';
+import { setReminderSlot } from './storage.js';
+import { DEFAULT_MIDDAY_TIME, LAST_CALL_TIME } from '../models/User.js';
+import { parseTime } from '../utils/helpers.js';
+
+const SLOT_LABELS = {
+    morning: '🌅 Morning check-in',
+    midday: '🕛 Midday ping',
+    evening: '🌙 Evening check-in',
+    last_call: '⏰ Last call'
+};
+
+/**
+ * reminders, reminders midday <time|on|off>, reminders lastcall <on|off>
+ * @param {Object} from - User's address
+ * @param {Object} user - User document
+ * @param {string} args - Everything after "reminders"
+ */
+export async function handleRemindersCommand(from, user, args) {
+    const [slot = '', ...rest] = args.trim().toLowerCase().replace(/^last call\b/, 'lastcall').split(/\s+/);
+    const setting = rest.join(' ');
+
+    switch (slot) {
+        case '':
+            await showReminders(from, user);
+            break;
+        case 'midday':
+            await handleMiddaySetting(from, setting);
+            break;
+        case 'lastcall':
+            await handleLastCallSetting(from, user, setting);
+            break;
+        default:
+            await sendMessage(from, `Try: *reminders midday 13:00* or *reminders lastcall on*`);
+    }
+}
+
+async function showReminders(from, user) {
+    const slots = [...user.reminders]
+        .sort((a, b) => a.time.localeCompare(b.time))
+        .map(reminder => `${SLOT_LABELS[reminder.type]}: *${reminder.time}*`)
+        .join('\n');
+
+    await sendMessage(from, `📲 *Your Reminders* (${user.timezone})
+
+${slots}${user.remindersPaused ? '\n\n⏸️ Paused - type *resume* to turn them back on' : ''}
+
+• *reminders midday 13:00* - Progress ping at midday (*reminders midday off* to stop)
+• *reminders lastcall on* - Nudge at ${LAST_CALL_TIME} if nothing's logged (*off* to stop)
+• *settings* - Change the morning and evening times`);
+}
+
+async function handleMiddaySetting(from, setting) {
+    if (setting === 'off') {
+        await setReminderSlot(from, 'midday', null);
+        await sendMessage(from, `Midday ping turned off.`);
+        return;
+    }
+
+    const time = setting === 'on' || !setting ? DEFAULT_MIDDAY_TIME : parseTime(setting);
+    if (!time) {
+        await sendMessage(from, `Try: *reminders midday 13:00* or *reminders midday off*`);
+        return;
+    }
+
+    await setReminderSlot(from, 'midday', time);
+    await sendMessage(from, `🕛 Midday ping set for *${time}*.
+
+I'll check how today's plan is going.`);
+}
+
+async function handleLastCallSetting(from, user, setting) {
+    if (setting === 'off') {
+        await setReminderSlot(from, 'last_call', null);
+        await sendMessage(from, `Last call turned off.`);
+        return;
+    }
+    if (setting && setting !== 'on') {
+        await sendMessage(from, `Try: *reminders lastcall on* or *reminders lastcall off*`);
+        return;
+    }
+    if (user.eveningReminderTime >= LAST_CALL_TIME) {
+        await sendMessage(from, `Your evening check-in is at ${user.eveningReminderTime} - that's already your last call! 🌙`);
+        return;
+    }
+
+    await setReminderSlot(from, 'last_call', LAST_CALL_TIME);
+    await sendMessage(from, `⏰ Last call on.
+
+If nothing's logged by ${LAST_CALL_TIME}, I'll give you one more nudge.`);
+}
@@ -0,0 +1,183 @@
+/**
+ * Rest Days - Planned breaks that don't cost a streak
+ *
+ * Three ways to rest:
+ * - rest days sun      Recurring rest weekdays
+ * - rest 2026-10-25    A one-off rest day, marked ahead of time
+ * - freeze             Spend an earned freeze on today or yesterday
+ *
+ * Freezes are earned by keeping a streak going (see User.js) and only
+ * FREEZES_PER_MONTH (default 2) can be spent in a calendar month.
+ */
+
+import { sendMessage } from '../channels/index.js';
+import {
+    setRestDays,
+    markRestDay,
+    cancelRestDay,
+    getPlannedRestDays,
+    getLogForDate,
+    countFreezesUsed,
+    useFreeze
+} from './storage.js';
+import { FREEZE_STREAK_INTERVAL, MAX_BANKED_FREEZES } from '../models/User.js';
+import {
+    WEEKDAYS,
+    getWeekday,
+    parseWeekdays,
+    parseLogDate,
+    formatDateDisplay,
+    formatStreakEmoji,
+    getTodayDate,
+    daysBetween
+} from '../utils/helpers.js';
+
+// How far ahead a rest day can be planned
+const MAX_DAYS_AHEAD = 60;
+
+/**
+ * How many freezes can be spent in a month (FREEZES_PER_MONTH, default 2)
+ */
+function getFreezesPerMonth() {
+    const freezes = Number.parseInt(process.env.FREEZES_PER_MONTH, 10);
+    return Number.isInteger(freezes) && freezes >= 0 ? freezes : 2;
+}
+
+/**
+ * rest, rest days <weekdays>, rest <day>, rest cancel <day>
+ * @param {Object} from - User's address
+ * @param {Object} user - User document
+ * @param {string} args - Everything after "rest"
+ */
+export async function handleRestCommand(from, user, args) {
+    const [subcommand = '', ...rest] = args.trim().toLowerCase().split(/\s+/);
+
+    switch (subcommand) {
+        case '':
+            await showRestDays(from, user);
+            break;
+        case 'days':
+            await handleRecurringRestDays(from, rest);
+            break;
+        case 'cancel':
+            await handleCancelRestDay(from, user, rest.join(' '));
+            break;
+        default:
+            await handlePlanRestDay(from, user, subcommand);
+    }
+}
+
+async function showRestDays(from, user) {
+    const planned = await getPlannedRestDays(from);
+
+    await sendMessage(from, `🛌 *Rest Days*
+
+Every week: *${user.restDays.length ? user.restDays.join(', ') : 'none'}*
+Planned: ${planned.length ? planned.map(formatDateDisplay).join(', ') : 'none'}
+❄️ Freezes: *${user.freezesAvailable || 0}*
+
+Rest days never break your streak.
+
+• *rest days sun* - Rest every Sunday (*rest days none* to stop)
+• *rest tomorrow* or *rest 2026-10-25* - Plan a rest day
+• *rest cancel 2026-10-25* - Cancel a planned rest day
+• *freeze* - Spend a freeze on today (or *freeze yesterday*)
+
+_You earn a freeze every ${FREEZE_STREAK_INTERVAL} days in a row (up to ${MAX_BANKED_FREEZES} saved, ${getFreezesPerMonth()} spent a month)._`);
+}
+
+async function handleRecurringRestDays(from, words) {
+    const days = words.length === 1 && words[0] === 'none' ? [] : parseWeekdays(words);
+    if (!days || (!days.length && words[0] !== 'none')) {
+        await sendMessage(from, `Try: *rest days sun* or *rest days sat sun*`);
+        return;
+    }
+    if (days.length === WEEKDAYS.length) {
+        await sendMessage(from, `That's every day! 😄 Keep at least one day for the habit.`);
+        return;
+    }
+
+    await setRestDays(from, days);
+    await sendMessage(from, days.length
+        ? `🛌 Rest days set: *${days.join(', ')}*\n\nNo reminders those days, and your streak stays safe.`
+        : `Recurring rest days turned off.`);
+}
+
+async function handlePlanRestDay(from, user, dayInput) {
+    const date = parseLogDate(dayInput, user.timezone);
+    if (!date) {
+        await sendMessage(from, `Try: *rest tomorrow* or *rest 2026-10-25*`);
+        return;
+    }
+
+    const daysAhead = daysBetween(getTodayDate(user.timezone), date);
+    if (daysAhead < 1) {
+        await sendMessage(from, `Rest days are planned ahead of time.
+
+Need today off? Reply *freeze* to spend a streak freeze.`);
+        return;
+    }
+    if (daysAhead > MAX_DAYS_AHEAD) {
+        await sendMessage(from, `That's a long way off - you can plan up to ${MAX_DAYS_AHEAD} days ahead.`);
+        return;
+    }
+
+    await markRestDay(from, date);
+    await sendMessage(from, `🛌 *${formatDateDisplay(date)}* is a rest day.
+
+No reminders, and your streak stays safe. Enjoy it!`);
+}
+
+async function handleCancelRestDay(from, user, dayInput) {
+    const date = parseLogDate(dayInput, user.timezone);
+    if (!date) {
+        await sendMessage(from, `Try: *rest cancel 2026-10-25*`);
+        return;
+    }
+
+    const cancelled = await cancelRestDay(from, date);
+    await sendMessage(from, cancelled
+        ? `${formatDateDisplay(date)} is a normal day again.`
+        : `${formatDateDisplay(date)} wasn't a planned rest day.`);
+}
+
+/**
+ * freeze [today|yesterday] - Keep the streak through a day off
+ * @param {Object} from - User's address
+ * @param {Object} user - User document
+ * @param {string} args - Everything after "freeze"
+ */
+export async function handleFreezeCommand(from, user, args) {
+    const date = parseLogDate(args.trim() || 'today', user.timezone);
+    const daysAgo = date && daysBetween(date, getTodayDate(user.timezone));
+    if (!date || daysAgo < 0 || daysAgo > 1) {
+        await sendMessage(from, `Freezes work on today or yesterday. Try: *freeze* or *freeze yesterday*`);
+        return;
+    }
+
+    const log = await getLogForDate(from, date);
+    if (log?.coded) {
+        await sendMessage(from, `You coded on ${formatDateDisplay(date)} - no freeze needed! 💪`);
+        return;
+    }
+    if (log?.rest || user.restDays.includes(getWeekday(date))) {
+        await sendMessage(from, `${formatDateDisplay(date)} is already a rest day. 🛌`);
+        return;
+    }
+    if (!user.freezesAvailable) {
+        await sendMessage(from, `No freezes left ❄️
+
+You earn one every ${FREEZE_STREAK_INTERVAL} days in a row.`);
+        return;
+    }
+    if (await countFreezesUsed(from, date.slice(0, 7)) >= getFreezesPerMonth()) {
+        await sendMessage(from, `You've used this month's ${getFreezesPerMonth()} freezes. They reset on the 1st.`);
+        return;
+    }
+
+    const { currentStreak, freezesAvailable } = await useFreeze(from, date);
+    await sendMessage(from, `❄️ *${formatDateDisplay(date)}* frozen.
+
+${formatStreakEmoji(currentStreak)} Streak: *${currentStreak} days* - still alive!
+Freezes left: ${freezesAvailable}`);
+}
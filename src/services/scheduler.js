@@ -2,35 +2,63 @@
  * Scheduler - Morning motivation, Evening accountability, Weekly summary
  * 
  * CRON JOBS:
- * - Every minute: Check for morning/evening reminders
- * - Every Sunday 10 AM: Send weekly AI-powered summary (opt-in)
+ * - Every minute: Check each user's reminder slots (morning, midday,
+ *   evening, last call), habit reminders and team nudges
+ * - Sundays at 10 AM in each user's timezone (checked every minute too):
+ *   Send weekly AI-powered summary (opt-in) and team digests
  */
 
 import cron from 'node-cron';
-import { sendMessage } from './whatsapp.js';
+import { sendMessage, getAddress } from '../channels/index.js';
 import {
-    getUsersForMorningReminder,
-    getUsersForEveningReminder,
-    markMorningReminderSent,
-    markEveningReminderSent,
+    getActiveTimezones,
+    getUsersForReminder,
+    getHabitsForReminder,
+    markReminderSent,
+    markHabitReminderSent,
+    startHabitCheckIn,
     setConversationState,
     createTodaysLog,
+    recordOutboundMessage,
     getAllUsersForWeeklySummary,
-    getWeeklyStats
+    getWeeklyStats,
+    getTodaysLog,
+    getTeamMembersNotCheckedIn,
+    getTeams,
+    getTeamMembers,
+    getLeaderboard
 } from './storage.js';
-import { getTodayDate } from '../utils/helpers.js';
+import { LAST_CALL_TIME, CONVERSATION_IDLE_MINUTES, DEFAULT_TIMEZONE } from '../models/User.js';
+import { getTodayDate, getCurrentTime, getWeekday, addMinutesToTime, formatStreakEmoji } from '../utils/helpers.js';
+import { now } from '../utils/clock.js';
 import { getQuoteOfTheDay } from '../utils/quotes.js';
+import { YES_NO_REPLIES, MORNING_MOOD_REPLIES, EVENING_MOOD_REPLIES } from '../utils/quickReplies.js';
+import { getHabitQuestion, getHabitCommand } from './habits.js';
+import { notifyTeammates, getTeamNudgeMinutes } from './teams.js';
+import { formatLeaderboard } from './leaderboard.js';
 // AI Coach - optional, for weekly summaries
 import { getWeeklySummary } from '../ai/coach.js';
 
+/**
+ * Is the user partway through another conversation (set up a habit, change
+ * settings, ...)? A reminder then mustn't take over their next reply: it
+ * still goes out, but leaves conversationState alone.
+ * Conversations nobody has touched for CONVERSATION_IDLE_MINUTES are over.
+ */
+function isMidConversation(user) {
+    if (!user.conversationState || !user.conversationUpdatedAt) return false;
+    return now() - user.conversationUpdatedAt < CONVERSATION_IDLE_MINUTES * 60 * 1000;
+}
+
 /**
  * Morning reminder - Start with quote, ask how they're feeling
  */
-async function sendMorningReminder(user) {
+export async function sendMorningReminder(user) {
     const quote = getQuoteOfTheDay();
     const name = user.name || 'friend';
+    const address = getAddress(user);
 
-    await createTodaysLog(user.phone);
+    await createTodaysLog(address);
 
     // Personalized greeting based on streak
     let greeting;
@@ -44,36 +72,37 @@ async function sendMorningReminder(user) {
         greeting = `Good morning, ${name}! 🌅\n\nNew day, new opportunity.`;
     }
 
+    // Mid-conversation there's no question, so their next reply goes where it should
+    const busy = isMidConversation(user);
+    const question = busy
+        ? ''
+        : `\n\n*How are you feeling today?*\n(Just a word or two - energized, tired, motivated, stressed, etc.)`;
     const message = `${greeting}
 
-💡 _"${quote}"_
-
-*How are you feeling today?*
-(Just a word or two - energized, tired, motivated, stressed, etc.)`;
+💡 _"${quote}"_${question}`;
 
     try {
-        await sendMessage(user.phone, message);
-        await markMorningReminderSent(user.phone, getTodayDate());
-        await setConversationState(user.phone, 'morning_mood');
+        const today = getTodayDate(user.timezone);
+        const messageId = await sendMessage(address, message, busy ? undefined : MORNING_MOOD_REPLIES);
+        await markReminderSent(address, 'morning', today);
+        await recordOutboundMessage(address, messageId, 'morning_reminder', today);
+        if (!busy) await setConversationState(address, 'morning_mood');
         console.log(`[Morning] Sent to ${name}`);
     } catch (error) {
-        console.error(`[Morning] Failed for ${user.phone}:`, error.message);
+        console.error(`[Morning] Failed for ${user.channel}:${user.channelId}:`, error.message);
     }
 }
 
 /**
  * Evening reminder - Check in, ask how they're feeling first
+ * getUsersForReminder leaves out users who already logged or are resting
+ * today. Mid-conversation the mood question is swapped for a "reply yes or
+ * no when we're done" line and their conversation state is left alone.
  */
-async function sendEveningReminder(user) {
+export async function sendEveningReminder(user) {
     const name = user.name || 'friend';
-    const today = getTodayDate();
-    const todaysLog = user.dailyLog.find(log => log.date === today);
-
-    // If they already completed today, skip
-    if (todaysLog?.coded !== null && todaysLog?.coded !== undefined) {
-        console.log(`[Evening] ${name} already logged today, skipping`);
-        return;
-    }
+    const address = getAddress(user);
+    const today = getTodayDate(user.timezone);
 
     let greeting;
     if (user.currentStreak >= 7) {
@@ -84,60 +113,185 @@ async function sendEveningReminder(user) {
         greeting = `Hey ${name}! 🌙\n\nHow was your day?`;
     }
 
+    const busy = isMidConversation(user);
+    const question = busy
+        ? `When we're done here, reply *yes* or *no* - did you code today?`
+        : `*How are you feeling right now?*\n(Tired, accomplished, frustrated, happy, etc.)`;
     const message = `${greeting}
 
-*How are you feeling right now?*
-(Tired, accomplished, frustrated, happy, etc.)`;
+${question}`;
 
     try {
-        await sendMessage(user.phone, message);
-        await markEveningReminderSent(user.phone, getTodayDate());
-        await setConversationState(user.phone, 'evening_mood');
+        const messageId = await sendMessage(address, message, busy ? undefined : EVENING_MOOD_REPLIES);
+        await markReminderSent(address, 'evening', today);
+        await recordOutboundMessage(address, messageId, 'evening_reminder', today);
+        if (!busy) await setConversationState(address, 'evening_mood');
         console.log(`[Evening] Sent to ${name}`);
     } catch (error) {
-        console.error(`[Evening] Failed for ${user.phone}:`, error.message);
+        console.error(`[Evening] Failed for ${user.channel}:${user.channelId}:`, error.message);
+    }
+}
+
+/**
+ * Midday reminder (optional) - A nudge about today's plan, no question asked
+ */
+export async function sendMiddayReminder(user) {
+    const name = user.name || 'friend';
+    const address = getAddress(user);
+    const today = getTodayDate(user.timezone);
+    const plan = (await getTodaysLog(address))?.todaysPlan;
+
+    const message = plan
+        ? `🕛 Halfway there, ${name}!
+
+How's it going with _"${plan}"_?
+
+Even a small push now makes tonight's check-in easier. 💪`
+        : `🕛 Halfway there, ${name}!
+
+Found time to code yet? Even 30 focused minutes keeps the streak alive. 💪`;
+
+    try {
+        const messageId = await sendMessage(address, message);
+        await markReminderSent(address, 'midday', today);
+        await recordOutboundMessage(address, messageId, 'midday_reminder', today);
+        console.log(`[Midday] Sent to ${name}`);
+    } catch (error) {
+        console.error(`[Midday] Failed for ${user.channel}:${user.channelId}:`, error.message);
+    }
+}
+
+/**
+ * Last call (optional) - An hour before the day ends, for users with nothing logged
+ * Users who already logged today are filtered out by getUsersForReminder
+ */
+export async function sendLastCallReminder(user) {
+    const name = user.name || 'friend';
+    const address = getAddress(user);
+    const today = getTodayDate(user.timezone);
+
+    // Logging opens at the evening time - too early to ask before then
+    if (user.eveningReminderTime >= LAST_CALL_TIME) {
+        await markReminderSent(address, 'last_call', today);
+        return;
+    }
+
+    const streak = user.currentStreak > 0
+        ? `\n\n${formatStreakEmoji(user.currentStreak)} Your ${user.currentStreak}-day streak is on the line.`
+        : '';
+
+    const busy = isMidConversation(user);
+    const message = `⏰ Last call, ${name}! The day ends in an hour and nothing's logged yet.${streak}
+
+*Did you code today?*
+${busy ? `When we're done here, reply` : 'Reply'} *yes* or *no*`;
+
+    try {
+        const messageId = await sendMessage(address, message, busy ? undefined : YES_NO_REPLIES);
+        await markReminderSent(address, 'last_call', today);
+        await recordOutboundMessage(address, messageId, 'last_call_reminder', today);
+        if (!busy) await setConversationState(address, 'evening_check');
+        console.log(`[LastCall] Sent to ${name}`);
+    } catch (error) {
+        console.error(`[LastCall] Failed for ${user.channel}:${user.channelId}:`, error.message);
+    }
+}
+
+/**
+ * Habit reminder - Check in on one of the user's extra habits
+ * Mid-conversation it only says how to check in later, so their next
+ * reply still goes to what they were doing.
+ * @param {Object} habit - Habit with its user populated
+ */
+export async function sendHabitReminder(habit) {
+    const user = habit.user;
+    const name = user.name || 'friend';
+    const address = getAddress(user);
+    const today = getTodayDate(user.timezone);
+    const busy = isMidConversation(user);
+
+    const streak = habit.currentStreak > 0 ? `\n\n${formatStreakEmoji(habit.currentStreak)} ${habit.name} streak: ${habit.currentStreak} days` : '';
+    const { message, options } = busy
+        ? { message: `Time for *${habit.name}*! When we're done here, check in with *${getHabitCommand(habit)}*`, options: undefined }
+        : getHabitQuestion(habit);
+
+    try {
+        const messageId = await sendMessage(address, `Hey ${name}! 🎯${streak}\n\n${message}`, options);
+        await markHabitReminderSent(habit._id, today);
+        await recordOutboundMessage(address, messageId, 'habit_reminder', today);
+        if (!busy) await startHabitCheckIn(address, habit._id);
+        console.log(`[Habit] Sent ${habit.name} to ${name}`);
+    } catch (error) {
+        console.error(`[Habit] Failed for ${user.channel}:${user.channelId}:`, error.message);
     }
 }
 
+/**
+ * Team nudge - Tell teammates someone still hasn't checked in
+ * Runs TEAM_NUDGE_MINUTES after the quiet member's evening reminder
+ */
+export async function sendTeamNudge(user) {
+    const name = user.name || 'Your teammate';
+    await notifyTeammates(
+        getAddress(user),
+        `👀 *${name}* hasn't checked in yet today. Maybe send them a nudge?`,
+        'team_nudge'
+    );
+    console.log(`[Team] Nudged ${name}'s teammates`);
+}
+
+// When the weekly summary and team digests go out, in each user's own time
+const WEEKLY_DAY = 'Sun';
+const WEEKLY_TIME = '10:00';
+
 /**
  * Weekly summary - AI-powered reflection on the week
- * Only runs if AI_WEEKLY_SUMMARY=true
+ * Only runs if AI_WEEKLY_SUMMARY=true (or when forced, e.g. from the CLI)
+ * @param {Object} [options] - { force, timezone } - timezone limits it to users there
  */
-async function sendWeeklySummaries() {
-    if (process.env.AI_WEEKLY_SUMMARY !== 'true') {
+export async function sendWeeklySummaries({ force = false, timezone = null } = {}) {
+    if (!force && process.env.AI_WEEKLY_SUMMARY !== 'true') {
         console.log('[Weekly] AI weekly summary disabled');
         return;
     }
 
     try {
-        const users = await getAllUsersForWeeklySummary();
+        const users = await getAllUsersForWeeklySummary(timezone);
         console.log(`[Weekly] Sending summaries to ${users.length} users`);
 
         for (const user of users) {
-            const stats = await getWeeklyStats(user.phone);
+            const address = getAddress(user);
+            const stats = await getWeeklyStats(address);
             const name = user.name || 'friend';
 
             // Build summary data for AI
             const weekData = {
                 completed: stats.completed,
                 missed: stats.missed,
-                blockers: stats.blockers
+                blockers: stats.blockers,
+                effort: stats.effort,
+                plans: stats.plans
             };
 
             // Get AI-generated summary
             const aiSummary = await getWeeklySummary(weekData);
 
+            const { planned, done, partial } = stats.plans;
+            const planLine = planned
+                ? `\n\n📋 Plans hit: *${done}/${planned}*${partial ? ` (${partial} partly)` : ''}`
+                : '';
+
             const message = `📊 *${name}'s Weekly Reflection*
 
-${aiSummary}
+${aiSummary}${planLine}
 
 Have a great week ahead! 🚀`;
 
             try {
-                await sendMessage(user.phone, message);
+                await sendMessage(address, message);
                 console.log(`[Weekly] Sent to ${name}`);
             } catch (error) {
-                console.error(`[Weekly] Failed for ${user.phone}:`, error.message);
+                console.error(`[Weekly] Failed for ${user.channel}:${user.channelId}:`, error.message);
             }
 
             // Small delay between messages
@@ -149,34 +303,134 @@ Have a great week ahead! 🚀`;
 }
 
 /**
- * Check and send reminders every minute
+ * Team digest - The week's leaderboard for every team, sent with the weekly summary
+ * Members who hid themselves from leaderboards still get it, but aren't on it
+ * @param {Object} [options] - { timezone } - only send to members there (the
+ *   table still covers the whole team)
  */
-async function checkAndSendReminders() {
-    const now = new Date();
-    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-    const today = getTodayDate();
-
+export async function sendTeamDigests({ timezone = null } = {}) {
     try {
-        const morningUsers = await getUsersForMorningReminder(currentTime, today);
-        for (const user of morningUsers) {
-            await sendMorningReminder(user);
-        }
+        const teams = await getTeams();
+
+        for (const team of teams) {
+            const members = await getTeamMembers(team._id);
+            if (members.length < 2) continue;
+
+            // Older records without a timezone use the default (like timezoneFilter in storage)
+            const recipients = timezone
+                ? members.filter(member => (member.timezone || DEFAULT_TIMEZONE) === timezone)
+                : members;
+            if (!recipients.length) continue;
+
+            const entries = await getLeaderboard(members);
+            const codingDays = entries.reduce((sum, entry) => sum + entry.daysThisWeek, 0);
 
-        const eveningUsers = await getUsersForEveningReminder(currentTime, today);
-        for (const user of eveningUsers) {
-            await sendEveningReminder(user);
+            for (const member of recipients) {
+                const address = getAddress(member);
+                const message = `🏆 *${team.name} - Weekly Digest*
+
+${entries.length ? formatLeaderboard(entries, member) : '_Nobody on the board this week._'}
+
+_🔥 streak · days this week · consistency_
+👥 Together: *${codingDays} coding days* this week
+
+New week, fresh start. Go get it, team! 💪`;
+
+                try {
+                    const messageId = await sendMessage(address, message);
+                    await recordOutboundMessage(address, messageId, 'team_digest', getTodayDate(member.timezone));
+                } catch (error) {
+                    console.error(`[Digest] Failed for ${member.channel}:${member.channelId}:`, error.message);
+                }
+            }
+            console.log(`[Digest] Sent ${team.name} to ${recipients.length} members`);
         }
     } catch (error) {
-        console.error('[Scheduler]', error.message);
+        console.error('[Digest]', error.message);
     }
 }
 
+// What goes out for each reminder slot type (see REMINDER_TYPES)
+const REMINDER_SENDERS = {
+    morning: sendMorningReminder,
+    midday: sendMiddayReminder,
+    evening: sendEveningReminder,
+    last_call: sendLastCallReminder
+};
+
+/**
+ * Send one user a reminder now, whatever the time (admin tools, local mode)
+ * @param {string} type - Slot type (see REMINDER_TYPES)
+ * @param {Object} user - User document
+ * @returns {boolean} Whether the type is known
+ */
+export async function sendReminder(type, user) {
+    const send = REMINDER_SENDERS[type];
+    if (!send) return false;
+
+    await send(user);
+    return true;
+}
+
+/**
+ * The week's summaries and team digests for one timezone
+ */
+async function sendWeeklyMessages(timezone) {
+    await sendWeeklySummaries({ timezone });
+    await sendTeamDigests({ timezone });
+}
+
+/**
+ * Check and send reminders every minute
+ * Reminder times are wall-clock times in each user's own timezone,
+ * so every active timezone is checked against its local time.
+ */
+export async function checkAndSendReminders() {
+    const timezones = await getActiveTimezones();
+    const weekly = [];
+
+    for (const timezone of timezones) {
+        try {
+            const currentTime = getCurrentTime(timezone);
+            const today = getTodayDate(timezone);
+
+            for (const [type, sendReminder] of Object.entries(REMINDER_SENDERS)) {
+                const users = await getUsersForReminder(type, currentTime, today, timezone);
+                for (const user of users) {
+                    await sendReminder(user);
+                }
+            }
+
+            const habits = await getHabitsForReminder(currentTime, today, timezone);
+            for (const habit of habits) {
+                await sendHabitReminder(habit);
+            }
+
+            // The evening reminder went out a while ago and they're still quiet
+            const eveningTime = addMinutesToTime(currentTime, -getTeamNudgeMinutes());
+            if (eveningTime) {
+                const quiet = await getTeamMembersNotCheckedIn(eveningTime, today, timezone);
+                for (const user of quiet) {
+                    await sendTeamNudge(user);
+                }
+            }
+
+            // Weekly summaries pause between users - let them run alongside
+            // so the remaining timezones are still checked this minute
+            if (getWeekday(today) === WEEKLY_DAY && currentTime === WEEKLY_TIME) {
+                weekly.push(sendWeeklyMessages(timezone));
+            }
+        } catch (error) {
+            console.error(`[Scheduler] ${timezone}:`, error.message);
+        }
+    }
+
+    await Promise.all(weekly);
+}
+
 export function initScheduler() {
-    // Check for reminders every minute
+    // Check for reminders (and the Sunday summaries) every minute
     cron.schedule('* * * * *', checkAndSendReminders);
 
-    // Weekly summary - Sundays at 10:00 AM
-    cron.schedule('0 10 * * 0', sendWeeklySummaries);
-
-    console.log('[Scheduler] Ready - reminders every minute, weekly summary Sundays 10 AM');
+    console.log('[Scheduler] Ready - reminders every minute, weekly summary & team digests Sundays 10 AM local time');
 }
@@ -2,14 +2,39 @@
  * Storage Service - Memory for your accountability partner
  */
 
-import User from '../models/User.js';
-import { getTodayDate } from '../utils/helpers.js';
+import mongoose from 'mongoose';
+import User, { DEFAULT_TIMEZONE, FREEZE_STREAK_INTERVAL, MAX_BANKED_FREEZES } from '../models/User.js';
+import DailyLog, { CARRY_OVER_DAYS } from '../models/DailyLog.js';
+import Habit from '../models/Habit.js';
+import HabitLog from '../models/HabitLog.js';
+import Team, { MAX_TEAM_SIZE } from '../models/Team.js';
+import Invite from '../models/Invite.js';
+import AllowlistEntry from '../models/AllowlistEntry.js';
+import ProcessedMessage from '../models/ProcessedMessage.js';
+import OutboundMessage, { DELIVERY_STATUSES } from '../models/OutboundMessage.js';
+import Broadcast from '../models/Broadcast.js';
+import ExportLink from '../models/ExportLink.js';
+import { getTodayDate, getCurrentTime, getWeekday, addDays, WEEKDAYS } from '../utils/helpers.js';
+import { calculateStreaks, calculateStats, calculateEffort, calculatePlans } from '../utils/stats.js';
 
-export async function getUserData(phone) {
+/**
+ * Query filter for the user at an address
+ * @param {Object} address - { channel, id }
+ */
+function byAddress({ channel, id }) {
+    return { channel, channelId: id };
+}
+
+/**
+ * Load the user at an address, creating them on first contact
+ * @param {Object} address - { channel, id }
+ * @param {Object} [fields] - Extra fields for a newly created user
+ */
+export async function getUserData(address, fields = {}) {
     try {
-        let user = await User.findOne({ phone });
+        let user = await User.findOne(byAddress(address));
         if (!user) {
-            user = new User({ phone, onboardingComplete: false, onboardingStep: 'welcome' });
+            user = new User({ ...byAddress(address), ...fields, onboardingComplete: false, onboardingStep: 'welcome' });
             await user.save();
         }
         return user;
@@ -19,187 +44,446 @@ export async function getUserData(phone) {
     }
 }
 
-export async function getUsersForMorningReminder(currentTime, today) {
-    return await User.find({
-        onboardingComplete: true,
-        morningReminderTime: currentTime,
-        $or: [{ lastMorningReminder: { $ne: today } }, { lastMorningReminder: null }]
-    }).catch(() => []);
+/**
+ * Load the user at an address without creating one
+ * @param {Object} address - { channel, id }
+ * @returns {Object|null} User or null if they've never been let in
+ */
+export async function findUserData(address) {
+    return await User.findOne(byAddress(address));
+}
+
+/**
+ * Match users in a timezone (older records without one use the default)
+ */
+function timezoneFilter(timezone) {
+    return timezone === DEFAULT_TIMEZONE
+        ? { $in: [DEFAULT_TIMEZONE, null] }
+        : timezone;
+}
+
+/**
+ * Get every timezone that has at least one onboarded user
+ * @returns {string[]} IANA timezone names
+ */
+export async function getActiveTimezones() {
+    const timezones = await User.distinct('timezone', { onboardingComplete: true }).catch(() => []);
+    return [...new Set([DEFAULT_TIMEZONE, ...timezones.filter(Boolean)])];
 }
 
-export async function getUsersForEveningReminder(currentTime, today) {
+/**
+ * Get the users a reminder slot is due for at this time
+ * Each slot goes out once a day. Nobody is reminded on a rest day, and only
+ * the morning reminder still goes to users who have already logged today.
+ * @param {string} type - Slot type (see REMINDER_TYPES)
+ * @param {string} currentTime - HH:MM in the timezone
+ * @param {string} today - YYYY-MM-DD in the timezone
+ * @param {string} timezone - IANA timezone
+ */
+export async function getUsersForReminder(type, currentTime, today, timezone) {
+    const skipToday = type === 'morning'
+        ? { date: today, rest: { $ne: null } }
+        : { date: today, $or: [{ coded: { $ne: null } }, { rest: { $ne: null } }] };
+    const skipped = await DailyLog.distinct('user', skipToday);
+
     return await User.find({
+        _id: { $nin: skipped },
+        restDays: { $ne: getWeekday(today) },
         onboardingComplete: true,
-        eveningReminderTime: currentTime,
-        $or: [{ lastEveningReminder: { $ne: today } }, { lastEveningReminder: null }]
+        remindersPaused: { $ne: true },
+        accessRevoked: { $ne: true },
+        timezone: timezoneFilter(timezone),
+        reminders: { $elemMatch: { type, time: currentTime, lastSent: { $ne: today } } }
     }).catch(() => []);
 }
 
-export async function markMorningReminderSent(phone, today) {
-    await User.updateOne({ phone }, { lastMorningReminder: today });
+export async function markReminderSent(address, type, today) {
+    await User.updateOne(
+        { ...byAddress(address), 'reminders.type': type },
+        { $set: { 'reminders.$.lastSent': today } }
+    );
 }
 
-export async function markEveningReminderSent(phone, today) {
-    await User.updateOne({ phone }, { lastEveningReminder: today });
+/**
+ * Turn an optional reminder slot on (at a time) or off
+ * @param {Object} address - { channel, id }
+ * @param {string} type - 'midday' or 'last_call'
+ * @param {string|null} time - HH:MM, or null to turn it off
+ */
+export async function setReminderSlot(address, type, time) {
+    const user = await getUserData(address);
+    const slot = user.reminders.find(reminder => reminder.type === type);
+
+    if (!time) {
+        user.reminders = user.reminders.filter(reminder => reminder.type !== type);
+    } else if (slot) {
+        slot.time = time;
+    } else {
+        user.reminders.push({ type, time });
+    }
+    await user.save();
+    return user;
 }
 
-export async function setOnboardingStep(phone, step) {
-    const user = await getUserData(phone);
+export async function setOnboardingStep(address, step) {
+    const user = await getUserData(address);
     user.onboardingStep = step;
     if (step === 'complete') user.onboardingComplete = true;
     await user.save();
 }
 
-export async function setUserName(phone, name) {
-    const user = await getUserData(phone);
+export async function setUserName(address, name) {
+    const user = await getUserData(address);
     user.name = name;
     await user.save();
 }
 
-export async function setMorningReminderTime(phone, time) {
-    const user = await getUserData(phone);
+export async function setMorningReminderTime(address, time) {
+    const user = await getUserData(address);
     user.morningReminderTime = time;
     await user.save();
 }
 
-export async function setEveningReminderTime(phone, time) {
-    const user = await getUserData(phone);
+export async function setEveningReminderTime(address, time) {
+    const user = await getUserData(address);
     user.eveningReminderTime = time;
     await user.save();
 }
 
-export async function setConversationState(phone, state) {
-    const user = await getUserData(phone);
+export async function setTimezone(address, timezone) {
+    const user = await getUserData(address);
+    user.timezone = timezone;
+    await user.save();
+}
+
+export async function setRemindersPaused(address, paused) {
+    const user = await getUserData(address);
+    user.remindersPaused = paused;
+    await user.save();
+}
+
+export async function setConversationState(address, state) {
+    const user = await getUserData(address);
     user.conversationState = state;
+    user.editingDate = null;
+    user.activeHabit = null;
     await user.save();
 }
 
-export async function createTodaysLog(phone) {
-    const user = await getUserData(phone);
-    const today = getTodayDate();
-    if (!user.dailyLog.find(log => log.date === today)) {
-        user.dailyLog.push({ date: today });
-        await user.save();
-    }
+/**
+ * Start the evening check-in for a past day
+ * Reflections go to that day's log until the flow ends.
+ * @param {Object} address - { channel, id }
+ * @param {string} date - Day to fill in or correct
+ */
+export async function startEditingDay(address, date) {
+    const user = await getUserData(address);
+    user.conversationState = 'evening_check';
+    user.editingDate = date;
+    await user.save();
+}
+
+/**
+ * Date the evening flow is writing to - a past day being edited, or today
+ */
+function getLogDate(user) {
+    return user.editingDate || getTodayDate(user.timezone);
+}
+
+/**
+ * Recompute the streak counters on a user document from their full log history
+ * @param {Object} user - User document (saved by the caller)
+ */
+async function refreshStreaks(user) {
+    const logs = await DailyLog.find({ user: user._id }, { date: 1, coded: 1, rest: 1 }).lean();
+    Object.assign(user, calculateStreaks(logs, getTodayDate(user.timezone), user.restDays));
 }
 
-export async function saveMorningMood(phone, mood) {
-    const user = await getUserData(phone);
-    const today = getTodayDate();
-    let log = user.dailyLog.find(l => l.date === today);
-    if (!log) {
-        user.dailyLog.push({ date: today });
-        log = user.dailyLog[user.dailyLog.length - 1];
+/**
+ * Fetch the logs of several users in one query
+ * @param {Array} users - User documents
+ * @returns {Map} User id (as a string) -> that user's logs
+ */
+async function getLogsByUser(users) {
+    const logs = await DailyLog.find(
+        { user: { $in: users.map(user => user._id) } },
+        { user: 1, date: 1, coded: 1, rest: 1 }
+    ).lean();
+
+    const logsByUser = new Map(users.map(user => [String(user._id), []]));
+    for (const log of logs) {
+        logsByUser.get(String(log.user))?.push(log);
     }
-    log.morningMood = mood;
-    user.conversationState = 'morning_plan';
+    return logsByUser;
+}
+
+/**
+ * Write fields onto a user's log for a date, creating the log if needed
+ * @returns {Object} The updated log
+ */
+async function updateLog(user, date, fields) {
+    return await DailyLog.findOneAndUpdate(
+        { user: user._id, date },
+        { $set: fields },
+        { upsert: true, new: true }
+    );
+}
+
+export async function createTodaysLog(address) {
+    const user = await getUserData(address);
+    const today = getTodayDate(user.timezone);
+    await DailyLog.updateOne(
+        { user: user._id, date: today },
+        { $setOnInsert: { timestamp: new Date() } },
+        { upsert: true }
+    );
+}
+
+/**
+ * Save the morning mood, then offer an unfinished plan or ask for a new one
+ * @returns {Object|null} The unfinished plan (see getUnfinishedPlan)
+ */
+export async function saveMorningMood(address, mood) {
+    const user = await getUserData(address);
+    await updateLog(user, getTodayDate(user.timezone), { morningMood: mood });
+    const unfinished = await getUnfinishedPlan(address);
+    user.conversationState = unfinished ? 'plan_carry' : 'morning_plan';
     await user.save();
+    return unfinished;
+}
+
+/**
+ * Find the most recent plan (up to CARRY_OVER_DAYS ago) that didn't get done -
+ * they answered not done or partly, or said they didn't code at all
+ * @param {Object} address - { channel, id }
+ * @returns {Object|null} { date, plan, items, carriedOver } with only the open checklist items
+ */
+export async function getUnfinishedPlan(address) {
+    const user = await getUserData(address);
+    const today = getTodayDate(user.timezone);
+    const log = await DailyLog.findOne({
+        user: user._id,
+        date: { $lt: today, $gte: addDays(today, -CARRY_OVER_DAYS) },
+        todaysPlan: { $ne: null }
+    }).sort({ date: -1 });
+
+    const unfinished = ['partial', 'not_done'].includes(log?.planOutcome) || (log && !log.planOutcome && log.coded === false);
+    if (!unfinished) return null;
+
+    const open = log.planItems.filter(item => item.done !== true).map(item => item.text);
+    const items = open.length ? open : [log.todaysPlan];
+    return {
+        date: log.date,
+        plan: items.length > 1 ? items.join('; ') : items[0],
+        items,
+        carriedOver: log.carriedOver || 0
+    };
 }
 
-export async function saveTodaysPlan(phone, plan) {
-    const user = await getUserData(phone);
-    const today = getTodayDate();
-    const log = user.dailyLog.find(l => l.date === today);
-    if (log) log.todaysPlan = plan;
+/**
+ * Save today's plan - a single goal or a short checklist
+ * @param {Object} address - { channel, id }
+ * @param {string} plan - Plan as shown back to the user
+ * @param {string[]} items - Checklist items (one for a single goal)
+ * @param {number} [carriedOver] - Days it has been carried over (0 for a fresh plan)
+ */
+export async function saveTodaysPlan(address, plan, items, carriedOver = 0) {
+    const user = await getUserData(address);
+    await updateLog(user, getTodayDate(user.timezone), {
+        todaysPlan: plan,
+        planItems: items.map(text => ({ text, done: null })),
+        planOutcome: null,
+        carriedOver
+    });
     user.conversationState = null;
     await user.save();
 }
 
-export async function saveEveningMood(phone, mood) {
-    const user = await getUserData(phone);
-    const today = getTodayDate();
-    let log = user.dailyLog.find(l => l.date === today);
-    if (!log) {
-        user.dailyLog.push({ date: today });
-        log = user.dailyLog[user.dailyLog.length - 1];
-    }
-    log.eveningMood = mood;
+/**
+ * Save the evening mood, then ask about the plan if there is one
+ * @returns {Object} Today's log
+ */
+export async function saveEveningMood(address, mood) {
+    const user = await getUserData(address);
+    const log = await updateLog(user, getTodayDate(user.timezone), { eveningMood: mood });
+    user.conversationState = log.todaysPlan ? 'plan_outcome' : 'evening_check';
+    await user.save();
+    return log;
+}
+
+/**
+ * Record how today's plan went, then ask whether they coded at all
+ * @param {Object} address - { channel, id }
+ * @param {string} outcome - 'done', 'partial' or 'not_done'
+ * @param {number[]|null} doneItems - Indexes of finished checklist items (null if not said)
+ */
+export async function savePlanOutcome(address, outcome, doneItems) {
+    const user = await getUserData(address);
+    const log = await getTodaysLog(address);
+    const planItems = (log?.planItems || []).map((item, index) => ({
+        text: item.text,
+        done: doneItems ? doneItems.includes(index) : null
+    }));
+
+    await updateLog(user, getTodayDate(user.timezone), { planOutcome: outcome, planItems });
     user.conversationState = 'evening_check';
     await user.save();
 }
 
-export async function saveCodedResponse(phone, coded) {
-    const user = await getUserData(phone);
-    const today = getTodayDate();
-    let log = user.dailyLog.find(l => l.date === today);
-    if (!log) {
-        user.dailyLog.push({ date: today, coded });
-        log = user.dailyLog[user.dailyLog.length - 1];
-    } else {
-        log.coded = coded;
-    }
+/**
+ * Record whether the user coded on a day and recompute their streaks
+ * @param {Object} address - { channel, id }
+ * @param {boolean} coded - Did they code?
+ * @param {string} [date] - Past day being filled in (defaults to today)
+ */
+export async function saveCodedResponse(address, coded, date = null) {
+    const user = await getUserData(address);
+    const today = getTodayDate(user.timezone);
+    const logDate = date || today;
+    await updateLog(user, logDate, { coded });
 
-    // Update streak
-    if (coded) {
-        const lastDate = user.lastResponseDate;
-        if (lastDate) {
-            const diffDays = Math.floor((new Date(today) - new Date(lastDate)) / (1000 * 60 * 60 * 24));
-            user.currentStreak = diffDays === 1 ? user.currentStreak + 1 : 1;
-        } else {
-            user.currentStreak = 1;
-        }
-        user.totalDaysCoded = (user.totalDaysCoded || 0) + 1;
-        if (user.currentStreak > user.longestStreak) user.longestStreak = user.currentStreak;
-        user.conversationState = 'what_done';
-    } else {
-        user.currentStreak = 0;
-        user.conversationState = 'why_not';
+    const previousStreak = user.currentStreak;
+    await refreshStreaks(user);
+
+    // Every FREEZE_STREAK_INTERVAL days in a row earns a streak freeze
+    if (user.currentStreak > previousStreak && user.currentStreak % FREEZE_STREAK_INTERVAL === 0) {
+        user.freezesAvailable = Math.min((user.freezesAvailable || 0) + 1, MAX_BANKED_FREEZES);
     }
 
-    user.lastResponseDate = today;
+    user.conversationState = coded ? 'what_done' : 'why_not';
+    user.editingDate = logDate === today ? null : logDate;
+
+    if (!user.lastResponseDate || logDate > user.lastResponseDate) {
+        user.lastResponseDate = logDate;
+    }
     await user.save();
 
     return { currentStreak: user.currentStreak, longestStreak: user.longestStreak };
 }
 
-export async function saveWhyNot(phone, reason) {
-    const user = await getUserData(phone);
-    const today = getTodayDate();
-    const log = user.dailyLog.find(l => l.date === today);
-    if (log) log.whyNot = reason;
+export async function saveWhyNot(address, reason) {
+    const user = await getUserData(address);
+    await updateLog(user, getLogDate(user), { whyNot: reason });
     user.conversationState = null;
+    user.editingDate = null;
+    await user.save();
+}
+
+export async function saveWhatDone(address, whatDone) {
+    const user = await getUserData(address);
+    await updateLog(user, getLogDate(user), { whatDone });
+    user.conversationState = 'time_spent';
     await user.save();
 }
 
-export async function saveWhatDone(phone, whatDone) {
-    const user = await getUserData(phone);
-    const today = getTodayDate();
-    const log = user.dailyLog.find(l => l.date === today);
-    if (log) log.whatDone = whatDone;
+/**
+ * Save how long they spent (null if skipped) and ask about commits/problems next
+ * @param {Object} address - { channel, id }
+ * @param {number|null} minutesSpent - Minutes
+ */
+export async function saveTimeSpent(address, minutesSpent) {
+    const user = await getUserData(address);
+    await updateLog(user, getLogDate(user), { minutesSpent });
+    user.conversationState = 'what_metrics';
+    await user.save();
+}
+
+/**
+ * Save commits and problems solved (either may be null) and ask what they learned next
+ * @param {Object} address - { channel, id }
+ * @param {Object} metrics - { commits, problemsSolved }
+ */
+export async function saveMetrics(address, { commits = null, problemsSolved = null }) {
+    const user = await getUserData(address);
+    await updateLog(user, getLogDate(user), { commits, problemsSolved });
     user.conversationState = 'what_learned';
     await user.save();
 }
 
-export async function saveWhatLearned(phone, learning) {
-    const user = await getUserData(phone);
-    const today = getTodayDate();
-    const log = user.dailyLog.find(l => l.date === today);
-    if (log) log.learning = learning;
+export async function saveWhatLearned(address, learning) {
+    const user = await getUserData(address);
+    await updateLog(user, getLogDate(user), { learning });
     user.conversationState = null;
+    user.editingDate = null;
     await user.save();
 }
 
-export async function getTodaysLog(phone) {
-    const user = await getUserData(phone);
-    return user.dailyLog.find(log => log.date === getTodayDate());
+/**
+ * Store an uploaded file in GridFS
+ * @param {Buffer} buffer - File contents
+ * @param {Object} info - { filename, mimeType }
+ * @returns {ObjectId} File ID
+ */
+export async function saveMediaFile(buffer, { filename, mimeType }) {
+    const bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, { bucketName: 'media' });
+    const upload = bucket.openUploadStream(filename, { metadata: { mimeType } });
+
+    await new Promise((resolve, reject) => {
+        upload.once('finish', resolve);
+        upload.once('error', reject);
+        upload.end(buffer);
+    });
+
+    return upload.id;
+}
+
+/**
+ * Attach a voice note or screenshot to the log being filled in
+ * @param {Object} address - { channel, id }
+ * @param {Object} attachment - { kind, field, fileId, mimeType, caption, transcript }
+ */
+export async function addLogAttachment(address, attachment) {
+    const user = await getUserData(address);
+    await DailyLog.updateOne(
+        { user: user._id, date: getLogDate(user) },
+        { $push: { attachments: attachment } },
+        { upsert: true }
+    );
+}
+
+export async function getTodaysLog(address) {
+    const user = await getUserData(address);
+    return await DailyLog.findOne({ user: user._id, date: getTodayDate(user.timezone) });
+}
+
+/**
+ * Get a user's log for a specific day
+ * @param {Object} address - { channel, id }
+ * @param {string} date - YYYY-MM-DD
+ */
+export async function getLogForDate(address, date) {
+    const user = await getUserData(address);
+    return await DailyLog.findOne({ user: user._id, date });
 }
 
-export async function getRecentLogs(phone, days = 7) {
-    const user = await getUserData(phone);
-    return user.dailyLog.slice(-days);
+/**
+ * Get a user's most recent logs, oldest first
+ * @param {Object} address - User's { channel, id }
+ * @param {number} days - How many logs to return
+ */
+export async function getRecentLogs(address, days = 7) {
+    const user = await getUserData(address);
+    // Planned rest days can be in the future
+    const logs = await DailyLog.find({ user: user._id, date: { $lte: getTodayDate(user.timezone) } })
+        .sort({ date: -1 })
+        .limit(days);
+    return logs.reverse();
 }
 
-export async function hasLoggedToday(phone) {
-    const user = await getUserData(phone);
-    const log = user.dailyLog.find(l => l.date === getTodayDate());
-    return log?.coded !== null && log?.coded !== undefined;
+export async function hasLoggedToday(address) {
+    const user = await getUserData(address);
+    const log = await DailyLog.exists({
+        user: user._id,
+        date: getTodayDate(user.timezone),
+        coded: { $ne: null }
+    });
+    return !!log;
 }
 
-export async function canLogCompletion(phone) {
-    // User can only log after their evening time
-    const user = await getUserData(phone);
-    const now = new Date();
-    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+export async function canLogCompletion(address) {
+    // User can only log after their evening time (in their own timezone)
+    const user = await getUserData(address);
+    const currentTime = getCurrentTime(user.timezone);
 
     // Parse evening time
     const [eveningHour, eveningMin] = user.eveningReminderTime.split(':').map(Number);
@@ -211,15 +495,506 @@ export async function canLogCompletion(phone) {
     return false;
 }
 
-export async function resetUserData(phone) {
-    const user = await getUserData(phone);
+/**
+ * Work out a user's stats from their full log history
+ * @param {Object} address - { channel, id }
+ * @returns {Object} See calculateStats
+ */
+export async function getUserStats(address) {
+    const user = await getUserData(address);
+    const logs = await DailyLog.find(
+        { user: user._id },
+        { date: 1, coded: 1, rest: 1, planOutcome: 1, minutesSpent: 1, commits: 1, problemsSolved: 1 }
+    ).lean();
+    return calculateStats(logs, getTodayDate(user.timezone), user.restDays);
+}
+
+/**
+ * Bring every user's stored streak counters back in line with their logs
+ * @returns {Object} { checked, repaired }
+ */
+export async function repairStreakCounters() {
+    let checked = 0;
+    let repaired = 0;
+
+    for await (const user of User.find()) {
+        checked++;
+        await refreshStreaks(user);
+        if (user.isModified()) {
+            await user.save();
+            repaired++;
+        }
+    }
+
+    return { checked, repaired };
+}
+
+/**
+ * Recompute one user's streak counters from their logs
+ * @returns {Object|null} { before, after } counters, or null if there's no such user
+ */
+export async function repairUserStats(address) {
+    const user = await findUserData(address);
+    if (!user) return null;
+
+    const counters = ({ currentStreak, longestStreak, totalDaysCoded }) => ({ currentStreak, longestStreak, totalDaysCoded });
+    const before = counters(user);
+    await refreshStreaks(user);
+    await user.save();
+    return { before, after: counters(user) };
+}
+
+/**
+ * Overwrite stored counters by hand (the next check-in recomputes streaks from the logs)
+ * @param {Object} address - { channel, id }
+ * @param {Object} fields - Any of currentStreak, longestStreak, totalDaysCoded, freezesAvailable
+ * @returns {Object|null} The updated user, or null if there's no such user
+ */
+export async function updateUserStats(address, fields) {
+    return await User.findOneAndUpdate(byAddress(address), { $set: fields }, { new: true });
+}
+
+/**
+ * Every user, oldest first (admin listing)
+ */
+export async function getAllUsers() {
+    return await User.find().sort({ createdAt: 1 });
+}
+
+/**
+ * Everyone a broadcast goes to: onboarded, not blocked, and in the segment
+ * @param {Object} [segment] - { type: 'all' | 'no_streak' | 'timezone', timezone }
+ */
+export async function getBroadcastRecipients(segment = { type: 'all' }) {
+    const filter = { onboardingComplete: true, accessRevoked: { $ne: true } };
+    if (segment.type === 'timezone') filter.timezone = timezoneFilter(segment.timezone);
+
+    const users = await User.find(filter).sort({ createdAt: 1 });
+    if (segment.type !== 'no_streak') return users;
+
+    // Stored counters only change on a check-in, so a streak lost to missed days still shows there
+    const logsByUser = await getLogsByUser(users);
+    return users.filter(user => {
+        const { currentStreak } = calculateStreaks(logsByUser.get(String(user._id)), getTodayDate(user.timezone), user.restDays);
+        return currentStreak === 0;
+    });
+}
+
+/**
+ * A user's logs, newest first
+ * @param {Object} address - { channel, id }
+ * @param {number} [limit] - Most logs to return
+ */
+export async function getLogHistory(address, limit = 60) {
+    const user = await findUserData(address);
+    if (!user) return [];
+    return await DailyLog.find({ user: user._id }).sort({ date: -1 }).limit(limit).lean();
+}
+
+// ========== REST DAYS ==========
+
+/**
+ * Set the weekdays a user rests every week
+ * @param {Object} address - { channel, id }
+ * @param {string[]} days - Short weekday names, e.g. ['Sat', 'Sun']
+ */
+export async function setRestDays(address, days) {
+    const user = await getUserData(address);
+    user.restDays = days;
+    await refreshStreaks(user);
+    await user.save();
+}
+
+/**
+ * Mark a day as a rest day ahead of time
+ * @param {Object} address - { channel, id }
+ * @param {string} date - YYYY-MM-DD
+ */
+export async function markRestDay(address, date) {
+    const user = await getUserData(address);
+    await updateLog(user, date, { rest: 'planned' });
+}
+
+/**
+ * Take back a planned rest day
+ * @returns {boolean} Whether there was one to cancel
+ */
+export async function cancelRestDay(address, date) {
+    const user = await getUserData(address);
+    const result = await DailyLog.updateOne({ user: user._id, date, rest: 'planned' }, { rest: null });
+    return result.modifiedCount > 0;
+}
+
+/**
+ * Get a user's planned rest days from today on, soonest first
+ * @returns {string[]} Dates
+ */
+export async function getPlannedRestDays(address) {
+    const user = await getUserData(address);
+    const logs = await DailyLog.find({
+        user: user._id,
+        rest: 'planned',
+        date: { $gte: getTodayDate(user.timezone) }
+    }).sort({ date: 1 });
+    return logs.map(log => log.date);
+}
+
+/**
+ * Count the freezes a user has spent in a month
+ * @param {Object} address - { channel, id }
+ * @param {string} month - YYYY-MM
+ */
+export async function countFreezesUsed(address, month) {
+    const user = await getUserData(address);
+    return await DailyLog.countDocuments({
+        user: user._id,
+        rest: 'freeze',
+        date: { $gte: `${month}-01`, $lte: `${month}-31` }
+    });
+}
+
+/**
+ * Spend one of the user's freezes on a day
+ * @param {Object} address - { channel, id }
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object} { currentStreak, freezesAvailable }
+ */
+export async function useFreeze(address, date) {
+    const user = await getUserData(address);
+    await updateLog(user, date, { rest: 'freeze' });
+
+    user.freezesAvailable = Math.max((user.freezesAvailable || 0) - 1, 0);
+    await refreshStreaks(user);
+    await user.save();
+
+    return { currentStreak: user.currentStreak, freezesAvailable: user.freezesAvailable };
+}
+
+export async function resetUserData(address) {
+    const user = await getUserData(address);
     user.currentStreak = 0;
     user.longestStreak = 0;
     user.totalDaysCoded = 0;
-    user.dailyLog = [];
+    user.freezesAvailable = 0;
     user.lastResponseDate = null;
     user.conversationState = null;
+    user.editingDate = null;
+    user.activeHabit = null;
     await user.save();
+    await DailyLog.deleteMany({ user: user._id });
+    await Habit.deleteMany({ user: user._id });
+    await HabitLog.deleteMany({ user: user._id });
+}
+
+// ========== HABITS ==========
+// Coding is the default habit and uses User + DailyLog above.
+// These are the extra habits a user adds.
+
+/**
+ * Weekdays that don't count for a habit - the user's rest days plus
+ * the days it isn't scheduled
+ */
+function getHabitRestDays(habit, user) {
+    const unscheduled = habit.days.length ? WEEKDAYS.filter(day => !habit.days.includes(day)) : [];
+    return [...new Set([...user.restDays, ...unscheduled])];
+}
+
+/**
+ * Get a user's habits (not counting coding), oldest first
+ * @param {Object} address - { channel, id }
+ */
+export async function getHabits(address) {
+    const user = await getUserData(address);
+    return await Habit.find({ user: user._id, status: 'active' }).sort({ createdAt: 1 });
+}
+
+export async function getHabit(habitId) {
+    return await Habit.findById(habitId);
+}
+
+/**
+ * Start setting up a new habit
+ * @param {Object} address - { channel, id }
+ * @param {string} [name] - Name, if it was given with the command
+ * @returns {Object} Draft habit
+ */
+export async function startHabitDraft(address, name = null) {
+    const user = await getUserData(address);
+    await Habit.deleteMany({ user: user._id, status: 'draft' });
+    const habit = await Habit.create({ user: user._id, name });
+
+    user.conversationState = name ? 'habit_target' : 'habit_name';
+    user.activeHabit = habit._id;
+    user.editingDate = null;
+    await user.save();
+
+    return habit;
+}
+
+/**
+ * Save a step of the habit being set up and move to the next one
+ * @param {Object} address - { channel, id }
+ * @param {Object} fields - Habit fields to set
+ * @param {string|null} nextState - Next setup step, or null when done
+ * @returns {Object} Updated habit
+ */
+export async function updateHabitDraft(address, fields, nextState) {
+    const user = await getUserData(address);
+    const habit = await Habit.findOneAndUpdate(
+        { _id: user.activeHabit, user: user._id },
+        { $set: fields },
+        { new: true }
+    );
+
+    user.conversationState = nextState;
+    if (!nextState) user.activeHabit = null;
+    await user.save();
+
+    return habit;
+}
+
+/**
+ * Stop tracking a habit (its history is kept)
+ */
+export async function removeHabit(habitId) {
+    await Habit.updateOne({ _id: habitId }, { status: 'removed' });
+}
+
+/**
+ * Get habits due a check-in right now in a timezone
+ * Skips users who are paused or resting, habits not scheduled today,
+ * and habits already checked in on.
+ * @returns {Array} Habits with their user populated
+ */
+export async function getHabitsForReminder(currentTime, today, timezone) {
+    const weekday = getWeekday(today);
+    const restingToday = await DailyLog.distinct('user', { date: today, rest: { $ne: null } });
+    const users = await User.distinct('_id', {
+        _id: { $nin: restingToday },
+        restDays: { $ne: weekday },
+        onboardingComplete: true,
+        remindersPaused: { $ne: true },
+        accessRevoked: { $ne: true },
+        timezone: timezoneFilter(timezone)
+    });
+    const checkedIn = await HabitLog.distinct('habit', { date: today, done: { $ne: null } });
+
+    return await Habit.find({
+        _id: { $nin: checkedIn },
+        user: { $in: users },
+        status: 'active',
+        reminderTime: currentTime,
+        lastReminder: { $ne: today },
+        $or: [{ days: { $size: 0 } }, { days: weekday }]
+    }).populate('user').catch(() => []);
+}
+
+export async function markHabitReminderSent(habitId, today) {
+    await Habit.updateOne({ _id: habitId }, { lastReminder: today });
+}
+
+/**
+ * Ask a user about one of their habits
+ */
+export async function startHabitCheckIn(address, habitId) {
+    const user = await getUserData(address);
+    user.conversationState = 'habit_check';
+    user.activeHabit = habitId;
+    user.editingDate = null;
+    await user.save();
+}
+
+/**
+ * Record today's check-in for a habit and recompute its streaks
+ * @param {Object} address - { channel, id }
+ * @param {Object} habit - Habit document
+ * @param {Object} entry - { done, value }
+ * @returns {Object} Updated habit
+ */
+export async function saveHabitEntry(address, habit, { done, value = null }) {
+    const user = await getUserData(address);
+    const today = getTodayDate(user.timezone);
+
+    await HabitLog.findOneAndUpdate(
+        { habit: habit._id, date: today },
+        { $set: { user: user._id, done, value, timestamp: new Date() } },
+        { upsert: true }
+    );
+
+    const logs = await HabitLog.find({ habit: habit._id }, { date: 1, done: 1 }).lean();
+    const streaks = calculateStreaks(logs.map(log => ({ date: log.date, coded: log.done })), today, getHabitRestDays(habit, user));
+    habit.currentStreak = streaks.currentStreak;
+    habit.longestStreak = streaks.longestStreak;
+    habit.totalDaysDone = streaks.totalDaysCoded;
+    await habit.save();
+
+    if (user.conversationState === 'habit_check' && String(user.activeHabit) === String(habit._id)) {
+        user.conversationState = null;
+        user.activeHabit = null;
+        await user.save();
+    }
+
+    return habit;
+}
+
+/**
+ * Work out a habit's stats from its history
+ * @returns {Object} See calculateStats (coded = done)
+ */
+export async function getHabitStats(address, habit) {
+    const user = await getUserData(address);
+    const logs = await HabitLog.find({ habit: habit._id }, { date: 1, done: 1 }).lean();
+    return calculateStats(
+        logs.map(log => ({ date: log.date, coded: log.done })),
+        getTodayDate(user.timezone),
+        getHabitRestDays(habit, user)
+    );
+}
+
+// ========== TEAMS ==========
+
+/**
+ * Start a team with the user as its first member
+ * @param {Object} address - { channel, id }
+ * @param {string} name - Team name
+ * @param {string} code - Join code
+ */
+export async function createTeam(address, name, code) {
+    const user = await getUserData(address);
+    const team = await Team.create({ name, code, createdBy: user._id });
+    user.team = team._id;
+    await user.save();
+    return team;
+}
+
+export async function getTeamByCode(code) {
+    return await Team.findOne({ code });
+}
+
+/**
+ * Add the user to a team, unless it's full
+ * @returns {boolean} Whether they joined
+ */
+export async function joinTeam(address, team) {
+    const user = await getUserData(address);
+    if (await User.countDocuments({ team: team._id }) >= MAX_TEAM_SIZE) return false;
+
+    user.team = team._id;
+    await user.save();
+    return true;
+}
+
+/**
+ * Take the user out of their team; the last one out closes it
+ * @returns {Object|null} The team they left
+ */
+export async function leaveTeam(address) {
+    const user = await getUserData(address);
+    const team = user.team && await Team.findById(user.team);
+    user.team = null;
+    await user.save();
+
+    if (team && !(await User.exists({ team: team._id }))) {
+        await Team.deleteOne({ _id: team._id });
+    }
+    return team;
+}
+
+/**
+ * Get the user's team and where each member stands today
+ * Streaks come from the logs, like the leaderboard's.
+ * @returns {Object|null} { team, members: [{ user, today, currentStreak, longestStreak }] },
+ *   today being 'coded', 'missed', 'rest' or null (not checked in) in the member's own timezone
+ */
+export async function getTeamOverview(address) {
+    const user = await getUserData(address);
+    const team = user.team && await Team.findById(user.team);
+    if (!team) return null;
+
+    const users = await User.find({ team: team._id }).sort({ name: 1 });
+    const logsByUser = await getLogsByUser(users);
+
+    const members = users.map(member => {
+        const logs = logsByUser.get(String(member._id));
+        const date = getTodayDate(member.timezone);
+        const log = logs.find(entry => entry.date === date);
+        const { currentStreak, longestStreak } = calculateStreaks(logs, date, member.restDays);
+        const today = log?.coded ? 'coded' : (log?.rest ? 'rest' : (log?.coded === false ? 'missed' : null));
+        return { user: member, today, currentStreak, longestStreak };
+    });
+    members.sort((a, b) => b.currentStreak - a.currentStreak);
+
+    return { team, members };
+}
+
+/**
+ * Get the other members of the user's team
+ * @returns {Array} User documents (empty outside a team)
+ */
+export async function getTeammates(address) {
+    const user = await getUserData(address);
+    if (!user.team) return [];
+    return await User.find({ team: user.team, _id: { $ne: user._id }, accessRevoked: { $ne: true } });
+}
+
+/**
+ * Get team members who had their evening reminder at a time today and still haven't checked in
+ * @param {string} eveningTime - HH:MM their evening reminder went out
+ * @param {string} today - YYYY-MM-DD in the timezone
+ * @param {string} timezone - IANA timezone
+ */
+export async function getTeamMembersNotCheckedIn(eveningTime, today, timezone) {
+    const checkedIn = await DailyLog.distinct('user', {
+        date: today,
+        $or: [{ coded: { $ne: null } }, { rest: { $ne: null } }]
+    });
+
+    return await User.find({
+        _id: { $nin: checkedIn },
+        team: { $ne: null },
+        accessRevoked: { $ne: true },
+        timezone: timezoneFilter(timezone),
+        reminders: { $elemMatch: { type: 'evening', time: eveningTime, lastSent: today } }
+    }).catch(() => []);
+}
+
+export async function getTeams() {
+    return await Team.find();
+}
+
+export async function getTeamMembers(teamId) {
+    return await User.find({ team: teamId, onboardingComplete: true, accessRevoked: { $ne: true } });
+}
+
+// ========== LEADERBOARD ==========
+
+/**
+ * Rank users by current streak, then days coded this week, then consistency
+ * Users who hid themselves from leaderboards are left out.
+ * @param {Array} users - User documents in the cohort
+ * @returns {Array} [{ user, currentStreak, daysThisWeek, consistency }], best first
+ */
+export async function getLeaderboard(users) {
+    const ranked = users.filter(user => user.leaderboard !== 'hidden');
+    const logsByUser = await getLogsByUser(ranked);
+
+    return ranked
+        .map(user => {
+            const stats = calculateStats(logsByUser.get(String(user._id)), getTodayDate(user.timezone), user.restDays);
+            return {
+                user,
+                currentStreak: stats.currentStreak,
+                daysThisWeek: stats.last7Days,
+                consistency: stats.completionRate
+            };
+        })
+        .sort((a, b) => b.currentStreak - a.currentStreak
+            || b.daysThisWeek - a.daysThisWeek
+            || (b.consistency ?? -1) - (a.consistency ?? -1));
+}
+
+export async function setLeaderboardVisibility(address, visibility) {
+    await User.updateOne(byAddress(address), { leaderboard: visibility });
 }
 
 // ========== WEEKLY SUMMARY FUNCTIONS ==========
@@ -227,28 +1002,35 @@ export async function resetUserData(phone) {
 /**
  * Get all users who should receive weekly summary
  * Only users who have completed onboarding and have logs
+ * @param {string} [timezone] - Only users in this timezone (default: everyone)
  */
-export async function getAllUsersForWeeklySummary() {
-    return await User.find({
+export async function getAllUsersForWeeklySummary(timezone = null) {
+    const usersWithLogs = await DailyLog.distinct('user').catch(() => []);
+    const filter = {
         onboardingComplete: true,
-        'dailyLog.0': { $exists: true }  // Has at least one log entry
-    }).catch(() => []);
+        accessRevoked: { $ne: true },
+        _id: { $in: usersWithLogs }  // Has at least one log entry
+    };
+    if (timezone) filter.timezone = timezoneFilter(timezone);
+
+    return await User.find(filter).catch(() => []);
 }
 
 /**
  * Get weekly stats for a user
- * @param {string} phone - User's phone
- * @returns {Object} { completed, missed, blockers }
+ * @param {Object} address - User's { channel, id }
+ * @returns {Object} { completed, missed, blockers, effort: { week, month }, plans }
+ *   (see calculateEffort and calculatePlans)
  */
-export async function getWeeklyStats(phone) {
-    const user = await getUserData(phone);
+export async function getWeeklyStats(address) {
+    const user = await getUserData(address);
+    const today = getTodayDate(user.timezone);
 
     // Get logs from last 7 days
-    const weekAgo = new Date();
-    weekAgo.setDate(weekAgo.getDate() - 7);
-    const weekAgoStr = weekAgo.toISOString().split('T')[0];
+    const weekAgoStr = addDays(today, -7);
 
-    const weekLogs = user.dailyLog.filter(log => log.date >= weekAgoStr);
+    const weekLogs = await DailyLog.find({ user: user._id, date: { $gte: weekAgoStr } }).sort({ date: 1 });
+    const monthLogs = await DailyLog.find({ user: user._id, date: { $gte: addDays(today, -30) } }).lean();
 
     const completed = weekLogs.filter(l => l.coded === true).length;
     const missed = weekLogs.filter(l => l.coded === false).length;
@@ -259,5 +1041,262 @@ export async function getWeeklyStats(phone) {
         .map(l => l.whyNot)
         .slice(0, 3);  // Max 3 blockers
 
-    return { completed, missed, blockers };
+    const effort = {
+        week: calculateEffort(monthLogs, today, 7),
+        month: calculateEffort(monthLogs, today, 30)
+    };
+
+    return { completed, missed, blockers, effort, plans: calculatePlans(weekLogs) };
+}
+
+// ========== ACCESS CONTROL FUNCTIONS ==========
+
+/**
+ * Turn a user's access off or back on
+ * @param {Object} address - { channel, id }
+ * @param {boolean} revoked - true to block the user
+ * @returns {boolean} Whether a user exists at that address
+ */
+export async function setAccessRevoked(address, revoked) {
+    const result = await User.updateOne(byAddress(address), { accessRevoked: revoked });
+    return result.matchedCount > 0;
+}
+
+export async function isOnAllowlist(address) {
+    return !!(await AllowlistEntry.exists(byAddress(address)));
+}
+
+export async function addToAllowlist(address, addedBy) {
+    await AllowlistEntry.updateOne(
+        byAddress(address),
+        { $setOnInsert: { addedBy } },
+        { upsert: true }
+    );
+}
+
+/**
+ * @returns {boolean} Whether the address was on the allowlist
+ */
+export async function removeFromAllowlist(address) {
+    const result = await AllowlistEntry.deleteOne(byAddress(address));
+    return result.deletedCount > 0;
+}
+
+export async function createInvite(code, maxUses, createdBy) {
+    return await Invite.create({ code, maxUses, createdBy });
+}
+
+/**
+ * Use up one redemption of an invite code
+ * @param {string} code - Invite code (uppercase)
+ * @returns {Object|null} The invite, or null if unknown, cancelled or used up
+ */
+export async function redeemInvite(code) {
+    return await Invite.findOneAndUpdate(
+        { code, active: true, $expr: { $lt: ['$uses', '$maxUses'] } },
+        { $inc: { uses: 1 } },
+        { new: true }
+    );
+}
+
+export async function getActiveInvites() {
+    return await Invite.find({ active: true, $expr: { $lt: ['$uses', '$maxUses'] } }).sort({ createdAt: -1 });
+}
+
+/**
+ * @returns {boolean} Whether an active invite was cancelled
+ */
+export async function cancelInvite(code) {
+    const result = await Invite.updateOne({ code, active: true }, { active: false });
+    return result.modifiedCount > 0;
+}
+
+// ========== WEBHOOK DEDUPLICATION ==========
+
+/**
+ * Record an incoming message ID, unless it was seen before
+ * @param {string} channel - Channel name
+ * @param {string} messageId - Provider's message ID
+ * @returns {boolean} true the first time, false for a duplicate
+ */
+export async function markMessageProcessed(channel, messageId) {
+    try {
+        await ProcessedMessage.create({ channel, messageId });
+        return true;
+    } catch (error) {
+        if (error.code === 11000) return false;   // Duplicate key - already processed
+        throw error;
+    }
+}
+
+/**
+ * Forget an incoming message ID, so a redelivery is handled again
+ * @param {string} channel - Channel name
+ * @param {string} messageId - Provider's message ID
+ */
+export async function unmarkMessageProcessed(channel, messageId) {
+    await ProcessedMessage.deleteOne({ channel, messageId });
+}
+
+// ========== DELIVERY TRACKING ==========
+
+/**
+ * Remember a sent message so status webhooks can update it
+ * @param {Object} address - Recipient's { channel, id }
+ * @param {string} messageId - Provider's message ID (nothing is stored without one)
+ * @param {string} kind - What the message was, e.g. 'morning_reminder'
+ * @param {string} [date] - User's local date it was for
+ */
+export async function recordOutboundMessage(address, messageId, kind, date = null) {
+    if (!messageId) return;
+
+    // Only bookkeeping - never let it break the flow that sent the message
+    try {
+        await OutboundMessage.create({ ...byAddress(address), messageId, kind, date });
+    } catch (error) {
+        console.error(`[Delivery] Couldn't record ${kind} ${messageId} for ${address.channel}:${address.id}:`, error.message);
+    }
+}
+
+/**
+ * Apply a delivery status from a provider webhook
+ * Statuses can arrive out of order, so a message never moves back from
+ * read to delivered; failed always wins.
+ * @param {string} channel - Channel name
+ * @param {Object} update - { id, status, timestamp, error }
+ * @returns {boolean} Whether we were tracking that message
+ */
+export async function updateDeliveryStatus(channel, { id, status, timestamp, error }) {
+    const at = timestamp ? new Date(timestamp * 1000) : new Date();
+    const filter = { channel, messageId: id };
+
+    if (status === 'failed') {
+        const result = await OutboundMessage.updateOne(filter, { status, failedAt: at, error });
+        return result.matchedCount > 0;
+    }
+
+    const rank = DELIVERY_STATUSES.indexOf(status);
+    if (rank === -1) return false;
+
+    const result = await OutboundMessage.updateOne(filter, { [`${status}At`]: at });
+    await OutboundMessage.updateOne(
+        { ...filter, status: { $in: ['accepted', ...DELIVERY_STATUSES.slice(0, rank)] } },
+        { status }
+    );
+    return result.matchedCount > 0;
+}
+
+// ========== BROADCASTS ==========
+
+/**
+ * Start a broadcast with every recipient pending
+ * @param {string} message - Text to send
+ * @param {Object} segment - { type, timezone }
+ * @param {string} createdBy - Who sent it
+ * @param {Array} users - Recipients' user documents
+ */
+export async function createBroadcast(message, segment, createdBy, users) {
+    return await Broadcast.create({
+        message,
+        segment,
+        createdBy,
+        recipients: users.map(user => ({ channel: user.channel, channelId: user.channelId, name: user.name }))
+    });
+}
+
+/**
+ * Record how sending to one recipient went
+ * @param {ObjectId} broadcastId - Broadcast
+ * @param {number} index - Recipient's position in the broadcast
+ * @param {Object} result - { status: 'sent' | 'failed', attempts, messageId, error }
+ */
+export async function recordBroadcastResult(broadcastId, index, { status, attempts, messageId = null, error = null }) {
+    const field = `recipients.${index}`;
+    await Broadcast.updateOne({ _id: broadcastId }, {
+        $set: {
+            [`${field}.status`]: status,
+            [`${field}.attempts`]: attempts,
+            [`${field}.messageId`]: messageId,
+            [`${field}.error`]: error
+        },
+        $inc: { [status]: 1 }
+    });
+}
+
+export async function finishBroadcast(broadcastId) {
+    await Broadcast.updateOne({ _id: broadcastId }, { finishedAt: new Date() });
+}
+
+/**
+ * A broadcast with each recipient's latest delivery status
+ * (delivered/read/failed from the provider's status webhooks, once they arrive)
+ * @param {string} broadcastId - Broadcast ID
+ * @returns {Object|null} The broadcast, or null if there's no such broadcast
+ */
+export async function getBroadcastReport(broadcastId) {
+    if (!mongoose.isValidObjectId(broadcastId)) return null;
+
+    const broadcast = await Broadcast.findById(broadcastId).lean();
+    if (!broadcast) return null;
+
+    const messageIds = broadcast.recipients.map(recipient => recipient.messageId).filter(Boolean);
+    const outbound = await OutboundMessage.find({ kind: 'broadcast', messageId: { $in: messageIds } }).lean();
+    const delivery = new Map(outbound.map(message => [`${message.channel}:${message.messageId}`, message]));
+
+    broadcast.recipients = broadcast.recipients.map(recipient => {
+        const message = delivery.get(`${recipient.channel}:${recipient.messageId}`);
+        return {
+            ...recipient,
+            delivery: message?.status || null,
+            error: recipient.error || message?.error || null
+        };
+    });
+    return broadcast;
+}
+
+/**
+ * Latest broadcasts, newest first, without their recipient lists
+ */
+export async function getRecentBroadcasts(limit = 10) {
+    return await Broadcast.find({}, { recipients: 0 }).sort({ createdAt: -1 }).limit(limit).lean();
+}
+
+// ========== DATA EXPORT ==========
+
+/**
+ * A user and their full log history, oldest first
+ * @param {Object} address - { channel, id }
+ * @returns {Object|null} { user, logs }, or null if there's no such user
+ */
+export async function getExportData(address) {
+    const user = await findUserData(address);
+    if (!user) return null;
+
+    const logs = await DailyLog.find({ user: user._id }).sort({ date: 1 }).lean();
+    return { user, logs };
+}
+
+/**
+ * Save a download link for a user's export
+ * @param {Object} address - { channel, id }
+ * @param {string} format - Export format
+ * @param {string} token - Random token for the URL
+ * @param {Date} expiresAt - When the link stops working
+ */
+export async function createExportLink(address, format, token, expiresAt) {
+    const user = await getUserData(address);
+    await ExportLink.create({ token, user: user._id, format, expiresAt });
+}
+
+/**
+ * Look up an unexpired download link
+ * (MongoDB's TTL cleanup runs once a minute, so expiry is checked here too)
+ * @param {string} token - Token from the URL
+ * @returns {Object|null} { address, format }, or null if it's unknown or expired
+ */
+export async function getExportLink(token) {
+    const link = await ExportLink.findOne({ token: String(token), expiresAt: { $gt: new Date() } })
+        .populate('user', 'channel channelId');
+    if (!link?.user) return null;
+    return { address: { channel: link.user.channel, id: link.user.channelId }, format: link.format };
 }
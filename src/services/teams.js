@@ -0,0 +1,181 @@
+/**
+ * Teams - Accountability partners and small groups
+ *
+ * - team create [name]   Start a team and get its join code
+ * - team join <code>     Join a partner's team
+ * - team                 Everyone's streaks and who has checked in today
+ * - team leave           Leave the team
+ *
+ * Teammates hear when someone checks in or misses a day, and when
+ * someone is still quiet TEAM_NUDGE_MINUTES (default 60) after their
+ * evening reminder (see scheduler.js).
+ */
+
+import { sendMessage, getAddress } from '../channels/index.js';
+import {
+    createTeam,
+    getTeamByCode,
+    joinTeam,
+    leaveTeam,
+    getTeamOverview,
+    getTeammates,
+    recordOutboundMessage
+} from './storage.js';
+import { generateInviteCode } from './access.js';
+import { MAX_TEAM_SIZE } from '../models/Team.js';
+import { formatStreakEmoji, getTodayDate } from '../utils/helpers.js';
+
+const TODAY_ICONS = { coded: '✅', missed: '❌', rest: '🛌' };
+
+/**
+ * How long after someone's evening reminder their teammates hear they're quiet
+ * (TEAM_NUDGE_MINUTES, default 60)
+ */
+export function getTeamNudgeMinutes() {
+    const minutes = Number.parseInt(process.env.TEAM_NUDGE_MINUTES, 10);
+    return Number.isInteger(minutes) && minutes > 0 ? minutes : 60;
+}
+
+/**
+ * team, team create [name], team join <code>, team leave
+ * @param {Object} from - User's address
+ * @param {Object} user - User document
+ * @param {string} args - Everything after "team"
+ */
+export async function handleTeamCommand(from, user, args) {
+    const [subcommand = '', ...rest] = args.trim().split(/\s+/);
+
+    switch (subcommand.toLowerCase()) {
+        case '':
+            await showTeam(from, user);
+            break;
+        case 'create':
+        case 'new':
+            await handleCreateTeam(from, user, rest.join(' '));
+            break;
+        case 'join':
+            await handleJoinTeam(from, user, rest.join(''));
+            break;
+        case 'leave':
+            await handleLeaveTeam(from, user);
+            break;
+        default:
+            await sendMessage(from, `Try: *team*, *team create*, *team join <code>* or *team leave*`);
+    }
+}
+
+async function showTeam(from, user) {
+    const overview = await getTeamOverview(from);
+    if (!overview) {
+        await sendMessage(from, `👥 *Teams*
+
+Code alongside a friend or a small group. You'll see each other's streaks and hear when someone checks in.
+
+• *team create* - Start a team and get a join code
+• *team join K7QM2X* - Join with a partner's code`);
+        return;
+    }
+
+    const { team, members } = overview;
+    const lines = members.map(({ user: member, today, currentStreak, longestStreak }) =>
+        `${TODAY_ICONS[today] || '⏳'} ${member.name || 'Someone'} - ${formatStreakEmoji(currentStreak)} ${currentStreak} days (best ${longestStreak})`);
+
+    await sendMessage(from, `👥 *${team.name}*
+
+${lines.join('\n')}
+
+✅ coded · ❌ missed · 🛌 resting · ⏳ not checked in yet
+
+Join code: *${team.code}* (${members.length}/${MAX_TEAM_SIZE})
+Leave with *team leave*`);
+}
+
+async function handleCreateTeam(from, user, name) {
+    if (user.team) {
+        await sendMessage(from, `You're already in a team. Type *team leave* first to start a new one.`);
+        return;
+    }
+
+    const team = await createTeam(from, name.trim().substring(0, 40) || `${user.name}'s team`, generateInviteCode());
+    console.log(`[Team] ${user.name} created ${team.code}`);
+
+    await sendMessage(from, `👥 *${team.name}* is ready!
+
+Share this code with your partner(s):
+*${team.code}*
+
+They join by sending *team join ${team.code}*`);
+}
+
+async function handleJoinTeam(from, user, code) {
+    if (!code) {
+        await sendMessage(from, `Send the code your partner shared, like *team join K7QM2X*`);
+        return;
+    }
+    if (user.team) {
+        await sendMessage(from, `You're already in a team. Type *team leave* first.`);
+        return;
+    }
+
+    const team = await getTeamByCode(code.toUpperCase());
+    if (!team) {
+        await sendMessage(from, `Couldn't find a team with code *${code.toUpperCase()}*. Double-check it with your partner.`);
+        return;
+    }
+    if (!(await joinTeam(from, team))) {
+        await sendMessage(from, `*${team.name}* is full (${MAX_TEAM_SIZE} people max).`);
+        return;
+    }
+
+    await notifyTeammates(from, `👋 *${user.name}* joined *${team.name}*!`, 'team_update');
+    await sendMessage(from, `👥 Welcome to *${team.name}*!
+
+Your teammates will see your streak and hear when you check in.
+Type *team* to see everyone.`);
+}
+
+async function handleLeaveTeam(from, user) {
+    if (!user.team) {
+        await sendMessage(from, `You're not in a team.`);
+        return;
+    }
+
+    await notifyTeammates(from, `👋 *${user.name}* left the team.`, 'team_update');
+    const team = await leaveTeam(from);
+    await sendMessage(from, `You've left *${team?.name || 'the team'}*. Your own streak and history stay with you.`);
+}
+
+/**
+ * Tell teammates how someone's day went
+ * @param {Object} from - Address of the member who checked in
+ * @param {Object} user - Their user document
+ * @param {boolean} coded - Did they code?
+ * @param {number} currentStreak - Their streak after checking in
+ */
+export async function notifyTeamCheckIn(from, user, coded, currentStreak) {
+    const message = coded
+        ? `✅ *${user.name}* just checked in - coded today! ${formatStreakEmoji(currentStreak)} ${currentStreak} days`
+        : `📭 *${user.name}* missed today. A kind word from you could help them bounce back tomorrow.`;
+
+    await notifyTeammates(from, message, 'team_update');
+}
+
+/**
+ * Message every teammate of a user (failures are logged, not thrown)
+ * @param {Object} from - Address of the member the news is about
+ * @param {string} message - What to tell them
+ * @param {string} kind - Outbound message kind, e.g. 'team_nudge'
+ */
+export async function notifyTeammates(from, message, kind) {
+    const teammates = await getTeammates(from);
+
+    for (const teammate of teammates) {
+        const address = getAddress(teammate);
+        try {
+            const messageId = await sendMessage(address, message);
+            await recordOutboundMessage(address, messageId, kind, getTodayDate(teammate.timezone));
+        } catch (error) {
+            console.error(`[Team] Failed for ${teammate.channel}:${teammate.channelId}:`, error.message);
+        }
+    }
+}
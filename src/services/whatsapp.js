@@ -1,21 +0,0 @@
-import axios from "axios";
-
-export async function sendMessage(to, message) {
-    const WHATSAPP_TOKEN = process.env.WHATSAPP_TOKEN;
-    const PHONE_NUMBER_ID = process.env.PHONE_NUMBER_ID;
-
-    await axios.post(
-        `https://graph.facebook.com/v24.0/${PHONE_NUMBER_ID}/messages`,
-        {
-            messaging_product: "whatsapp",
-            to,
-            text: { body: message },
-        },
-        {
-            headers: {
-                Authorization: `Bearer ${WHATSAPP_TOKEN}`,
-                "Content-Type": "application/json",
-            },
-        }
-    );
-}
@@ -0,0 +1,38 @@
+/**
+ * Clock - The bot's notion of "now"
+ * All date/time decisions go through now() so the local CLI can
+ * simulate a different time of day without touching the system clock.
+ */
+
+let offsetMs = 0;
+
+/**
+ * Get the current moment (simulated if the clock has been set)
+ * @returns {Date}
+ */
+export function now() {
+    return new Date(Date.now() + offsetMs);
+}
+
+/**
+ * Move the clock to a moment; it keeps ticking from there
+ * @param {Date} date - Simulated current moment
+ */
+export function setClock(date) {
+    offsetMs = date.getTime() - Date.now();
+}
+
+/**
+ * Move the clock forward (or back) by some milliseconds
+ * @param {number} ms - Milliseconds to shift
+ */
+export function advanceClock(ms) {
+    offsetMs += ms;
+}
+
+/**
+ * Go back to real time
+ */
+export function resetClock() {
+    offsetMs = 0;
+}
@@ -0,0 +1,192 @@
+/**
+ * Export Formats - A user's full history as a file they can keep
+ *
+ * - json      Everything, for other tools
+ * - csv       One row per day, for spreadsheets
+ * - journal   Markdown learning journal, one section per week
+ *
+ * Pure functions: the caller loads the user and their logs (oldest first).
+ */
+
+import { addDays, getWeekday, formatDateDisplay, formatDuration, WEEKDAYS } from './helpers.js';
+
+export const EXPORT_FORMATS = ['json', 'csv', 'journal'];
+
+// Log fields that go into every export, in column order
+const LOG_FIELDS = [
+    'date',
+    'coded',
+    'rest',
+    'morningMood',
+    'todaysPlan',
+    'planItems',
+    'planOutcome',
+    'carriedOver',
+    'eveningMood',
+    'whatDone',
+    'whyNot',
+    'learning',
+    'minutesSpent',
+    'commits',
+    'problemsSolved'
+];
+
+const PLAN_OUTCOMES = { done: 'done', partial: 'partly done', not_done: 'not done' };
+
+/**
+ * Build an export file
+ * @param {Object} user - User document
+ * @param {Array} logs - The user's daily logs, oldest first
+ * @param {string} format - One of EXPORT_FORMATS
+ * @param {string} today - YYYY-MM-DD in the user's timezone (names the file)
+ * @returns {Object} { filename, mimeType, content }
+ */
+export function buildExport(user, logs, format, today) {
+    switch (format) {
+        case 'json':
+            return {
+                filename: `accountability-${today}.json`,
+                mimeType: 'application/json',
+                content: toJson(user, logs, today)
+            };
+        case 'csv':
+            return {
+                filename: `accountability-${today}.csv`,
+                mimeType: 'text/csv',
+                content: toCsv(logs)
+            };
+        case 'journal':
+            return {
+                filename: `learning-journal-${today}.md`,
+                mimeType: 'text/markdown',
+                content: toJournal(user, logs, today)
+            };
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+}
+
+function pickLogFields(log) {
+    const picked = Object.fromEntries(LOG_FIELDS.map(field => [field, log[field] ?? null]));
+    picked.planItems = (log.planItems || []).map(({ text, done }) => ({ text, done: done ?? null }));
+    return picked;
+}
+
+function toJson(user, logs, today) {
+    return JSON.stringify({
+        exportedOn: today,
+        user: {
+            name: user.name,
+            timezone: user.timezone,
+            currentStreak: user.currentStreak,
+            longestStreak: user.longestStreak,
+            totalDaysCoded: user.totalDaysCoded,
+            restDays: [...(user.restDays || [])]
+        },
+        logs: logs.map(log => ({
+            ...pickLogFields(log),
+            attachments: (log.attachments || []).map(({ kind, field, caption, transcript }) => ({
+                kind,
+                field,
+                caption: caption ?? null,
+                transcript: transcript ?? null
+            }))
+        }))
+    }, null, 2);
+}
+
+/**
+ * Quote a CSV cell when it needs it. Cells that start like a formula are
+ * prefixed with ' so spreadsheets show the text instead of running it.
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+
+    let text = String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(logs) {
+    const rows = logs.map(log => {
+        const fields = pickLogFields(log);
+        fields.planItems = fields.planItems
+            .map(({ text, done }) => `${done === true ? '[x]' : '[ ]'} ${text}`)
+            .join('; ');
+        return LOG_FIELDS.map(field => csvCell(fields[field])).join(',');
+    });
+
+    return [LOG_FIELDS.join(','), ...rows].join('\r\n') + '\r\n';
+}
+
+/**
+ * Monday of the week a date falls in
+ */
+function weekStart(date) {
+    return addDays(date, -WEEKDAYS.indexOf(getWeekday(date)));
+}
+
+function dayHeading(log) {
+    if (log.coded === true) return '✅ Coded';
+    if (log.coded === false) return '❌ Didn\'t code';
+    if (log.rest) return log.rest === 'freeze' ? '🧊 Streak freeze' : '🛌 Rest day';
+    return '⏳ Not logged';
+}
+
+function journalDay(log) {
+    const heading = `### ${formatDateDisplay(log.date)} · ${dayHeading(log)}`;
+    const lines = [];
+
+    if (log.todaysPlan || log.planItems?.length) {
+        const outcome = PLAN_OUTCOMES[log.planOutcome];
+        lines.push(`- **Plan:** ${log.todaysPlan || ''}${outcome ? ` _(${outcome})_` : ''}`.trimEnd());
+        for (const item of log.planItems || []) {
+            lines.push(`  - [${item.done ? 'x' : ' '}] ${item.text}`);
+        }
+    }
+    if (log.whatDone) lines.push(`- **Did:** ${log.whatDone}`);
+
+    const effort = [
+        log.minutesSpent ? formatDuration(log.minutesSpent) : null,
+        log.commits ? `${log.commits} ${log.commits === 1 ? 'commit' : 'commits'}` : null,
+        log.problemsSolved ? `${log.problemsSolved} ${log.problemsSolved === 1 ? 'problem' : 'problems'} solved` : null
+    ].filter(Boolean);
+    if (effort.length) lines.push(`- **Effort:** ${effort.join(' · ')}`);
+
+    if (log.learning) lines.push(`- **Learned:** ${log.learning}`);
+    if (log.whyNot) lines.push(`- **Why not:** ${log.whyNot}`);
+
+    for (const { kind, transcript, caption } of log.attachments || []) {
+        const text = transcript || caption;
+        if (text) lines.push(`- **${kind === 'audio' ? '🎙️ Voice note' : '🖼️ Screenshot'}:** ${text}`);
+    }
+
+    const moods = [log.morningMood && `morning ${log.morningMood}`, log.eveningMood && `evening ${log.eveningMood}`].filter(Boolean);
+    if (moods.length) lines.push(`- **Mood:** ${moods.join(', ')}`);
+
+    return lines.length ? `${heading}\n\n${lines.join('\n')}` : heading;
+}
+
+function toJournal(user, logs, today) {
+    const coded = logs.filter(log => log.coded === true).length;
+    const sections = [
+        `# ${user.name ? `${user.name}'s` : 'My'} Learning Journal`,
+        `_Exported ${today} · ${coded} ${coded === 1 ? 'day' : 'days'} coded · longest streak ${user.longestStreak} ${user.longestStreak === 1 ? 'day' : 'days'}_`
+    ];
+
+    if (!logs.length) {
+        sections.push('Nothing logged yet.');
+    }
+
+    let currentWeek = null;
+    for (const log of logs) {
+        const week = weekStart(log.date);
+        if (week !== currentWeek) {
+            currentWeek = week;
+            sections.push(`## Week of ${formatDateDisplay(week)} ${week.slice(0, 4)}`);
+        }
+        sections.push(journalDay(log));
+    }
+
+    return sections.join('\n\n') + '\n';
+}
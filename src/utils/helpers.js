@@ -3,29 +3,180 @@
  * Contains date formatting and parsing helpers
  */
 
+import { now } from './clock.js';
+
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+/** Short weekday names, Monday first */
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
 /**
- * Get today's date in YYYY-MM-DD format (local timezone)
+ * Break a moment down into calendar/clock parts in a timezone
+ * @param {Date} date - Moment to convert
+ * @param {string} [timezone] - IANA timezone (server timezone if omitted)
+ * @returns {Object} { year, month, day, hour, minute } as strings
+ */
+function getZonedParts(date, timezone) {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    });
+
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(date)) {
+        parts[type] = value;
+    }
+    return parts;
+}
+
+/**
+ * Get today's date in YYYY-MM-DD format for a timezone
+ * @param {string} [timezone] - IANA timezone (server timezone if omitted)
  * @returns {string} Today's date string
  */
-export function getTodayDate() {
-    const now = new Date();
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
+export function getTodayDate(timezone) {
+    const { year, month, day } = getZonedParts(now(), timezone);
     return `${year}-${month}-${day}`;
 }
 
 /**
- * Get yesterday's date in YYYY-MM-DD format
+ * Get yesterday's date in YYYY-MM-DD format for a timezone
+ * @param {string} [timezone] - IANA timezone (server timezone if omitted)
  * @returns {string} Yesterday's date string
  */
-export function getYesterdayDate() {
-    const now = new Date();
-    now.setDate(now.getDate() - 1);
-    const year = now.getFullYear();
-    const month = String(now.getMonth() + 1).padStart(2, '0');
-    const day = String(now.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
+export function getYesterdayDate(timezone) {
+    return addDays(getTodayDate(timezone), -1);
+}
+
+/**
+ * Get the current wall-clock time in HH:MM format (24-hour) for a timezone
+ * @param {string} [timezone] - IANA timezone (server timezone if omitted)
+ * @returns {string} Current time string
+ */
+export function getCurrentTime(timezone) {
+    const { hour, minute } = getZonedParts(now(), timezone);
+    return `${hour}:${minute}`;
+}
+
+/**
+ * Get the moment a wall-clock date and time happen in a timezone
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {string} time - Time in HH:MM format
+ * @param {string} [timezone] - IANA timezone (server timezone if omitted)
+ * @returns {Date}
+ */
+export function getZonedDate(dateString, time, timezone) {
+    const utcGuess = new Date(`${dateString}T${time}:00Z`);
+    const { year, month, day, hour, minute } = getZonedParts(utcGuess, timezone);
+    const offsetMs = Date.UTC(year, month - 1, day, hour, minute) - utcGuess.getTime();
+    return new Date(utcGuess.getTime() - offsetMs);
+}
+
+/**
+ * Shift a YYYY-MM-DD date by a number of calendar days
+ * Works on the date string itself, so it is unaffected by DST
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted date in YYYY-MM-DD format
+ */
+export function addDays(dateString, days) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Get the weekday of a date
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {string} Short weekday name from WEEKDAYS, e.g. 'Mon'
+ */
+export function getWeekday(dateString) {
+    // getUTCDay() is 0 for Sunday
+    return WEEKDAYS[(new Date(`${dateString}T00:00:00Z`).getUTCDay() + 6) % 7];
+}
+
+/**
+ * Read weekday names like "sun", "Sunday" or "SAT"
+ * @param {string[]} words - One weekday per word
+ * @returns {string[]|null} Short names in week order, or null if one isn't a weekday
+ */
+export function parseWeekdays(words) {
+    const days = new Set();
+    for (const word of words) {
+        const day = WEEKDAYS.find(name => word.toLowerCase().startsWith(name.toLowerCase()));
+        if (!day) return null;
+        days.add(day);
+    }
+    return WEEKDAYS.filter(day => days.has(day));
+}
+
+/**
+ * Count calendar days between two YYYY-MM-DD dates
+ * @param {string} from - Earlier date
+ * @param {string} to - Later date
+ * @returns {number} Whole days from `from` to `to`
+ */
+export function daysBetween(from, to) {
+    return Math.round((new Date(`${to}T00:00:00Z`) - new Date(`${from}T00:00:00Z`)) / MS_PER_DAY);
+}
+
+/**
+ * Read a day the user typed: today, yesterday, tomorrow or YYYY-MM-DD
+ * @param {string} input - Day as typed
+ * @param {string} [timezone] - User's timezone
+ * @returns {string|null} Date in YYYY-MM-DD format, or null if not a real date
+ */
+export function parseLogDate(input, timezone) {
+    const day = input?.trim().toLowerCase();
+    if (day === 'today') return getTodayDate(timezone);
+    if (day === 'yesterday') return getYesterdayDate(timezone);
+    if (day === 'tomorrow') return addDays(getTodayDate(timezone), 1);
+
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(day)) return null;
+    // Rejects dates like 2026-02-30, which roll over
+    return addDays(day, 0) === day ? day : null;
+}
+
+/**
+ * Check if a string is a timezone the runtime understands
+ * @param {string} timezone - Timezone name to check
+ * @returns {boolean}
+ */
+export function isValidTimezone(timezone) {
+    if (!timezone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Resolve user input into an IANA timezone
+ * Accepts full names (Europe/Berlin) or just the city (berlin, new york)
+ * @param {string} input - Timezone or city typed by the user
+ * @returns {string|null} IANA timezone or null if not recognised
+ */
+export function resolveTimezone(input) {
+    if (!input) return null;
+
+    const query = input.trim().toLowerCase().replace(/\s+/g, '_');
+    if (query === 'utc' || query === 'gmt') return 'UTC';
+
+    const zones = Intl.supportedValuesOf('timeZone');
+    const exact = zones.find(zone => zone.toLowerCase() === query);
+    if (exact) return exact;
+
+    const byCity = zones.find(zone => zone.toLowerCase().split('/').pop() === query);
+    if (byCity) return byCity;
+
+    return isValidTimezone(input.trim()) ? input.trim() : null;
 }
 
 /**
@@ -79,22 +230,38 @@ export function parseTime(timeStr) {
     return null;
 }
 
+/**
+ * Move an HH:MM time by some minutes, within the same day
+ * @param {string} time - HH:MM
+ * @param {number} minutes - Minutes to add (negative to go back)
+ * @returns {string|null} HH:MM, or null if it would land on another day
+ */
+export function addMinutesToTime(time, minutes) {
+    const [hours, mins] = time.split(':').map(Number);
+    const total = hours * 60 + mins + minutes;
+    if (total < 0 || total >= 24 * 60) return null;
+
+    return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`;
+}
+
 /**
  * Check if a date string is today
  * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {string} [timezone] - IANA timezone
  * @returns {boolean}
  */
-export function isToday(dateString) {
-    return dateString === getTodayDate();
+export function isToday(dateString, timezone) {
+    return dateString === getTodayDate(timezone);
 }
 
 /**
  * Check if a date string is yesterday
  * @param {string} dateString - Date in YYYY-MM-DD format
+ * @param {string} [timezone] - IANA timezone
  * @returns {boolean}
  */
-export function isYesterday(dateString) {
-    return dateString === getYesterdayDate();
+export function isYesterday(dateString, timezone) {
+    return dateString === getYesterdayDate(timezone);
 }
 
 /**
@@ -111,6 +278,121 @@ export function formatStreakEmoji(streak) {
     return "🏆";
 }
 
+/**
+ * Format a date for display, like "Mon 12 Oct"
+ * @param {string} dateString - Date in YYYY-MM-DD format
+ * @returns {string} Formatted date
+ */
+export function formatDateDisplay(dateString) {
+    return new Intl.DateTimeFormat('en-GB', {
+        timeZone: 'UTC',
+        weekday: 'short',
+        day: 'numeric',
+        month: 'short'
+    }).format(new Date(`${dateString}T00:00:00Z`));
+}
+
+/**
+ * Read a duration like "2h", "45m", "1h30", "1.5 hours" or "90 min"
+ * A bare number is hours up to 12 and minutes above that.
+ * @param {string} input - Duration as typed
+ * @returns {number|null} Whole minutes, or null if not understood
+ */
+export function parseDuration(input) {
+    const text = input?.trim().toLowerCase().replace(/\s+/g, '') || '';
+
+    let minutes;
+    const bare = text.match(/^(\d+(?:\.\d+)?)$/);
+    if (bare) {
+        const value = Number(bare[1]);
+        minutes = Math.round(value <= 12 ? value * 60 : value);
+    } else {
+        const match = text.match(/^(?:(\d+(?:\.\d+)?)(?:h|hrs?|hours?))?(?:(\d+)(?:m|mins?|minutes?)?)?$/);
+        if (!match || (!match[1] && !match[2])) return null;
+        minutes = Math.round(Number(match[1] || 0) * 60 + Number(match[2] || 0));
+    }
+
+    return minutes > 0 && minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Read counts like "5 commits", "3 problems" or "4 commits, 2 leetcode"
+ * @param {string} input - Counts as typed
+ * @returns {Object|null} { commits, problemsSolved } (null for any not given), or null if neither was found
+ */
+export function parseMetrics(input) {
+    const text = input?.toLowerCase() || '';
+    const commits = text.match(/(\d+)\s*commits?\b/);
+    const problems = text.match(/(\d+)\s*(?:problems?|questions?|leetcode|challenges?|katas?)\b/);
+    if (!commits && !problems) return null;
+
+    return {
+        commits: commits ? Number(commits[1]) : null,
+        problemsSolved: problems ? Number(problems[1]) : null
+    };
+}
+
+// Most items a morning plan can have
+export const MAX_PLAN_ITEMS = 5;
+
+/**
+ * Split a morning plan into checklist items
+ * One item per line, or separated by semicolons; bullets and numbers are dropped
+ * @param {string} input - Plan as typed
+ * @returns {string[]} Items (at most MAX_PLAN_ITEMS)
+ */
+export function parsePlanItems(input) {
+    return (input || '')
+        .split(/\n|;/)
+        .map(item => item.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+        .filter(Boolean)
+        .slice(0, MAX_PLAN_ITEMS);
+}
+
+/**
+ * Read how the morning plan went
+ * Takes done / partly / not done, or the numbers of the finished items ("1 3", "all", "none")
+ * @param {string} input - Answer as typed
+ * @param {number} itemCount - How many items the plan has
+ * @returns {Object|null} { outcome: 'done'|'partial'|'not_done', doneItems } or null if not understood.
+ *   doneItems lists finished item indexes, or is null when the answer didn't say which
+ */
+export function parsePlanOutcome(input, itemCount) {
+    const text = input?.trim().toLowerCase() || '';
+    const allItems = [...Array(itemCount).keys()];
+
+    if (['done', 'all', 'all done', 'yes', 'y'].includes(text)) {
+        return { outcome: 'done', doneItems: allItems };
+    }
+    if (['not done', 'none', 'no', 'n'].includes(text)) {
+        return { outcome: 'not_done', doneItems: [] };
+    }
+    if (['partly', 'partial', 'partially', 'some', 'half'].includes(text)) {
+        return { outcome: 'partial', doneItems: null };
+    }
+
+    const numbers = text.match(/\d+/g);
+    if (!numbers || text.replace(/\d+|,|and|&|\s/g, '')) return null;
+
+    const doneItems = [...new Set(numbers.map(n => Number(n) - 1))].sort((a, b) => a - b);
+    if (doneItems.some(index => index < 0 || index >= itemCount)) return null;
+
+    const outcome = doneItems.length === itemCount ? 'done' : 'partial';
+    return { outcome, doneItems };
+}
+
+/**
+ * Format minutes for display, like "2h 30m"
+ * @param {number} minutes - Duration in minutes
+ * @returns {string} Formatted duration
+ */
+export function formatDuration(minutes) {
+    const hours = Math.floor(minutes / 60);
+    const rest = minutes % 60;
+    if (!hours) return `${rest}m`;
+    return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
 /**
  * Format time for display (convert 24h to 12h if needed)
  * @param {string} time - Time in HH:MM format
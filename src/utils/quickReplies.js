@@ -0,0 +1,32 @@
+/**
+ * Quick Replies - Tappable answers offered with a question
+ * Reply IDs are the words the conversation already understands, so a tap
+ * and a typed answer are handled the same way. Titles stay plain words
+ * because some channels send the title back instead of the ID.
+ */
+
+function toReplies(titles) {
+    return titles.map(title => ({ id: title.toLowerCase(), title }));
+}
+
+export const YES_NO_REPLIES = {
+    replies: toReplies(['Yes', 'No'])
+};
+
+export const SKIP_REPLIES = {
+    replies: toReplies(['Skip'])
+};
+
+export const PLAN_OUTCOME_REPLIES = {
+    replies: toReplies(['Done', 'Partly', 'Not done'])
+};
+
+export const MORNING_MOOD_REPLIES = {
+    replies: toReplies(['Energized', 'Motivated', 'Okay', 'Tired', 'Stressed']),
+    replyLabel: 'Pick a mood'
+};
+
+export const EVENING_MOOD_REPLIES = {
+    replies: toReplies(['Accomplished', 'Productive', 'Okay', 'Tired', 'Frustrated']),
+    replyLabel: 'Pick a mood'
+};
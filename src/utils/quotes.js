@@ -3,6 +3,8 @@
  * One quote is picked per day based on the date
  */
 
+import { now } from './clock.js';
+
 export const quotes = [
     "The only way to learn a new programming language is by writing programs in it. — Dennis Ritchie",
     "First, solve the problem. Then, write the code. — John Johnson",
@@ -43,7 +45,7 @@ export const quotes = [
  * @returns {string} Today's motivational quote
  */
 export function getQuoteOfTheDay() {
-    const today = new Date();
+    const today = now();
     const dayOfYear = Math.floor((today - new Date(today.getFullYear(), 0, 0)) / (1000 * 60 * 60 * 24));
     const quoteIndex = dayOfYear % quotes.length;
     return quotes[quoteIndex];
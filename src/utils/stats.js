@@ -0,0 +1,178 @@
+/**
+ * Stats - Everything worked out from a user's daily logs
+ *
+ * The logs are the source of truth. The counters on the User document are
+ * only a cache of these numbers (see storage.repairStreakCounters).
+ * Working them out from the full history means a backfilled or corrected
+ * day lands in the right place, whatever order it was answered in.
+ *
+ * Rest days (a recurring rest weekday, a day marked rest ahead of time,
+ * or a freeze) are neutral: they don't add to a streak and don't break it.
+ * A day they coded anyway counts as a coding day.
+ */
+
+import { addDays, daysBetween, getWeekday, WEEKDAYS } from './helpers.js';
+
+/**
+ * Build a check for whether a date is a rest day
+ * @param {Array} logs - Daily logs ({ date, coded, rest })
+ * @param {string[]} restDays - Recurring rest weekdays, e.g. ['Sun']
+ * @returns {Function} date => boolean
+ */
+function restDayChecker(logs, restDays = []) {
+    const byDate = new Map(logs.map(log => [log.date, log]));
+
+    return date => {
+        const log = byDate.get(date);
+        if (log?.coded) return false;
+        return !!log?.rest || restDays.includes(getWeekday(date));
+    };
+}
+
+/**
+ * Check that nothing but rest days sits between two dates (both excluded)
+ */
+function onlyRestBetween(from, to, isRestDay) {
+    for (let date = addDays(from, 1); date < to; date = addDays(date, 1)) {
+        if (!isRestDay(date)) return false;
+    }
+    return true;
+}
+
+/**
+ * Work out streaks from a user's logs
+ * @param {Array} logs - Daily logs ({ date, coded, rest }), any order
+ * @param {string} today - Today's date in the user's timezone
+ * @param {string[]} [restDays] - Recurring rest weekdays, e.g. ['Sun']
+ * @returns {Object} { currentStreak, longestStreak, totalDaysCoded }
+ */
+export function calculateStreaks(logs, today, restDays = []) {
+    const isRestDay = restDayChecker(logs, restDays);
+    const codedDates = logs
+        .filter(log => log.coded && log.date <= today)
+        .map(log => log.date)
+        .sort();
+
+    let longestStreak = 0;
+    let run = 0;
+    let previous = null;
+    for (const date of codedDates) {
+        run = previous && onlyRestBetween(previous, date, isRestDay) ? run + 1 : 1;
+        longestStreak = Math.max(longestStreak, run);
+        previous = date;
+    }
+
+    // The last run is still going if only rest days separate it from today,
+    // and today hasn't been answered no
+    const answeredNoToday = logs.some(log => log.date === today && log.coded === false) && !isRestDay(today);
+    const stillGoing = previous === today || (previous && onlyRestBetween(previous, today, isRestDay) && !answeredNoToday);
+    const currentStreak = stillGoing ? run : 0;
+
+    return { currentStreak, longestStreak, totalDaysCoded: codedDates.length };
+}
+
+/**
+ * Share of answered days that were coding days
+ * @returns {number|null} 0-1, or null when nothing was answered
+ */
+function rate(coded, logged) {
+    return logged > 0 ? coded / logged : null;
+}
+
+/**
+ * Add up time spent and output over the last few days
+ * @param {Array} logs - Daily logs ({ date, minutesSpent, commits, problemsSolved })
+ * @param {string} today - Today's date in the user's timezone
+ * @param {number} days - Window length, today included (7 = this week)
+ * @returns {Object} {
+ *   minutes, days,      // total minutes, and how many days had time logged
+ *   averageMinutes,     // per day with time logged (null if none)
+ *   commits, problemsSolved
+ * }
+ */
+export function calculateEffort(logs, today, days) {
+    const inWindow = logs.filter(log => log.date <= today && daysBetween(log.date, today) < days);
+    const timed = inWindow.filter(log => log.minutesSpent > 0);
+    const total = field => inWindow.reduce((sum, log) => sum + (log[field] || 0), 0);
+
+    const minutes = total('minutesSpent');
+    return {
+        minutes,
+        days: timed.length,
+        averageMinutes: timed.length ? Math.round(minutes / timed.length) : null,
+        commits: total('commits'),
+        problemsSolved: total('problemsSolved')
+    };
+}
+
+/**
+ * How often the morning plan got done
+ * @param {Array} logs - Daily logs ({ planOutcome }) to count, already windowed by the caller
+ * @returns {Object} {
+ *   planned,               // days with a plan outcome recorded
+ *   done, partial, notDone,
+ *   hitRate                // share of planned days fully done (null if none)
+ * }
+ */
+export function calculatePlans(logs) {
+    const count = outcome => logs.filter(log => log.planOutcome === outcome).length;
+    const done = count('done');
+    const partial = count('partial');
+    const notDone = count('not_done');
+    const planned = done + partial + notDone;
+
+    return { planned, done, partial, notDone, hitRate: rate(done, planned) };
+}
+
+/**
+ * Work out a user's full stats from their logs
+ * @param {Array} logs - Daily logs ({ date, coded, rest, minutesSpent, ... }), any order
+ * @param {string} today - Today's date in the user's timezone
+ * @param {string[]} [restDays] - Recurring rest weekdays, e.g. ['Sun']
+ * @returns {Object} {
+ *   currentStreak, longestStreak, totalDaysCoded,
+ *   daysLogged, daysMissed, daysRested, completionRate,
+ *   last7Days,   // coding days in the last 7 calendar days, today included
+ *   weekdays,    // [{ day: 'Mon', coded, logged, rate }], Monday first
+ *   effort,      // { week, month } - see calculateEffort
+ *   plans        // { week, all } - see calculatePlans
+ * }
+ */
+export function calculateStats(logs, today, restDays = []) {
+    const isRestDay = restDayChecker(logs, restDays);
+    const past = logs.filter(log => log.date <= today);
+
+    // Rest days aren't held against the completion rate
+    const answered = past.filter(log => log.coded !== null && log.coded !== undefined && !isRestDay(log.date));
+    const { currentStreak, longestStreak, totalDaysCoded } = calculateStreaks(logs, today, restDays);
+
+    const weekdays = WEEKDAYS.map(day => ({ day, coded: 0, logged: 0, rate: null }));
+    for (const log of answered) {
+        const weekday = weekdays[WEEKDAYS.indexOf(getWeekday(log.date))];
+        weekday.logged++;
+        if (log.coded) weekday.coded++;
+    }
+    for (const weekday of weekdays) {
+        weekday.rate = rate(weekday.coded, weekday.logged);
+    }
+
+    return {
+        currentStreak,
+        longestStreak,
+        totalDaysCoded,
+        daysLogged: answered.length,
+        daysMissed: answered.length - totalDaysCoded,
+        daysRested: past.filter(log => log.rest && !log.coded).length,
+        completionRate: rate(totalDaysCoded, answered.length),
+        last7Days: answered.filter(log => log.coded && daysBetween(log.date, today) < 7).length,
+        weekdays,
+        effort: {
+            week: calculateEffort(logs, today, 7),
+            month: calculateEffort(logs, today, 30)
+        },
+        plans: {
+            week: calculatePlans(past.filter(log => daysBetween(log.date, today) < 7)),
+            all: calculatePlans(past)
+        }
+    };
+}
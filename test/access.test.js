@@ -0,0 +1,87 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleMessage } from '../src/services/messageHandler.js';
+import User from '../src/models/User.js';
+import Invite from '../src/models/Invite.js';
+import { useDatabase, address, createUser, findUser, lastMessage, sent } from './support.js';
+
+useDatabase();
+
+describe('access control', () => {
+    beforeEach(() => {
+        process.env.INVITE_ONLY = 'true';
+        process.env.ADMINS = 'test:boss';
+    });
+
+    afterEach(() => {
+        delete process.env.INVITE_ONLY;
+        delete process.env.ALLOWED_PHONES;
+        delete process.env.ADMINS;
+    });
+
+    test('unknown senders are turned away without a record', async () => {
+        await handleMessage(address('stranger'), 'hi');
+
+        assert.equal(await User.countDocuments(), 0);
+        assert.match(lastMessage(), /invite-only/);
+    });
+
+    test('everyone gets in when access control is off', async () => {
+        delete process.env.INVITE_ONLY;
+        await handleMessage(address('stranger'), 'hi');
+
+        assert.ok(await findUser('stranger'));
+    });
+
+    test('allowlisted senders from the env start onboarding', async () => {
+        process.env.ALLOWED_PHONES = 'test:friend, test:other';
+        await handleMessage(address('friend'), 'hi');
+
+        assert.equal((await findUser('friend')).onboardingStep, 'ask_name');
+    });
+
+    test('an invite code lets one new person in', async () => {
+        await Invite.create({ code: 'K7QM2X', maxUses: 1 });
+
+        await handleMessage(address('first'), 'k7qm2x');
+        await handleMessage(address('second'), 'K7QM2X');
+
+        const first = await findUser('first');
+        assert.equal(first.invitedWith, 'K7QM2X');
+        assert.equal(first.onboardingStep, 'ask_name');
+        assert.equal(await findUser('second'), null);
+        assert.equal((await Invite.findOne({ code: 'K7QM2X' })).uses, 1);
+    });
+
+    test('admins create invites from chat', async () => {
+        await handleMessage(address('boss'), 'admin invite 3');
+
+        const invite = await Invite.findOne();
+        assert.equal(invite.maxUses, 3);
+        assert.match(lastMessage(), new RegExp(invite.code));
+    });
+
+    test('non-admins cannot run admin commands', async () => {
+        await createUser();
+        await handleMessage(address(), 'admin invite');
+
+        assert.equal(await Invite.countDocuments(), 0);
+        assert.match(lastMessage(), /Not sure what you mean/);
+    });
+
+    test('revoked users are blocked and keep their history', async () => {
+        await createUser({ currentStreak: 5 });
+        await handleMessage(address('boss'), 'admin revoke test:ada');
+
+        sent.length = 0;
+        await handleMessage(address(), 'status');
+
+        const user = await findUser();
+        assert.equal(user.accessRevoked, true);
+        assert.equal(user.currentStreak, 5);
+        assert.match(lastMessage(), /access to this bot has been turned off/);
+
+        await handleMessage(address('boss'), 'admin restore test:ada');
+        assert.equal((await findUser()).accessRevoked, false);
+    });
+});
@@ -0,0 +1,233 @@
+import { test, describe, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import { createAdminRouter } from '../src/admin/router.js';
+import DailyLog from '../src/models/DailyLog.js';
+import { useDatabase, createUser, findUser, setLocalTime, sent } from './support.js';
+
+useDatabase();
+
+let server;
+let baseUrl;
+
+before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/admin', createAdminRouter());
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    process.env.ADMIN_TOKEN = 'test-admin-token';
+    process.env.BROADCAST_DELAY_MS = '0';
+});
+
+/**
+ * Call the admin API with the token
+ */
+async function api(method, path, body) {
+    const res = await fetch(`${baseUrl}/admin/api${path}`, {
+        method,
+        headers: { Authorization: 'Bearer test-admin-token', 'Content-Type': 'application/json' },
+        body: body && JSON.stringify(body)
+    });
+    return { status: res.status, body: await res.json() };
+}
+
+/**
+ * Fetch a broadcast's report once it has finished sending
+ */
+async function finishedReport(id) {
+    for (let tries = 0; tries < 50; tries++) {
+        const { body } = await api('GET', `/broadcasts/${id}`);
+        if (body.broadcast.finishedAt) return body.broadcast;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Broadcast ${id} never finished`);
+}
+
+describe('Admin API - users', () => {
+    test('lists every user', async () => {
+        await createUser({ channelId: 'ada', name: 'Ada' });
+        await createUser({ channelId: 'grace', name: 'Grace', onboardingComplete: false });
+
+        const { status, body } = await api('GET', '/users');
+        assert.equal(status, 200);
+        assert.deepEqual(body.users.map(user => user.name), ['Ada', 'Grace']);
+        assert.equal(body.users[0].id, 'ada');
+    });
+
+    test('shows one user with stats from their logs', async () => {
+        setLocalTime('2025-01-15', '12:00');
+        const user = await createUser({ currentStreak: 9 });
+        await DailyLog.create({ user: user._id, date: '2025-01-14', coded: true });
+        await DailyLog.create({ user: user._id, date: '2025-01-15', coded: true });
+
+        const { body } = await api('GET', '/users/test/ada');
+        assert.equal(body.user.currentStreak, 9);
+        assert.equal(body.stats.currentStreak, 2);
+    });
+
+    test('404s for an unknown user', async () => {
+        const { status } = await api('GET', '/users/test/nobody');
+        assert.equal(status, 404);
+    });
+
+    test('returns log history newest first', async () => {
+        const user = await createUser();
+        await DailyLog.create({ user: user._id, date: '2025-01-14', coded: true });
+        await DailyLog.create({ user: user._id, date: '2025-01-15', coded: false });
+
+        const { body } = await api('GET', '/users/test/ada/logs?limit=1');
+        assert.deepEqual(body.logs.map(log => log.date), ['2025-01-15']);
+    });
+
+    test('downloads an export of a user', async () => {
+        setLocalTime('2025-01-15', '12:00');
+        const user = await createUser();
+        await DailyLog.create({ user: user._id, date: '2025-01-14', coded: true, learning: 'Indexes matter' });
+
+        const res = await fetch(`${baseUrl}/admin/api/users/test/ada/export?format=csv`, {
+            headers: { Authorization: 'Bearer test-admin-token' }
+        });
+
+        assert.equal(res.status, 200);
+        assert.match(res.headers.get('content-type'), /^text\/csv/);
+        assert.match(res.headers.get('content-disposition'), /accountability-2025-01-15\.csv/);
+        assert.match(await res.text(), /Indexes matter/);
+    });
+
+    test('rejects an unknown export format', async () => {
+        await createUser();
+        const { status } = await api('GET', '/users/test/ada/export?format=pdf');
+        assert.equal(status, 400);
+    });
+
+    test('serves the dashboard page', async () => {
+        await createUser({ name: '<b>Ada</b>' });
+        const res = await fetch(`${baseUrl}/admin`, { headers: { Authorization: 'Bearer test-admin-token' } });
+        const html = await res.text();
+        assert.match(html, /&lt;b&gt;Ada&lt;\/b&gt;/);
+    });
+});
+
+describe('Admin API - actions', () => {
+    test('edits stored stats', async () => {
+        await createUser();
+        const { status, body } = await api('PATCH', '/users/test/ada/stats', { currentStreak: 5, freezesAvailable: 2 });
+
+        assert.equal(status, 200);
+        assert.equal(body.user.currentStreak, 5);
+        assert.equal((await findUser()).freezesAvailable, 2);
+    });
+
+    test('rejects invalid stats', async () => {
+        await createUser({ currentStreak: 3 });
+        const { status } = await api('PATCH', '/users/test/ada/stats', { currentStreak: -2 });
+
+        assert.equal(status, 400);
+        assert.equal((await findUser()).currentStreak, 3);
+    });
+
+    test('repairs a user from their logs', async () => {
+        setLocalTime('2025-01-15', '12:00');
+        const user = await createUser({ currentStreak: 40, totalDaysCoded: 40 });
+        await DailyLog.create({ user: user._id, date: '2025-01-15', coded: true });
+
+        const { body } = await api('POST', '/users/test/ada/repair');
+        assert.equal(body.before.currentStreak, 40);
+        assert.equal(body.after.currentStreak, 1);
+        assert.equal((await findUser()).totalDaysCoded, 1);
+    });
+
+    test('sends a reminder on demand', async () => {
+        setLocalTime('2025-01-15', '12:00');
+        await createUser();
+
+        const { status } = await api('POST', '/users/test/ada/remind', { type: 'evening' });
+        assert.equal(status, 200);
+        assert.equal(sent.length, 1);
+        assert.equal(sent[0].to, 'ada');
+    });
+
+    test('rejects an unknown reminder type', async () => {
+        await createUser();
+        const { status } = await api('POST', '/users/test/ada/remind', { type: 'brunch' });
+        assert.equal(status, 400);
+        assert.equal(sent.length, 0);
+    });
+
+    test('deactivates and reactivates a user', async () => {
+        await createUser();
+
+        await api('POST', '/users/test/ada/deactivate');
+        assert.equal((await findUser()).accessRevoked, true);
+
+        await api('POST', '/users/test/ada/reactivate');
+        assert.equal((await findUser()).accessRevoked, false);
+    });
+
+    test('broadcasts to onboarded, active users only', async () => {
+        await createUser({ channelId: 'ada' });
+        await createUser({ channelId: 'grace', onboardingComplete: false });
+        await createUser({ channelId: 'linus', accessRevoked: true });
+
+        const { status, body } = await api('POST', '/broadcast', { message: 'Maintenance tonight at 22:00' });
+        assert.equal(status, 202);
+        assert.equal(body.recipients, 1);
+
+        const report = await finishedReport(body.id);
+        assert.equal(report.sent, 1);
+        assert.deepEqual(report.recipients.map(({ channelId, status }) => ({ channelId, status })), [
+            { channelId: 'ada', status: 'sent' }
+        ]);
+        assert.deepEqual(sent.map(({ to }) => to), ['ada']);
+    });
+
+    test('broadcasts to a segment', async () => {
+        setLocalTime('2025-01-15', '12:00');
+        const ada = await createUser({ channelId: 'ada' });
+        await DailyLog.create({ user: ada._id, date: '2025-01-15', coded: true });
+        await createUser({ channelId: 'grace', currentStreak: 5 });
+
+        const { body } = await api('POST', '/broadcast', { message: 'Restart today?', segment: 'no_streak' });
+        await finishedReport(body.id);
+        assert.deepEqual(sent.map(({ to }) => to), ['grace']);
+    });
+
+    test('rejects an unknown segment', async () => {
+        const { status } = await api('POST', '/broadcast', { message: 'Hi', segment: 'timezone', timezone: 'Atlantis' });
+        assert.equal(status, 400);
+    });
+
+    test('404s for an unknown broadcast', async () => {
+        const { status } = await api('GET', '/broadcasts/not-an-id');
+        assert.equal(status, 404);
+    });
+
+    test('rejects an empty broadcast', async () => {
+        const { status } = await api('POST', '/broadcast', { message: '  ' });
+        assert.equal(status, 400);
+    });
+
+    test('sends dashboard forms back to the page', async () => {
+        await createUser();
+        const res = await fetch(`${baseUrl}/admin/api/users/test/ada/deactivate`, {
+            method: 'POST',
+            redirect: 'manual',
+            headers: {
+                Authorization: 'Bearer test-admin-token',
+                'Content-Type': 'application/x-www-form-urlencoded',
+                Referer: `${baseUrl}/admin/users/test/ada`
+            },
+            body: ''
+        });
+
+        assert.equal(res.status, 303);
+        assert.equal(res.headers.get('location'), `${baseUrl}/admin/users/test/ada`);
+    });
+});
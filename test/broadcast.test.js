@@ -0,0 +1,227 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleMessage } from '../src/services/messageHandler.js';
+import { broadcastMessage, parseSegment } from '../src/services/broadcast.js';
+import { getBroadcastReport, updateDeliveryStatus } from '../src/services/storage.js';
+import { registerChannel } from '../src/channels/index.js';
+import Broadcast from '../src/models/Broadcast.js';
+import OutboundMessage from '../src/models/OutboundMessage.js';
+import User from '../src/models/User.js';
+import DailyLog from '../src/models/DailyLog.js';
+import { useDatabase, address, createUser, lastMessage, setLocalTime, sent } from './support.js';
+
+useDatabase();
+
+// A channel that fails on cue: failures[id] is a list of errors to throw, one per attempt
+const failures = {};
+const attempts = {};
+
+registerChannel({
+    name: 'flaky',
+    sendMessage: async (to) => {
+        attempts[to] = (attempts[to] || 0) + 1;
+        const error = failures[to]?.shift();
+        if (error) throw error;
+        return `flaky-${to}-${attempts[to]}`;
+    }
+});
+
+function httpError(status, message = `HTTP ${status}`) {
+    return Object.assign(new Error(`Request failed with status code ${status}`), {
+        response: { status, data: { error: { message } } }
+    });
+}
+
+/**
+ * Messages a user received
+ */
+function received(id) {
+    return sent.filter(({ to }) => to === id).map(({ message }) => message);
+}
+
+describe('broadcast', () => {
+    beforeEach(() => {
+        process.env.BROADCAST_DELAY_MS = '0';
+        process.env.BROADCAST_RETRY_DELAY_MS = '0';
+        for (const id of Object.keys(failures)) delete failures[id];
+        for (const id of Object.keys(attempts)) delete attempts[id];
+    });
+
+    afterEach(() => {
+        delete process.env.BROADCAST_DELAY_MS;
+        delete process.env.BROADCAST_RETRY_DELAY_MS;
+        delete process.env.BROADCAST_RETRIES;
+        delete process.env.ADMINS;
+    });
+
+    test('goes to every onboarded, active user', async () => {
+        await createUser({ channelId: 'ada' });
+        await createUser({ channelId: 'grace' });
+        await createUser({ channelId: 'newbie', onboardingComplete: false, onboardingStep: 'ask_name' });
+        await createUser({ channelId: 'blocked', accessRevoked: true });
+
+        const report = await broadcastMessage('New feature: *export* your journal!');
+
+        assert.equal(report.recipients, 2);
+        assert.equal(report.sent, 2);
+        assert.deepEqual(sent.map(({ to }) => to).sort(), ['ada', 'grace']);
+    });
+
+    test('targets users with no streak, going by their logs', async () => {
+        setLocalTime('2025-01-15', '12:00');
+        const ada = await createUser({ channelId: 'ada', currentStreak: 0 });
+        await DailyLog.create({ user: ada._id, date: '2025-01-15', coded: true });
+        // Stored counter from before they stopped checking in
+        const grace = await createUser({ channelId: 'grace', currentStreak: 4 });
+        await DailyLog.create({ user: grace._id, date: '2025-01-08', coded: true });
+
+        await broadcastMessage('Fresh start this week?', parseSegment('no_streak').segment);
+        assert.deepEqual(sent.map(({ to }) => to), ['grace']);
+    });
+
+    test('targets one timezone, by name or city', async () => {
+        await createUser({ channelId: 'ada', timezone: 'Africa/Accra' });
+        await createUser({ channelId: 'grace', timezone: 'Europe/Berlin' });
+
+        await broadcastMessage('Guten Morgen', parseSegment('tz', 'berlin').segment);
+        assert.deepEqual(sent.map(({ to }) => to), ['grace']);
+    });
+
+    test('counts users without a stored timezone as in the default one', async () => {
+        await createUser({ channelId: 'ada' });
+        await User.updateOne({ channelId: 'ada' }, { $unset: { timezone: 1 } });
+        await createUser({ channelId: 'grace', timezone: 'Europe/Berlin' });
+
+        await broadcastMessage('Akwaaba', parseSegment('tz', 'Africa/Accra').segment);
+        assert.deepEqual(sent.map(({ to }) => to), ['ada']);
+    });
+
+    test('rejects unknown segments and timezones', () => {
+        assert.ok(parseSegment('vip').error);
+        assert.ok(parseSegment('timezone', 'Atlantis').error);
+    });
+
+    test('retries rate limits and server errors', async () => {
+        await createUser({ channel: 'flaky', channelId: 'ada' });
+        failures.ada = [httpError(429), httpError(503)];
+
+        const report = await broadcastMessage('Hello');
+
+        assert.equal(report.sent, 1);
+        assert.equal(attempts.ada, 3);
+        const { recipients } = await getBroadcastReport(report.id);
+        assert.equal(recipients[0].status, 'sent');
+        assert.equal(recipients[0].attempts, 3);
+    });
+
+    test('gives up after BROADCAST_RETRIES', async () => {
+        process.env.BROADCAST_RETRIES = '1';
+        await createUser({ channel: 'flaky', channelId: 'ada' });
+        failures.ada = [httpError(500), httpError(500), httpError(500)];
+
+        const report = await broadcastMessage('Hello');
+
+        assert.equal(report.failed, 1);
+        assert.equal(attempts.ada, 2);
+    });
+
+    test('does not retry a rejected recipient, and carries on with the rest', async () => {
+        await createUser({ channel: 'flaky', channelId: 'ada', name: 'Ada' });
+        await createUser({ channel: 'flaky', channelId: 'grace', name: 'Grace' });
+        failures.ada = [httpError(400, 'Recipient phone number not in allowed list')];
+
+        const report = await broadcastMessage('Hello');
+
+        assert.equal(attempts.ada, 1);
+        assert.equal(report.sent, 1);
+        assert.deepEqual(report.failures.map(({ name, error }) => ({ name, error })), [
+            { name: 'Ada', error: 'Recipient phone number not in allowed list' }
+        ]);
+    });
+
+    test('keeps going and finishes when delivery tracking fails', async () => {
+        await createUser({ channel: 'flaky', channelId: 'ada' });
+        await createUser({ channel: 'flaky', channelId: 'grace' });
+        // Ada's message ID is already taken, so recording it fails
+        await OutboundMessage.create({ channel: 'flaky', channelId: 'ada', messageId: 'flaky-ada-1', kind: 'evening_reminder' });
+
+        const { id, sent: delivered } = await broadcastMessage('Hello');
+
+        assert.equal(delivered, 2);
+        assert.ok((await getBroadcastReport(id)).finishedAt);
+    });
+
+    test('report shows each recipient with their delivery status', async () => {
+        await createUser({ channel: 'flaky', channelId: 'ada' });
+        await createUser({ channel: 'flaky', channelId: 'grace' });
+
+        const { id } = await broadcastMessage('Hello');
+        await updateDeliveryStatus('flaky', { id: 'flaky-ada-1', status: 'read' });
+
+        const broadcast = await getBroadcastReport(id);
+        assert.ok(broadcast.finishedAt);
+        assert.deepEqual(broadcast.recipients.map(({ channelId, status, delivery }) => ({ channelId, status, delivery })), [
+            { channelId: 'ada', status: 'sent', delivery: 'read' },
+            { channelId: 'grace', status: 'sent', delivery: 'accepted' }
+        ]);
+    });
+
+    describe('admin command', () => {
+        beforeEach(() => {
+            process.env.ADMINS = 'test:boss';
+        });
+
+        test('broadcasts and reports back', async () => {
+            await createUser({ channelId: 'ada' });
+            await createUser({ channelId: 'grace' });
+
+            await handleMessage(address('boss'), 'admin broadcast No check-ins needed\nover the holiday week 🎄');
+
+            assert.deepEqual(received('ada'), ['No check-ins needed\nover the holiday week 🎄']);
+            assert.match(lastMessage(), /Broadcast done/);
+            assert.match(lastMessage(), /Sent: 2\/2/);
+            assert.equal(await Broadcast.countDocuments(), 1);
+        });
+
+        test('lists failed recipients', async () => {
+            await createUser({ channel: 'flaky', channelId: 'ada', name: 'Ada' });
+            failures.ada = [httpError(403, 'User blocked the bot')];
+
+            await handleMessage(address('boss'), 'admin broadcast Hello');
+
+            assert.match(lastMessage(), /Failed: 1/);
+            assert.match(lastMessage(), /Ada \(flaky:ada\) - User blocked the bot/);
+        });
+
+        test('targets a segment', async () => {
+            await createUser({ channelId: 'ada', timezone: 'Africa/Accra' });
+            await createUser({ channelId: 'grace', timezone: 'Europe/Berlin' });
+
+            await handleMessage(address('boss'), 'admin broadcast tz Europe/Berlin Servers move tonight');
+
+            assert.deepEqual(received('grace'), ['Servers move tonight']);
+            assert.deepEqual(received('ada'), []);
+        });
+
+        test('says so when nobody matches', async () => {
+            setLocalTime('2025-01-15', '12:00');
+            const ada = await createUser({ channelId: 'ada' });
+            await DailyLog.create({ user: ada._id, date: '2025-01-15', coded: true });
+
+            await handleMessage(address('boss'), 'admin broadcast nostreak Come back!');
+
+            assert.match(lastMessage(), /Nobody to send to/);
+            assert.deepEqual(received('ada'), []);
+        });
+
+        test('is only for admins', async () => {
+            await createUser({ channelId: 'ada' });
+            await createUser({ channelId: 'grace' });
+
+            await handleMessage(address('ada'), 'admin broadcast Free pizza');
+
+            assert.deepEqual(received('grace'), []);
+            assert.equal(await Broadcast.countDocuments(), 0);
+        });
+    });
+});
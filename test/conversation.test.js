@@ -0,0 +1,388 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleMessage } from '../src/services/messageHandler.js';
+import { getTodaysLog } from '../src/services/storage.js';
+import DailyLog from '../src/models/DailyLog.js';
+import { useDatabase, address, createUser, findUser, setLocalTime, lastMessage, sent } from './support.js';
+
+useDatabase();
+
+beforeEach(() => {
+    setLocalTime('2026-10-19', '21:00');
+});
+
+/**
+ * Put the test user in a conversation state and send one message
+ */
+async function reply(state, text, fields = {}) {
+    await createUser({ conversationState: state, ...fields });
+    await handleMessage(address(), text);
+    return await findUser();
+}
+
+describe('handleConversation - morning flow', () => {
+    test('morning_mood saves the mood and asks for the plan', async () => {
+        const user = await reply('morning_mood', 'tired');
+
+        assert.equal(user.conversationState, 'morning_plan');
+        assert.equal((await getTodaysLog(address())).morningMood, 'tired');
+        assert.match(lastMessage(), /Tired but here/);
+        assert.match(lastMessage(), /ONE thing/);
+    });
+
+    test('morning_plan saves the plan and ends the conversation', async () => {
+        const user = await reply('morning_plan', 'Ship the API');
+
+        assert.equal(user.conversationState, null);
+        assert.equal((await getTodaysLog(address())).todaysPlan, 'Ship the API');
+        assert.match(lastMessage(), /Ship the API/);
+    });
+
+    test('morning_plan keeps a list as a checklist', async () => {
+        await reply('morning_plan', '- Fix login bug\n- Write tests\n- Review PR');
+
+        const log = await getTodaysLog(address());
+        assert.equal(log.todaysPlan, 'Fix login bug; Write tests; Review PR');
+        assert.deepEqual(log.planItems.map(item => item.text), ['Fix login bug', 'Write tests', 'Review PR']);
+        assert.match(lastMessage(), /2\. Write tests/);
+    });
+});
+
+describe('handleConversation - carrying plans over', () => {
+    async function withYesterday(fields, state = 'morning_mood', text = 'okay') {
+        const created = await createUser({ conversationState: state });
+        await DailyLog.create({ user: created._id, date: '2026-10-18', todaysPlan: 'Ship the API', ...fields });
+        await handleMessage(address(), text);
+        return await findUser();
+    }
+
+    test('an unfinished plan from yesterday is offered again', async () => {
+        const user = await withYesterday({ planOutcome: 'not_done' });
+
+        assert.equal(user.conversationState, 'plan_carry');
+        assert.match(lastMessage(), /Yesterday you planned: _"Ship the API"_/);
+        assert.match(lastMessage(), /Carry it over\?/);
+    });
+
+    test('a finished plan is not offered', async () => {
+        const user = await withYesterday({ planOutcome: 'done', coded: true });
+
+        assert.equal(user.conversationState, 'morning_plan');
+    });
+
+    test('only the open checklist items carry over, counting the days', async () => {
+        await withYesterday({
+            todaysPlan: 'Fix bug; Write tests',
+            planItems: [{ text: 'Fix bug', done: true }, { text: 'Write tests', done: false }],
+            planOutcome: 'partial',
+            carriedOver: 0
+        }, 'plan_carry', 'yes');
+
+        const log = await getTodaysLog(address());
+        assert.equal(log.todaysPlan, 'Write tests');
+        assert.equal(log.carriedOver, 1);
+        assert.equal((await findUser()).conversationState, null);
+    });
+
+    test('a goal that keeps slipping is called out', async () => {
+        await withYesterday({ coded: false, carriedOver: 1 }, 'plan_carry', 'yes');
+
+        assert.equal((await getTodaysLog(address())).carriedOver, 2);
+        assert.match(lastMessage(), /slipped \*2 days\*/);
+    });
+
+    test('typing a new goal replaces the old one', async () => {
+        await withYesterday({ planOutcome: 'partial' }, 'plan_carry', 'Write the docs');
+
+        const log = await getTodaysLog(address());
+        assert.equal(log.todaysPlan, 'Write the docs');
+        assert.equal(log.carriedOver, 0);
+    });
+
+    test('no asks for a fresh plan', async () => {
+        const user = await withYesterday({ planOutcome: 'partial' }, 'plan_carry', 'no');
+
+        assert.equal(user.conversationState, 'morning_plan');
+        assert.match(lastMessage(), /ONE thing/);
+    });
+});
+
+describe('handleConversation - plan outcome', () => {
+    async function answerPlan(text, items = ['Ship the API']) {
+        const created = await createUser({ conversationState: 'plan_outcome' });
+        await DailyLog.create({
+            user: created._id,
+            date: '2026-10-19',
+            todaysPlan: items.join('; '),
+            planItems: items.map(item => ({ text: item }))
+        });
+        await handleMessage(address(), text);
+        return await findUser();
+    }
+
+    test('done records the outcome and counts as coding', async () => {
+        const user = await answerPlan('done');
+
+        const log = await getTodaysLog(address());
+        assert.equal(log.planOutcome, 'done');
+        assert.equal(log.coded, true);
+        assert.equal(user.conversationState, 'what_done');
+        assert.match(lastMessage(), /You did it/);
+    });
+
+    test('finishing some checklist items is a partial', async () => {
+        const user = await answerPlan('1 3', ['Fix bug', 'Write tests', 'Review PR']);
+
+        const log = await getTodaysLog(address());
+        assert.equal(log.planOutcome, 'partial');
+        assert.deepEqual(log.planItems.map(item => item.done), [true, false, true]);
+        assert.equal(user.conversationState, 'what_done');
+        assert.match(lastMessage(), /Progress is progress/);
+    });
+
+    test('not done still asks whether they coded at all', async () => {
+        const user = await answerPlan('not done');
+
+        const log = await getTodaysLog(address());
+        assert.equal(log.planOutcome, 'not_done');
+        assert.equal(log.coded, null);
+        assert.equal(user.conversationState, 'evening_check');
+        assert.match(lastMessage(), /any code at all/);
+    });
+
+    test('an answer it cannot read asks again', async () => {
+        const user = await answerPlan('7', ['Fix bug', 'Write tests']);
+
+        assert.equal(user.conversationState, 'plan_outcome');
+        assert.equal((await getTodaysLog(address())).planOutcome, null);
+    });
+});
+
+describe('handleConversation - evening flow', () => {
+    test('evening_mood asks about the morning plan when there is one', async () => {
+        const created = await createUser({ conversationState: 'evening_mood' });
+        await DailyLog.create({ user: created._id, date: '2026-10-19', todaysPlan: 'Ship the API' });
+
+        await handleMessage(address(), 'productive');
+
+        const user = await findUser();
+        assert.equal(user.conversationState, 'plan_outcome');
+        assert.equal((await getTodaysLog(address())).eveningMood, 'productive');
+        assert.match(lastMessage(), /Did you get it done\?/);
+        assert.deepEqual(sent.at(-1).replies, ['done', 'partly', 'not done']);
+    });
+
+    test('evening_mood asks whether they coded when there is no plan', async () => {
+        const user = await reply('evening_mood', 'meh');
+
+        assert.equal(user.conversationState, 'evening_check');
+        assert.match(lastMessage(), /Did you write any code today\?/);
+        assert.deepEqual(sent.at(-1).replies, ['yes', 'no']);
+    });
+
+    test('evening_check yes records the day and asks what was done', async () => {
+        const user = await reply('evening_check', 'yes');
+
+        assert.equal(user.conversationState, 'what_done');
+        assert.equal(user.currentStreak, 1);
+        assert.equal((await getTodaysLog(address())).coded, true);
+        assert.match(lastMessage(), /What did you work on today\?/);
+    });
+
+    test('evening_check no resets the streak and asks why', async () => {
+        const user = await reply('evening_check', 'n', { currentStreak: 3, longestStreak: 3 });
+
+        assert.equal(user.conversationState, 'why_not');
+        assert.equal(user.currentStreak, 0);
+        assert.equal(user.longestStreak, 3);
+        assert.equal((await getTodaysLog(address())).coded, false);
+        assert.match(lastMessage(), /Streak reset/);
+    });
+
+    test('evening_check repeats the question on anything else', async () => {
+        const user = await reply('evening_check', 'maybe');
+
+        assert.equal(user.conversationState, 'evening_check');
+        assert.equal(await getTodaysLog(address()), null);
+        assert.match(lastMessage(), /Simple question/);
+    });
+
+    test('what_done saves the work and asks how long it took', async () => {
+        const user = await reply('what_done', 'Built the login page');
+
+        assert.equal(user.conversationState, 'time_spent');
+        assert.equal((await getTodaysLog(address())).whatDone, 'Built the login page');
+        assert.match(lastMessage(), /How long did you spend/);
+    });
+
+    test('time_spent saves minutes and asks about commits and problems', async () => {
+        const user = await reply('time_spent', '1h30');
+
+        assert.equal(user.conversationState, 'what_metrics');
+        assert.equal((await getTodaysLog(address())).minutesSpent, 90);
+        assert.match(lastMessage(), /1h 30m logged/);
+    });
+
+    test('time_spent can be skipped but repeats on nonsense', async () => {
+        let user = await reply('time_spent', 'a while');
+        assert.equal(user.conversationState, 'time_spent');
+
+        await handleMessage(address(), 'skip');
+        user = await findUser();
+        assert.equal(user.conversationState, 'what_metrics');
+        assert.equal((await getTodaysLog(address())).minutesSpent, null);
+    });
+
+    test('what_metrics saves commits and problems and asks what was learned', async () => {
+        const user = await reply('what_metrics', '4 commits, 2 problems');
+
+        const log = await getTodaysLog(address());
+        assert.equal(user.conversationState, 'what_learned');
+        assert.equal(log.commits, 4);
+        assert.equal(log.problemsSolved, 2);
+        assert.match(lastMessage(), /What did you learn\?/);
+    });
+
+    test('what_learned saves the learning and celebrates the streak', async () => {
+        const user = await reply('what_learned', 'How JWT refresh tokens work', { currentStreak: 4 });
+
+        assert.equal(user.conversationState, null);
+        assert.equal((await getTodaysLog(address())).learning, 'How JWT refresh tokens work');
+        assert.match(lastMessage(), /\*4 days\* and building momentum/);
+    });
+
+    test('why_not saves the reason and ends the conversation', async () => {
+        const user = await reply('why_not', 'Family emergency');
+
+        assert.equal(user.conversationState, null);
+        assert.equal((await getTodaysLog(address())).whyNot, 'Family emergency');
+        assert.match(lastMessage(), /we start fresh/);
+    });
+});
+
+describe('handleConversation - settings flow', () => {
+    test('menu number opens the matching setting', async () => {
+        const user = await reply('settings_menu', '2');
+
+        assert.equal(user.conversationState, 'settings_morning');
+        assert.match(lastMessage(), /New morning check-in time\?/);
+    });
+
+    test('menu repeats itself on anything else', async () => {
+        const user = await reply('settings_menu', 'what');
+
+        assert.equal(user.conversationState, 'settings_menu');
+        assert.match(lastMessage(), /number from 1 to 6/);
+    });
+
+    test('settings_name changes the name', async () => {
+        const user = await reply('settings_name', 'Augusta Ada');
+
+        assert.equal(user.name, 'Augusta');
+        assert.equal(user.conversationState, 'settings_menu');
+    });
+
+    test('settings_morning validates with parseTime', async () => {
+        let user = await reply('settings_morning', 'soon');
+        assert.equal(user.conversationState, 'settings_morning');
+        assert.equal(user.morningReminderTime, '08:00');
+
+        await handleMessage(address(), '6:45 am');
+        user = await findUser();
+        assert.equal(user.morningReminderTime, '06:45');
+        assert.equal(user.conversationState, 'settings_menu');
+    });
+
+    test('settings_evening changes the evening time', async () => {
+        const user = await reply('settings_evening', '10 PM');
+
+        assert.equal(user.eveningReminderTime, '22:00');
+        assert.equal(user.conversationState, 'settings_menu');
+    });
+
+    test('settings_timezone resolves city names', async () => {
+        const user = await reply('settings_timezone', 'Lagos');
+
+        assert.equal(user.timezone, 'Africa/Lagos');
+        assert.equal(user.conversationState, 'settings_menu');
+    });
+
+    test('menu option 5 toggles reminders without touching history', async () => {
+        const user = await reply('settings_menu', '5', { currentStreak: 6 });
+
+        assert.equal(user.remindersPaused, true);
+        assert.equal(user.currentStreak, 6);
+        assert.match(lastMessage(), /Reminders paused/);
+    });
+
+    test('menu option 6 chooses how you appear on leaderboards', async () => {
+        let user = await reply('settings_menu', '6');
+        assert.equal(user.conversationState, 'settings_leaderboard');
+
+        await handleMessage(address(), 'maybe');
+        assert.equal((await findUser()).leaderboard, 'anonymous');
+
+        await handleMessage(address(), '1');
+        user = await findUser();
+        assert.equal(user.leaderboard, 'named');
+        assert.equal(user.conversationState, 'settings_menu');
+        assert.match(lastMessage(), /Leaderboard: \*By name\*/);
+    });
+
+    test('done leaves settings', async () => {
+        const user = await reply('settings_timezone', 'done');
+
+        assert.equal(user.conversationState, null);
+    });
+});
+
+describe('handleConversation - voice notes and screenshots', () => {
+    const screenshot = { type: 'image', id: 'media-1', mimeType: 'image/png' };
+
+    test('a screenshot answers what_done and is attached to the log', async () => {
+        await createUser({ conversationState: 'what_done' });
+        await handleMessage(address(), 'Finished the login page', screenshot);
+
+        const log = await getTodaysLog(address());
+        assert.equal(log.whatDone, 'Finished the login page');
+        assert.equal(log.attachments.length, 1);
+        assert.equal(log.attachments[0].kind, 'image');
+        assert.equal(log.attachments[0].field, 'whatDone');
+        assert.ok(log.attachments[0].fileId);
+        assert.equal((await findUser()).conversationState, 'time_spent');
+    });
+
+    test('media without a caption or transcript saves a placeholder', async () => {
+        await createUser({ conversationState: 'why_not' });
+        await handleMessage(address(), '', { type: 'audio', id: 'media-2', mimeType: 'audio/ogg' });
+
+        const log = await getTodaysLog(address());
+        assert.equal(log.whyNot, '🎙️ Voice note');
+        assert.equal(log.attachments[0].kind, 'audio');
+    });
+
+    test('asks them to type when the file can\'t be downloaded', async () => {
+        await createUser({ conversationState: 'what_learned' });
+        await handleMessage(address(), '', { ...screenshot, id: 'missing' });
+
+        assert.equal((await findUser()).conversationState, 'what_learned');
+        assert.match(lastMessage(), /type it instead/);
+    });
+
+    test('media outside a reflection question is not stored', async () => {
+        await createUser();
+        await handleMessage(address(), '', screenshot);
+
+        assert.equal(await DailyLog.countDocuments(), 0);
+        assert.match(lastMessage(), /only keep voice notes and screenshots/);
+    });
+});
+
+describe('handleConversation - unknown state', () => {
+    test('clears the state and shows the fallback', async () => {
+        const user = await reply('something_old', 'hello');
+
+        assert.equal(user.conversationState, null);
+        assert.match(lastMessage(), /Not sure what you mean/);
+    });
+});
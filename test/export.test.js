@@ -0,0 +1,138 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleMessage } from '../src/services/messageHandler.js';
+import { getDownload } from '../src/services/export.js';
+import { addLogAttachment } from '../src/services/storage.js';
+import { registerChannel } from '../src/channels/index.js';
+import DailyLog from '../src/models/DailyLog.js';
+import ExportLink from '../src/models/ExportLink.js';
+import { useDatabase, address, createUser, lastMessage, setLocalTime, sent } from './support.js';
+
+useDatabase();
+
+// A channel that can't send files
+registerChannel({
+    name: 'textonly',
+    sendMessage: async (to, message) => {
+        sent.push({ to, message });
+        return `msg-${sent.length}`;
+    }
+});
+
+/**
+ * Ada with two days of history
+ */
+async function createAdaWithLogs(fields = {}) {
+    setLocalTime('2025-01-15', '20:00');
+    const user = await createUser(fields);
+    await DailyLog.create({ user: user._id, date: '2025-01-13', coded: true, whatDone: 'Auth', learning: 'JWTs expire' });
+    await DailyLog.create({ user: user._id, date: '2025-01-14', coded: false, whyNot: 'Travel' });
+    return user;
+}
+
+/**
+ * Token from the download link in a message
+ */
+function tokenIn(message) {
+    return message.match(/\/export\/([\w-]+)/)[1];
+}
+
+describe('export command', () => {
+    afterEach(() => {
+        delete process.env.PUBLIC_URL;
+        delete process.env.EXPORT_LINK_MINUTES;
+    });
+
+    test('lists the formats', async () => {
+        await createUser();
+        await handleMessage(address(), 'export');
+
+        assert.match(lastMessage(), /export journal/);
+        assert.match(lastMessage(), /export csv/);
+    });
+
+    test('sends the journal as a document', async () => {
+        await createAdaWithLogs();
+        await handleMessage(address(), 'export journal');
+
+        const { document } = sent.at(-1);
+        assert.equal(document.filename, 'learning-journal-2025-01-15.md');
+        assert.match(document.content, /## Week of Mon 13 Jan 2025/);
+        assert.match(document.content, /JWTs expire/);
+    });
+
+    test('sends CSV and JSON too', async () => {
+        await createAdaWithLogs();
+
+        await handleMessage(address(), 'export csv');
+        assert.equal(sent.at(-1).document.content.trim().split('\r\n').length, 3);
+
+        await handleMessage(address(), 'export JSON');
+        assert.equal(JSON.parse(sent.at(-1).document.content).logs.length, 2);
+    });
+
+    test('includes voice note transcripts and image captions', async () => {
+        await createAdaWithLogs();
+        await addLogAttachment(address(), { kind: 'audio', field: 'learning', mimeType: 'audio/ogg', transcript: 'Closures capture variables' });
+        await addLogAttachment(address(), { kind: 'image', field: 'whatDone', mimeType: 'image/jpeg', caption: 'Green test run' });
+
+        await handleMessage(address(), 'export json');
+
+        const today = JSON.parse(sent.at(-1).document.content).logs.find(log => log.date === '2025-01-15');
+        assert.deepEqual(today.attachments, [
+            { kind: 'audio', field: 'learning', caption: null, transcript: 'Closures capture variables' },
+            { kind: 'image', field: 'whatDone', caption: 'Green test run', transcript: null }
+        ]);
+    });
+
+    test('only exports your own history', async () => {
+        await createAdaWithLogs();
+        await createUser({ channelId: 'grace', name: 'Grace' });
+
+        await handleMessage(address('grace'), 'export json');
+        assert.deepEqual(JSON.parse(sent.at(-1).document.content).logs, []);
+    });
+
+    test('gives a download link on request', async () => {
+        process.env.PUBLIC_URL = 'https://bot.example.com/';
+        await createAdaWithLogs();
+
+        await handleMessage(address(), 'export csv link');
+
+        assert.match(lastMessage(), /https:\/\/bot\.example\.com\/export\/[\w-]+/);
+        assert.match(lastMessage(), /60 minutes/);
+        const file = await getDownload(tokenIn(lastMessage()));
+        assert.equal(file.filename, 'accountability-2025-01-15.csv');
+        assert.match(file.content, /Travel/);
+    });
+
+    test('falls back to a link when the channel cannot send files', async () => {
+        process.env.PUBLIC_URL = 'https://bot.example.com';
+        await createAdaWithLogs({ channel: 'textonly' });
+
+        await handleMessage({ channel: 'textonly', id: 'ada' }, 'export journal');
+
+        const file = await getDownload(tokenIn(lastMessage()));
+        assert.match(file.content, /Ada's Learning Journal/);
+    });
+
+    test('apologises when there is no way to deliver it', async () => {
+        await createUser({ channel: 'textonly' });
+        await handleMessage({ channel: 'textonly', id: 'ada' }, 'export json');
+
+        assert.match(lastMessage(), /couldn't send your export/);
+        assert.equal(await ExportLink.countDocuments(), 0);
+    });
+
+    test('links stop working when they expire', async () => {
+        process.env.PUBLIC_URL = 'https://bot.example.com';
+        await createAdaWithLogs();
+        await handleMessage(address(), 'export json link');
+        const token = tokenIn(lastMessage());
+
+        await ExportLink.updateOne({ token }, { expiresAt: new Date(Date.now() - 1000) });
+
+        assert.equal(await getDownload(token), null);
+        assert.equal(await getDownload('made-up-token'), null);
+    });
+});
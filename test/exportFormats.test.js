@@ -0,0 +1,123 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildExport } from '../src/utils/exportFormats.js';
+
+const user = {
+    name: 'Ada',
+    timezone: 'Africa/Accra',
+    currentStreak: 1,
+    longestStreak: 4,
+    totalDaysCoded: 2,
+    restDays: ['Sun']
+};
+
+const logs = [
+    { date: '2025-01-10', coded: true, whatDone: 'Parser', learning: 'Pratt parsing', minutesSpent: 90, commits: 3 },
+    { date: '2025-01-12', rest: 'planned' },
+    {
+        date: '2025-01-13',
+        coded: true,
+        todaysPlan: 'auth, tests',
+        planItems: [{ text: 'auth', done: true }, { text: 'tests', done: false }],
+        planOutcome: 'partial',
+        whatDone: 'Login, "finally"',
+        learning: '=SUM(A1) is a formula'
+    },
+    { date: '2025-01-14', coded: false, whyNot: 'Sick\nall day' }
+];
+
+describe('JSON export', () => {
+    test('has the user and every log with the same fields', () => {
+        const file = buildExport(user, logs, 'json', '2025-01-15');
+        const data = JSON.parse(file.content);
+
+        assert.equal(file.filename, 'accountability-2025-01-15.json');
+        assert.equal(data.user.name, 'Ada');
+        assert.equal(data.logs.length, 4);
+        assert.deepEqual(Object.keys(data.logs[0]), Object.keys(data.logs[1]));
+        assert.equal(data.logs[1].whatDone, null);
+        assert.deepEqual(data.logs[2].planItems, [{ text: 'auth', done: true }, { text: 'tests', done: false }]);
+    });
+
+    test('includes attachment notes but not the files', () => {
+        const withAttachments = [{ date: '2025-01-10', coded: true, attachments: [{ kind: 'audio', field: 'learning', fileId: 'x', transcript: 'Closures' }] }];
+        const data = JSON.parse(buildExport(user, withAttachments, 'json', '2025-01-15').content);
+
+        assert.deepEqual(data.logs[0].attachments, [{ kind: 'audio', field: 'learning', caption: null, transcript: 'Closures' }]);
+    });
+});
+
+describe('CSV export', () => {
+    const lines = buildExport(user, logs, 'csv', '2025-01-15').content.split('\r\n');
+
+    test('starts with a header row', () => {
+        assert.match(lines[0], /^date,coded,rest,/);
+        assert.match(lines[0], /,learning,minutesSpent,commits,problemsSolved$/);
+    });
+
+    test('has one row per day', () => {
+        assert.equal(lines.filter(Boolean).length, logs.length + 1);
+        assert.match(lines[1], /^2025-01-10,true,,/);
+    });
+
+    test('quotes commas, quotes and line breaks', () => {
+        assert.match(lines[3], /"auth, tests"/);
+        assert.match(lines[3], /"Login, ""finally"""/);
+        assert.match(buildExport(user, logs, 'csv', '2025-01-15').content, /"Sick\nall day"/);
+    });
+
+    test('defuses formulas', () => {
+        assert.match(lines[3], /,'=SUM\(A1\) is a formula,/);
+    });
+
+    test('writes checklists on one line', () => {
+        assert.match(lines[3], /\[x\] auth; \[ \] tests/);
+    });
+});
+
+describe('Journal export', () => {
+    const { content, filename, mimeType } = buildExport(user, logs, 'journal', '2025-01-15');
+
+    test('is a Markdown file', () => {
+        assert.equal(filename, 'learning-journal-2025-01-15.md');
+        assert.equal(mimeType, 'text/markdown');
+        assert.match(content, /^# Ada's Learning Journal/);
+    });
+
+    test('groups days by week, Monday first', () => {
+        const weeks = content.match(/^## .+$/gm);
+        assert.deepEqual(weeks, ['## Week of Mon 6 Jan 2025', '## Week of Mon 13 Jan 2025']);
+        assert.ok(content.indexOf('Sun 12 Jan') < content.indexOf('## Week of Mon 13 Jan'));
+    });
+
+    test('writes out plans, reflections and effort', () => {
+        assert.match(content, /- \*\*Plan:\*\* auth, tests _\(partly done\)_/);
+        assert.match(content, / {2}- \[x\] auth\n {2}- \[ \] tests/);
+        assert.match(content, /- \*\*Learned:\*\* Pratt parsing/);
+        assert.match(content, /- \*\*Effort:\*\* 1h 30m · 3 commits/);
+        assert.match(content, /- \*\*Why not:\*\* Sick/);
+    });
+
+    test('writes out voice note transcripts and screenshot captions', () => {
+        const withAttachments = [{
+            date: '2025-01-10',
+            coded: true,
+            attachments: [
+                { kind: 'audio', field: 'learning', transcript: 'Closures capture variables' },
+                { kind: 'image', field: 'whatDone', caption: 'Green test run' }
+            ]
+        }];
+        const journal = buildExport(user, withAttachments, 'journal', '2025-01-15').content;
+
+        assert.match(journal, /- \*\*🎙️ Voice note:\*\* Closures capture variables/);
+        assert.match(journal, /- \*\*🖼️ Screenshot:\*\* Green test run/);
+    });
+
+    test('marks rest days', () => {
+        assert.match(content, /### Sun 12 Jan · 🛌 Rest day/);
+    });
+
+    test('says so when there is nothing yet', () => {
+        assert.match(buildExport(user, [], 'journal', '2025-01-15').content, /Nothing logged yet/);
+    });
+});
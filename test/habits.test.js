@@ -0,0 +1,187 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleMessage } from '../src/services/messageHandler.js';
+import { checkAndSendReminders } from '../src/services/scheduler.js';
+import Habit from '../src/models/Habit.js';
+import HabitLog from '../src/models/HabitLog.js';
+import { useDatabase, address, createUser, findUser, setLocalTime, lastMessage, sent } from './support.js';
+
+useDatabase();
+
+/**
+ * Send several messages in a row
+ */
+async function say(...messages) {
+    for (const message of messages) {
+        await handleMessage(address(), message);
+    }
+}
+
+/**
+ * Create an active habit for the test user
+ */
+async function createHabit(user, fields = {}) {
+    return await Habit.create({ user: user._id, name: 'Reading', reminderTime: '21:00', status: 'active', ...fields });
+}
+
+describe('setting up habits', () => {
+    test('habit add walks through name, target, days and time', async () => {
+        await createUser();
+
+        await say('habit add', 'Reading', '20 pages', 'mon wed fri', '21:30');
+
+        const habit = await Habit.findOne({ name: 'Reading' });
+        assert.equal(habit.status, 'active');
+        assert.equal(habit.kind, 'numeric');
+        assert.equal(habit.target, 20);
+        assert.equal(habit.unit, 'pages');
+        assert.deepEqual([...habit.days], ['Mon', 'Wed', 'Fri']);
+        assert.equal(habit.reminderTime, '21:30');
+        assert.equal((await findUser()).conversationState, null);
+        assert.match(lastMessage(), /Now tracking \*Reading\*/);
+    });
+
+    test('a name given with the command skips the first question', async () => {
+        await createUser();
+
+        await say('habit add Exercise', 'yes/no', 'every day', '7 AM');
+
+        const habit = await Habit.findOne({ name: 'Exercise' });
+        assert.equal(habit.kind, 'yesno');
+        assert.deepEqual([...habit.days], []);
+        assert.equal(habit.reminderTime, '07:00');
+    });
+
+    test('names must be unique and not clash with coding', async () => {
+        const user = await createUser();
+        await createHabit(user);
+
+        await say('habit add reading');
+        assert.match(lastMessage(), /already track/);
+
+        await say('habit add Coding');
+        assert.match(lastMessage(), /taken/);
+    });
+
+    test('habit remove stops tracking but keeps history', async () => {
+        const user = await createUser();
+        const habit = await createHabit(user);
+        await HabitLog.create({ habit: habit._id, user: user._id, date: '2026-10-18', done: true });
+
+        await say('habit remove reading');
+
+        assert.equal((await Habit.findById(habit._id)).status, 'removed');
+        assert.equal(await HabitLog.countDocuments(), 1);
+    });
+});
+
+describe('checking in on habits', () => {
+    test('a numeric check-in is done once it hits the target', async () => {
+        const user = await createUser();
+        await createHabit(user, { kind: 'numeric', target: 20, unit: 'pages' });
+        setLocalTime('2026-10-19', '21:00');
+
+        await say('habit reading 12');
+        assert.equal((await HabitLog.findOne({ date: '2026-10-19' })).done, false);
+
+        await say('habit reading 25');
+        const log = await HabitLog.findOne({ date: '2026-10-19' });
+        assert.equal(log.done, true);
+        assert.equal(log.value, 25);
+        assert.equal((await Habit.findOne()).currentStreak, 1);
+        assert.match(lastMessage(), /25\/20 pages/);
+    });
+
+    test('each habit has its own reminder and check-in flow', async () => {
+        const user = await createUser({ eveningReminderTime: '20:00' });
+        await createHabit(user, { name: 'Exercise', reminderTime: '07:00' });
+        setLocalTime('2026-10-19', '07:00');
+
+        await checkAndSendReminders();
+        assert.match(lastMessage(), /Did you do Exercise today\?/);
+        assert.deepEqual(sent.at(-1).replies, ['yes', 'no']);
+        assert.equal((await findUser()).conversationState, 'habit_check');
+
+        await say('yes');
+        assert.equal((await HabitLog.findOne()).done, true);
+        assert.equal((await findUser()).conversationState, null);
+
+        // Checked in - no second reminder
+        await checkAndSendReminders();
+        assert.equal(sent.length, 2);
+    });
+
+    test('a check-in can be skipped', async () => {
+        const user = await createUser({ conversationState: 'habit_check' });
+        const habit = await createHabit(user, { name: 'Exercise' });
+        await user.updateOne({ activeHabit: habit._id });
+
+        await say('maybe');
+        assert.match(lastMessage(), /Or reply \*skip\*/);
+        assert.equal((await findUser()).conversationState, 'habit_check');
+
+        await say('skip');
+        assert.match(lastMessage(), /check in later with \*habit exercise yes\*/);
+        assert.equal((await findUser()).conversationState, null);
+        assert.equal(await HabitLog.countDocuments(), 0);
+    });
+
+    test('a reminder does not cut into another conversation', async () => {
+        setLocalTime('2026-10-19', '06:55');
+        const user = await createUser({ conversationState: 'settings_menu' });
+        await createHabit(user, { name: 'Exercise', reminderTime: '07:00' });
+
+        setLocalTime('2026-10-19', '07:00');
+        await checkAndSendReminders();
+
+        assert.match(lastMessage(), /check in with \*habit exercise yes\*/);
+        assert.equal(sent.at(-1).replies, undefined);
+        assert.equal((await findUser()).conversationState, 'settings_menu');
+    });
+
+    test('a conversation left idle does not hold a reminder back', async () => {
+        setLocalTime('2026-10-19', '05:00');
+        const user = await createUser({ conversationState: 'settings_menu' });
+        await createHabit(user, { name: 'Exercise', reminderTime: '07:00' });
+
+        setLocalTime('2026-10-19', '07:00');
+        await checkAndSendReminders();
+
+        assert.match(lastMessage(), /Did you do Exercise today\?/);
+        assert.equal((await findUser()).conversationState, 'habit_check');
+    });
+
+    test('habits are only checked in on their scheduled days', async () => {
+        const user = await createUser();
+        await createHabit(user, { days: ['Mon'] });
+
+        setLocalTime('2026-10-18', '21:00');    // Sunday
+        await checkAndSendReminders();
+        assert.equal(sent.length, 0);
+
+        setLocalTime('2026-10-19', '21:00');    // Monday
+        await checkAndSendReminders();
+        assert.equal(sent.length, 1);
+    });
+
+    test('unscheduled days do not break a habit streak', async () => {
+        const user = await createUser();
+        const habit = await createHabit(user, { days: ['Mon', 'Wed'] });
+        await HabitLog.create({ habit: habit._id, user: user._id, date: '2026-10-12', done: true });
+        await HabitLog.create({ habit: habit._id, user: user._id, date: '2026-10-14', done: true });
+        setLocalTime('2026-10-19', '21:00');
+
+        await say('habit reading yes');
+
+        assert.equal((await Habit.findById(habit._id)).currentStreak, 3);
+    });
+
+    test('status lists the other habits', async () => {
+        const user = await createUser();
+        await createHabit(user, { kind: 'numeric', target: 3, unit: 'problems', name: 'LeetCode', currentStreak: 4 });
+
+        await say('status');
+
+        assert.match(lastMessage(), /LeetCode \(3 problems\): \*4 days\*/);
+    });
+});
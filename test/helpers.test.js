@@ -0,0 +1,199 @@
+import { test, describe, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    parseTime,
+    addMinutesToTime,
+    getTodayDate,
+    getYesterdayDate,
+    getCurrentTime,
+    getZonedDate,
+    addDays,
+    daysBetween,
+    parseLogDate,
+    parseDuration,
+    parseMetrics,
+    parsePlanItems,
+    parsePlanOutcome,
+    formatDuration,
+    formatDateDisplay,
+    resolveTimezone
+} from '../src/utils/helpers.js';
+import { setClock, resetClock } from '../src/utils/clock.js';
+
+describe('parseTime', () => {
+    const cases = {
+        '7:00': '07:00',
+        '07:00': '07:00',
+        '0:00': '00:00',
+        ' 19:00 ': '19:00',
+        '7:00 AM': '07:00',
+        '7:30pm': '19:30',
+        '7pm': '19:00',
+        '7 PM': '19:00',
+        '12 AM': '00:00',
+        '12:30am': '00:30',
+        '12 PM': '12:00',
+        '11:59 pm': '23:59'
+    };
+
+    for (const [input, expected] of Object.entries(cases)) {
+        test(`parses "${input}" as ${expected}`, () => {
+            assert.equal(parseTime(input), expected);
+        });
+    }
+
+    for (const input of ['24:00', '7:60', '13 PM', '7', 'abc', '', null, undefined]) {
+        test(`rejects ${JSON.stringify(input)}`, () => {
+            assert.equal(parseTime(input), null);
+        });
+    }
+});
+
+describe('timezone-aware dates', () => {
+    afterEach(() => resetClock());
+
+    test('today and the current time follow the given timezone', () => {
+        setClock(new Date('2026-10-19T23:30:00Z'));
+
+        assert.equal(getTodayDate('Africa/Accra'), '2026-10-19');
+        assert.equal(getTodayDate('Europe/Berlin'), '2026-10-20');
+        assert.equal(getTodayDate('America/New_York'), '2026-10-19');
+        assert.equal(getCurrentTime('Africa/Lagos'), '00:30');
+        assert.equal(getYesterdayDate('Europe/Berlin'), '2026-10-19');
+    });
+
+    test('getZonedDate finds the moment a local time happens', () => {
+        assert.equal(getZonedDate('2026-10-19', '20:00', 'Europe/Berlin').toISOString(), '2026-10-19T18:00:00.000Z');
+        assert.equal(getZonedDate('2026-01-19', '20:00', 'Europe/Berlin').toISOString(), '2026-01-19T19:00:00.000Z');
+        assert.equal(getZonedDate('2026-10-19', '20:00', 'Africa/Accra').toISOString(), '2026-10-19T20:00:00.000Z');
+    });
+});
+
+describe('calendar day math', () => {
+    test('addDays crosses month and year boundaries', () => {
+        assert.equal(addDays('2026-01-31', 1), '2026-02-01');
+        assert.equal(addDays('2026-03-01', -1), '2026-02-28');
+        assert.equal(addDays('2028-03-01', -1), '2028-02-29');
+        assert.equal(addDays('2026-12-31', 1), '2027-01-01');
+    });
+
+    test('daysBetween counts calendar days, ignoring DST changes', () => {
+        assert.equal(daysBetween('2026-03-28', '2026-03-29'), 1);
+        assert.equal(daysBetween('2026-03-29', '2026-03-30'), 1);
+        assert.equal(daysBetween('2026-10-24', '2026-10-26'), 2);
+        assert.equal(daysBetween('2026-02-28', '2026-03-01'), 1);
+        assert.equal(daysBetween('2026-10-19', '2026-10-19'), 0);
+    });
+});
+
+describe('parseLogDate', () => {
+    afterEach(() => resetClock());
+
+    test('reads today, yesterday and ISO dates', () => {
+        setClock(new Date('2026-10-19T23:30:00Z'));
+
+        assert.equal(parseLogDate('today', 'Europe/Berlin'), '2026-10-20');
+        assert.equal(parseLogDate('Yesterday', 'Europe/Berlin'), '2026-10-19');
+        assert.equal(parseLogDate('2026-10-12', 'Europe/Berlin'), '2026-10-12');
+    });
+
+    test('rejects anything that is not a real date', () => {
+        assert.equal(parseLogDate('2026-02-30'), null);
+        assert.equal(parseLogDate('12/10/2026'), null);
+        assert.equal(parseLogDate('last week'), null);
+        assert.equal(parseLogDate(undefined), null);
+    });
+
+    test('formatDateDisplay shows the weekday', () => {
+        assert.equal(formatDateDisplay('2026-10-12'), 'Mon 12 Oct');
+    });
+});
+
+describe('time and output', () => {
+    test('parseDuration reads hours and minutes', () => {
+        const cases = {
+            '2h': 120,
+            '45m': 45,
+            '1h30': 90,
+            '1h 30m': 90,
+            '1.5 hours': 90,
+            '90 min': 90,
+            '2': 120,
+            '90': 90
+        };
+
+        for (const [input, expected] of Object.entries(cases)) {
+            assert.equal(parseDuration(input), expected, input);
+        }
+    });
+
+    test('parseDuration rejects nonsense and impossible days', () => {
+        assert.equal(parseDuration('a while'), null);
+        assert.equal(parseDuration('0'), null);
+        assert.equal(parseDuration('25h'), null);
+    });
+
+    test('parseMetrics finds commits and problems in any order', () => {
+        assert.deepEqual(parseMetrics('5 commits'), { commits: 5, problemsSolved: null });
+        assert.deepEqual(parseMetrics('2 leetcode and 4 commits'), { commits: 4, problemsSolved: 2 });
+        assert.equal(parseMetrics('lots'), null);
+    });
+
+    test('formatDuration', () => {
+        assert.equal(formatDuration(45), '45m');
+        assert.equal(formatDuration(120), '2h');
+        assert.equal(formatDuration(150), '2h 30m');
+    });
+});
+
+describe('plans', () => {
+    test('parsePlanItems splits lines and semicolons, dropping bullets', () => {
+        assert.deepEqual(parsePlanItems('Ship the API'), ['Ship the API']);
+        assert.deepEqual(parsePlanItems('1. Fix bug\n2) Tests\n• Deploy'), ['Fix bug', 'Tests', 'Deploy']);
+        assert.deepEqual(parsePlanItems('a; b;; c'), ['a', 'b', 'c']);
+        assert.equal(parsePlanItems('1\n2\n3\n4\n5\n6').length, 5);
+    });
+
+    test('parsePlanOutcome reads words', () => {
+        assert.deepEqual(parsePlanOutcome('Done', 2), { outcome: 'done', doneItems: [0, 1] });
+        assert.deepEqual(parsePlanOutcome('partly', 1), { outcome: 'partial', doneItems: null });
+        assert.deepEqual(parsePlanOutcome('none', 3), { outcome: 'not_done', doneItems: [] });
+    });
+
+    test('parsePlanOutcome reads item numbers', () => {
+        assert.deepEqual(parsePlanOutcome('3, 1', 3), { outcome: 'partial', doneItems: [0, 2] });
+        assert.deepEqual(parsePlanOutcome('1 and 2', 2), { outcome: 'done', doneItems: [0, 1] });
+        assert.equal(parsePlanOutcome('4', 3), null);
+        assert.equal(parsePlanOutcome('maybe', 3), null);
+    });
+});
+
+describe('addMinutesToTime', () => {
+    test('moves within the day', () => {
+        assert.equal(addMinutesToTime('20:00', 60), '21:00');
+        assert.equal(addMinutesToTime('21:15', -90), '19:45');
+    });
+
+    test('refuses to cross midnight', () => {
+        assert.equal(addMinutesToTime('00:30', -60), null);
+        assert.equal(addMinutesToTime('23:30', 30), null);
+    });
+});
+
+describe('resolveTimezone', () => {
+    test('accepts IANA names in any case', () => {
+        assert.equal(resolveTimezone('Europe/Paris'), 'Europe/Paris');
+        assert.equal(resolveTimezone('europe/paris'), 'Europe/Paris');
+    });
+
+    test('accepts city names', () => {
+        assert.equal(resolveTimezone('Lagos'), 'Africa/Lagos');
+        assert.equal(resolveTimezone('new york'), 'America/New_York');
+    });
+
+    test('accepts UTC and rejects unknown places', () => {
+        assert.equal(resolveTimezone('utc'), 'UTC');
+        assert.equal(resolveTimezone('Narnia'), null);
+        assert.equal(resolveTimezone(''), null);
+    });
+});
@@ -0,0 +1,102 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleMessage } from '../src/services/messageHandler.js';
+import { sendTeamDigests } from '../src/services/scheduler.js';
+import Team from '../src/models/Team.js';
+import DailyLog from '../src/models/DailyLog.js';
+import { useDatabase, address, createUser, findUser, setLocalTime, lastMessage, sent } from './support.js';
+
+useDatabase();
+
+beforeEach(() => {
+    setLocalTime('2026-10-19', '12:00');
+});
+
+/**
+ * Create a user who coded on each of the last `days` days (shown by name unless fields say otherwise)
+ */
+async function createCoder(channelId, days, fields = {}) {
+    const user = await createUser({ channelId, name: channelId, leaderboard: 'named', ...fields });
+    const logs = [];
+    for (let i = 0; i < days; i++) {
+        logs.push({ user: user._id, date: `2026-10-${String(19 - i).padStart(2, '0')}`, coded: true });
+    }
+    await DailyLog.create(logs);
+    return user;
+}
+
+describe('leaderboard', () => {
+    test('ranks by current streak from the logs', async () => {
+        await createCoder('Ada', 2);
+        await createCoder('Grace', 5);
+        await createCoder('Linus', 1);
+
+        await handleMessage(address('Ada'), 'leaderboard');
+
+        const lines = lastMessage().split('\n').filter(line => /^(🥇|🥈|🥉|\d+\.)/.test(line));
+        assert.deepEqual(lines, [
+            '🥇 Grace - 🟢 5 · 5/7 · 100%',
+            '🥈 *You* - 🟡 2 · 2/7 · 100%',
+            '🥉 Linus - 🟡 1 · 1/7 · 100%'
+        ]);
+    });
+
+    test('anonymous members keep their rank but not their name; hidden ones drop off', async () => {
+        await createCoder('Ada', 1);
+        await createCoder('Grace', 5);
+        await createCoder('Linus', 3);
+        await handleMessage(address('Grace'), 'leaderboard anonymous');
+        await handleMessage(address('Linus'), 'leaderboard hide');
+
+        assert.equal((await findUser('Linus')).leaderboard, 'hidden');
+
+        await handleMessage(address('Ada'), 'leaderboard');
+        assert.match(lastMessage(), /🥇 Anonymous coder/);
+        assert.doesNotMatch(lastMessage(), /Grace|Linus/);
+    });
+
+    test('new users are anonymous until they choose to show their name', async () => {
+        await createCoder('Ada', 1);
+        await createCoder('Grace', 5, { leaderboard: undefined });
+
+        await handleMessage(address('Ada'), 'leaderboard');
+        assert.match(lastMessage(), /🥇 Anonymous coder/);
+        assert.doesNotMatch(lastMessage(), /Grace/);
+
+        await handleMessage(address('Grace'), 'leaderboard show');
+        await handleMessage(address('Ada'), 'leaderboard');
+        assert.match(lastMessage(), /🥇 Grace/);
+    });
+
+    test('inside a team it shows the team unless asked for everyone', async () => {
+        const team = await Team.create({ name: 'Night owls', code: 'OWLS42' });
+        await createCoder('Ada', 1, { team: team._id });
+        await createCoder('Grace', 2, { team: team._id });
+        await createCoder('Linus', 9);
+
+        await handleMessage(address('Ada'), 'leaderboard');
+        assert.match(lastMessage(), /Team Leaderboard/);
+        assert.doesNotMatch(lastMessage(), /Linus/);
+
+        await handleMessage(address('Ada'), 'leaderboard all');
+        assert.match(lastMessage(), /🥇 Linus/);
+    });
+});
+
+describe('team digest', () => {
+    test('every member gets the team table with their own row marked', async () => {
+        const team = await Team.create({ name: 'Night owls', code: 'OWLS42' });
+        await createCoder('Ada', 1, { team: team._id });
+        await createCoder('Grace', 3, { team: team._id });
+        await createCoder('Solo', 4);
+
+        await sendTeamDigests();
+
+        assert.deepEqual(sent.map(({ to }) => to).sort(), ['Ada', 'Grace']);
+        const toAda = sent.find(({ to }) => to === 'Ada').message;
+        assert.match(toAda, /Night owls - Weekly Digest/);
+        assert.match(toAda, /🥇 Grace/);
+        assert.match(toAda, /🥈 \*You\*/);
+        assert.match(toAda, /4 coding days/);
+    });
+});
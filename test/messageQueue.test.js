@@ -0,0 +1,90 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { enqueue, enqueueMessage, whenIdle } from '../src/services/messageQueue.js';
+import { registerChannel } from '../src/channels/index.js';
+import DailyLog from '../src/models/DailyLog.js';
+import ProcessedMessage from '../src/models/ProcessedMessage.js';
+import { useDatabase, createUser, findUser, setLocalTime, sent } from './support.js';
+
+useDatabase();
+
+// A channel whose next `outages` sends fail
+let outages = 0;
+registerChannel({
+    name: 'outage',
+    sendMessage: async (to, message) => {
+        if (outages > 0) {
+            outages--;
+            throw new Error('Provider unavailable');
+        }
+        sent.push({ to, message });
+        return `msg-${sent.length}`;
+    }
+});
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('enqueue', () => {
+    test('runs tasks for the same key in order', async () => {
+        const order = [];
+        enqueue('a', async () => { await delay(20); order.push('a1'); });
+        enqueue('a', async () => { order.push('a2'); });
+        await whenIdle();
+
+        assert.deepEqual(order, ['a1', 'a2']);
+    });
+
+    test('does not hold up other keys', async () => {
+        const order = [];
+        enqueue('slow', async () => { await delay(30); order.push('slow'); });
+        enqueue('fast', async () => { order.push('fast'); });
+        await whenIdle();
+
+        assert.deepEqual(order, ['fast', 'slow']);
+    });
+
+    test('keeps going after a task fails', async () => {
+        const order = [];
+        enqueue('a', async () => { throw new Error('boom'); });
+        enqueue('a', async () => { order.push('after'); });
+        await whenIdle();
+
+        assert.deepEqual(order, ['after']);
+    });
+});
+
+describe('enqueueMessage', () => {
+    test('a redelivered message is only handled once', async () => {
+        setLocalTime('2026-10-19', '21:00');
+        await createUser({ conversationState: 'evening_check' });
+
+        const message = { id: 'wamid.1', from: 'ada', text: 'yes' };
+        enqueueMessage('test', message);
+        enqueueMessage('test', { ...message });
+        await whenIdle();
+
+        const user = await findUser();
+        assert.equal(user.totalDaysCoded, 1);
+        assert.equal(user.conversationState, 'what_done');
+        assert.equal(sent.length, 1);
+        assert.equal(await DailyLog.countDocuments(), 1);
+    });
+
+    test('a message that fails is not marked handled, and the sender hears about it', async () => {
+        await createUser({ channel: 'outage' });
+        const message = { id: 'update-1', from: 'ada', text: 'help' };
+
+        outages = 1;
+        enqueueMessage('outage', message);
+        await whenIdle();
+
+        assert.match(sent.at(-1).message, /something went wrong on my side/);
+        assert.equal(await ProcessedMessage.countDocuments(), 0);
+
+        // A redelivery is handled like a new message
+        enqueueMessage('outage', { ...message });
+        await whenIdle();
+        assert.doesNotMatch(sent.at(-1).message, /something went wrong/);
+        assert.equal(await ProcessedMessage.countDocuments(), 1);
+    });
+});
@@ -0,0 +1,88 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleMessage } from '../src/services/messageHandler.js';
+import { useDatabase, address, findUser, lastMessage } from './support.js';
+
+useDatabase();
+
+/**
+ * Send messages one after another as the test user
+ */
+async function say(...messages) {
+    for (const text of messages) {
+        await handleMessage(address(), text);
+    }
+}
+
+describe('handleOnboarding', () => {
+    test('first message welcomes the user and asks for a name', async () => {
+        await say('hi');
+
+        const user = await findUser();
+        assert.equal(user.onboardingStep, 'ask_name');
+        assert.equal(user.onboardingComplete, false);
+        assert.match(lastMessage(), /What's your first name\?/);
+    });
+
+    test('name step keeps the first name and asks for the morning time', async () => {
+        await say('hi', 'Ada Lovelace');
+
+        const user = await findUser();
+        assert.equal(user.name, 'Ada');
+        assert.equal(user.onboardingStep, 'ask_morning');
+        assert.match(lastMessage(), /morning check-in/);
+    });
+
+    test('invalid morning time keeps the user on the same step', async () => {
+        await say('hi', 'Ada', 'whenever');
+
+        const user = await findUser();
+        assert.equal(user.onboardingStep, 'ask_morning');
+        assert.equal(user.morningReminderTime, '08:00');
+        assert.match(lastMessage(), /try: 7:00/);
+    });
+
+    test('morning and evening times are parsed and stored', async () => {
+        await say('hi', 'Ada', '7:30 am', '9 PM');
+
+        const user = await findUser();
+        assert.equal(user.morningReminderTime, '07:30');
+        assert.equal(user.eveningReminderTime, '21:00');
+        assert.equal(user.onboardingStep, 'ask_timezone');
+    });
+
+    test('invalid evening time keeps the user on the same step', async () => {
+        await say('hi', 'Ada', '7:30', 'tonight');
+
+        const user = await findUser();
+        assert.equal(user.onboardingStep, 'ask_evening');
+        assert.equal(user.eveningReminderTime, '20:00');
+    });
+
+    test('unknown timezone is rejected', async () => {
+        await say('hi', 'Ada', '7:30', '21:00', 'Narnia');
+
+        const user = await findUser();
+        assert.equal(user.onboardingStep, 'ask_timezone');
+        assert.equal(user.onboardingComplete, false);
+        assert.match(lastMessage(), /I don't know that one/);
+    });
+
+    test('timezone completes onboarding', async () => {
+        await say('hi', 'Ada', '7:30', '21:00', 'berlin');
+
+        const user = await findUser();
+        assert.equal(user.timezone, 'Europe/Berlin');
+        assert.equal(user.onboardingStep, 'complete');
+        assert.equal(user.onboardingComplete, true);
+        assert.match(lastMessage(), /You're all set/);
+    });
+
+    test('skip keeps the default timezone', async () => {
+        await say('hi', 'Ada', '7:30', '21:00', 'skip');
+
+        const user = await findUser();
+        assert.equal(user.timezone, 'Africa/Accra');
+        assert.equal(user.onboardingComplete, true);
+    });
+});
@@ -0,0 +1,116 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleMessage } from '../src/services/messageHandler.js';
+import { checkAndSendReminders } from '../src/services/scheduler.js';
+import { getLogForDate, saveCodedResponse } from '../src/services/storage.js';
+import DailyLog from '../src/models/DailyLog.js';
+import { useDatabase, address, createUser, findUser, setLocalTime, lastMessage, sent } from './support.js';
+
+useDatabase();
+
+describe('rest days', () => {
+    test('rest days sets recurring weekdays in week order', async () => {
+        await createUser();
+
+        await handleMessage(address(), 'rest days sunday sat');
+
+        assert.deepEqual((await findUser()).restDays, ['Sat', 'Sun']);
+        assert.match(lastMessage(), /Sat, Sun/);
+    });
+
+    test('rest <day> plans a rest day ahead, but not today', async () => {
+        await createUser();
+        setLocalTime('2026-10-19', '09:00');
+
+        await handleMessage(address(), 'rest tomorrow');
+        assert.equal((await getLogForDate(address(), '2026-10-20')).rest, 'planned');
+
+        await handleMessage(address(), 'rest today');
+        assert.match(lastMessage(), /planned ahead of time/);
+
+        await handleMessage(address(), 'rest cancel 2026-10-20');
+        assert.equal((await getLogForDate(address(), '2026-10-20')).rest, null);
+    });
+
+    test('no reminders on a rest day', async () => {
+        await createUser({ channelId: 'sunday', restDays: ['Sun'], eveningReminderTime: '20:00' });
+        const planned = await createUser({ channelId: 'planned', eveningReminderTime: '20:00' });
+        await createUser({ channelId: 'working', eveningReminderTime: '20:00' });
+        await DailyLog.create({ user: planned._id, date: '2026-10-18', rest: 'planned' });
+
+        setLocalTime('2026-10-18', '20:00');
+        await checkAndSendReminders();
+
+        assert.deepEqual(sent.map(({ to }) => to), ['working']);
+    });
+
+    test('summary shows rest and frozen days with their own icons', async () => {
+        const user = await createUser({ restDays: ['Sun'] });
+        await DailyLog.create([
+            { user: user._id, date: '2026-10-16', coded: true },
+            { user: user._id, date: '2026-10-17', rest: 'freeze' },
+            { user: user._id, date: '2026-10-18' },
+            { user: user._id, date: '2026-10-25', rest: 'planned' }
+        ]);
+        setLocalTime('2026-10-19', '09:00');
+
+        await handleMessage(address(), 'summary');
+
+        assert.match(lastMessage(), /✅ 2026-10-16/);
+        assert.match(lastMessage(), /❄️ 2026-10-17/);
+        assert.match(lastMessage(), /🛌 2026-10-18/);
+        assert.doesNotMatch(lastMessage(), /2026-10-25/);
+        assert.match(lastMessage(), /1\/1 days/);
+    });
+});
+
+describe('streak freezes', () => {
+    test('every 7 days in a row earns a freeze', async () => {
+        await createUser({ currentStreak: 6 });
+        const user = await findUser();
+        await DailyLog.create(['13', '14', '15', '16', '17', '18'].map(day => (
+            { user: user._id, date: `2026-10-${day}`, coded: true }
+        )));
+        setLocalTime('2026-10-19', '21:00');
+
+        await handleMessage(address(), 'yes');
+
+        assert.equal((await findUser()).freezesAvailable, 1);
+        assert.match(lastMessage(), /earns you a streak freeze/);
+    });
+
+    test('freeze yesterday saves the streak and spends the freeze', async () => {
+        const user = await createUser({ freezesAvailable: 1 });
+        await DailyLog.create({ user: user._id, date: '2026-10-17', coded: true });
+        setLocalTime('2026-10-19', '21:00');
+
+        await handleMessage(address(), 'freeze yesterday');
+        await saveCodedResponse(address(), true);
+
+        const updated = await findUser();
+        assert.equal(updated.freezesAvailable, 0);
+        assert.equal(updated.currentStreak, 2);
+        assert.equal((await getLogForDate(address(), '2026-10-18')).rest, 'freeze');
+    });
+
+    test('freezes are limited per month', async (t) => {
+        t.after(() => delete process.env.FREEZES_PER_MONTH);
+        process.env.FREEZES_PER_MONTH = '1';
+        const user = await createUser({ freezesAvailable: 2 });
+        await DailyLog.create({ user: user._id, date: '2026-10-05', rest: 'freeze' });
+        setLocalTime('2026-10-19', '21:00');
+
+        await handleMessage(address(), 'freeze');
+
+        assert.match(lastMessage(), /used this month's 1 freezes/);
+        assert.equal((await findUser()).freezesAvailable, 2);
+    });
+
+    test('no freeze without one in the bank', async () => {
+        await createUser();
+
+        await handleMessage(address(), 'freeze');
+
+        assert.match(lastMessage(), /No freezes left/);
+    });
+});
@@ -0,0 +1,251 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkAndSendReminders } from '../src/services/scheduler.js';
+import { getUsersForReminder, updateDeliveryStatus, recordOutboundMessage } from '../src/services/storage.js';
+import DailyLog from '../src/models/DailyLog.js';
+import Team from '../src/models/Team.js';
+import User from '../src/models/User.js';
+import OutboundMessage from '../src/models/OutboundMessage.js';
+import { handleMessage } from '../src/services/messageHandler.js';
+import { useDatabase, address, createUser, findUser, setLocalTime, sent } from './support.js';
+
+useDatabase();
+
+/**
+ * Channel IDs that received a message, in order
+ */
+function recipients() {
+    return sent.map(({ to }) => to);
+}
+
+describe('reminder selection', () => {
+    test('morning reminders match the time in each user timezone', async () => {
+        await createUser({ channelId: 'accra', morningReminderTime: '08:00' });
+        await createUser({ channelId: 'berlin', morningReminderTime: '08:00', timezone: 'Europe/Berlin' });
+        await createUser({ channelId: 'later', morningReminderTime: '09:00' });
+
+        setLocalTime('2026-10-19', '08:00', 'Africa/Accra');
+        await checkAndSendReminders();
+        assert.deepEqual(recipients(), ['accra']);
+
+        setLocalTime('2026-10-19', '08:00', 'Europe/Berlin');
+        await checkAndSendReminders();
+        assert.deepEqual(recipients(), ['accra', 'berlin']);
+    });
+
+    test('a morning reminder opens the mood question and is only sent once a day', async () => {
+        await createUser({ morningReminderTime: '08:00' });
+
+        setLocalTime('2026-10-19', '08:00');
+        await checkAndSendReminders();
+        await checkAndSendReminders();
+
+        const user = await findUser();
+        assert.equal(sent.length, 1);
+        assert.match(sent[0].message, /How are you feeling today\?/);
+        assert.ok(sent[0].replies.includes('tired'));
+        assert.equal(user.conversationState, 'morning_mood');
+        assert.equal(user.reminders.find(reminder => reminder.type === 'morning').lastSent, '2026-10-19');
+
+        setLocalTime('2026-10-20', '08:00');
+        await checkAndSendReminders();
+        assert.equal(sent.length, 2);
+    });
+
+    test('paused and not yet onboarded users are skipped', async () => {
+        await createUser({ channelId: 'active' });
+        await createUser({ channelId: 'paused', remindersPaused: true });
+        await createUser({ channelId: 'new', onboardingComplete: false, onboardingStep: 'ask_name' });
+
+        const users = await getUsersForReminder('morning', '08:00', '2026-10-19', 'Africa/Accra');
+        assert.deepEqual(users.map(u => u.channelId), ['active']);
+    });
+
+    test('evening reminders skip users who already answered today', async () => {
+        const answered = await createUser({ channelId: 'answered' });
+        const planned = await createUser({ channelId: 'planned' });
+        await createUser({ channelId: 'quiet' });
+
+        await DailyLog.create({ user: answered._id, date: '2026-10-19', coded: true });
+        await DailyLog.create({ user: planned._id, date: '2026-10-19', todaysPlan: 'Refactor' });
+
+        const users = await getUsersForReminder('evening', '20:00', '2026-10-19', 'Africa/Accra');
+        assert.deepEqual(users.map(u => u.channelId).sort(), ['planned', 'quiet']);
+
+        setLocalTime('2026-10-19', '20:00');
+        await checkAndSendReminders();
+        assert.deepEqual(recipients().sort(), ['planned', 'quiet']);
+        assert.equal((await findUser('quiet')).conversationState, 'evening_mood');
+    });
+
+    test('reminders do not take over a conversation in progress', async () => {
+        setLocalTime('2026-10-19', '19:55');
+        await createUser({ conversationState: 'settings_timezone' });
+
+        setLocalTime('2026-10-19', '20:00');
+        await checkAndSendReminders();
+
+        const user = await findUser();
+        assert.equal(sent.length, 1);
+        assert.match(sent[0].message, /When we're done here, reply \*yes\* or \*no\*/);
+        assert.equal(sent[0].replies, undefined);
+        assert.equal(user.conversationState, 'settings_timezone');
+        assert.equal(user.reminders.find(reminder => reminder.type === 'evening').lastSent, '2026-10-19');
+    });
+
+    test('an unanswered morning question does not hold back the evening one', async () => {
+        await createUser();
+
+        setLocalTime('2026-10-19', '08:00');
+        await checkAndSendReminders();
+        assert.equal((await findUser()).conversationState, 'morning_mood');
+
+        setLocalTime('2026-10-19', '20:00');
+        await checkAndSendReminders();
+        assert.match(sent.at(-1).message, /How are you feeling right now\?/);
+        assert.equal((await findUser()).conversationState, 'evening_mood');
+    });
+});
+
+describe('weekly messages', () => {
+    test('the Sunday digest goes out at 10:00 local time for each member', async () => {
+        const team = await Team.create({ name: 'Night owls', code: 'OWLS42' });
+        await createUser({ channelId: 'accra', team: team._id });
+        await createUser({ channelId: 'berlin', team: team._id, timezone: 'Europe/Berlin' });
+        const digests = () => sent.filter(({ message }) => /Weekly Digest/.test(message)).map(({ to }) => to);
+
+        setLocalTime('2026-10-18', '10:00', 'Europe/Berlin');
+        await checkAndSendReminders();
+        assert.deepEqual(digests(), ['berlin']);
+
+        setLocalTime('2026-10-18', '10:00', 'Africa/Accra');
+        await checkAndSendReminders();
+        assert.deepEqual(digests(), ['berlin', 'accra']);
+
+        // Not on other days
+        setLocalTime('2026-10-19', '10:00', 'Africa/Accra');
+        await checkAndSendReminders();
+        assert.equal(digests().length, 2);
+    });
+
+    test('members without a stored timezone get it at 10:00 in the default one', async () => {
+        const team = await Team.create({ name: 'Night owls', code: 'OWLS42' });
+        await createUser({ channelId: 'ada', team: team._id });
+        await createUser({ channelId: 'grace', team: team._id });
+        await User.updateOne({ channelId: 'grace' }, { $set: { timezone: null } });
+
+        setLocalTime('2026-10-18', '10:00', 'Africa/Accra');
+        await checkAndSendReminders();
+
+        const digests = sent.filter(({ message }) => /Weekly Digest/.test(message)).map(({ to }) => to);
+        assert.deepEqual(digests.sort(), ['ada', 'grace']);
+    });
+});
+
+describe('reminder slots', () => {
+    test('changing the morning time moves the morning slot', async () => {
+        const user = await createUser({ morningReminderTime: '06:30' });
+
+        assert.deepEqual(
+            user.reminders.map(({ type, time }) => ({ type, time })),
+            [{ type: 'morning', time: '06:30' }, { type: 'evening', time: '20:00' }]
+        );
+    });
+
+    test('the midday ping is optional and mentions the plan', async () => {
+        const user = await createUser({ channelId: 'midday' });
+        await createUser({ channelId: 'plain' });
+        await handleMessage(address('midday'), 'reminders midday 12:30');
+        await DailyLog.create({ user: user._id, date: '2026-10-19', todaysPlan: 'Refactor' });
+        sent.length = 0;
+
+        setLocalTime('2026-10-19', '12:30');
+        await checkAndSendReminders();
+        await checkAndSendReminders();
+
+        assert.deepEqual(recipients(), ['midday']);
+        assert.match(sent[0].message, /Refactor/);
+        assert.equal((await findUser('midday')).conversationState, null);
+    });
+
+    test('last call only goes to users with nothing logged', async () => {
+        const logged = await createUser({ channelId: 'logged' });
+        await createUser({ channelId: 'quiet' });
+        await createUser({ channelId: 'off' });
+        for (const id of ['logged', 'quiet']) {
+            await handleMessage(address(id), 'reminders lastcall on');
+        }
+        await DailyLog.create({ user: logged._id, date: '2026-10-19', coded: true });
+        sent.length = 0;
+
+        setLocalTime('2026-10-19', '23:00');
+        await checkAndSendReminders();
+
+        assert.deepEqual(recipients(), ['quiet']);
+        assert.match(sent[0].message, /Last call/);
+        assert.equal((await findUser('quiet')).conversationState, 'evening_check');
+    });
+
+    test('turning a slot off removes it', async () => {
+        await createUser();
+        await handleMessage(address(), 'reminders midday');
+        await handleMessage(address(), 'reminders midday off');
+
+        assert.deepEqual((await findUser()).reminders.map(reminder => reminder.type), ['morning', 'evening']);
+    });
+});
+
+describe('reminder delivery tracking', () => {
+    test('message IDs only need to be unique per recipient', async () => {
+        // Telegram numbers messages per chat, so two users can get the same ID
+        await recordOutboundMessage(address('ada'), '7', 'morning_reminder', '2026-10-19');
+        await recordOutboundMessage(address('grace'), '7', 'morning_reminder', '2026-10-19');
+        await recordOutboundMessage(address('ada'), '7', 'morning_reminder', '2026-10-19');
+
+        assert.equal(await OutboundMessage.countDocuments(), 2);
+    });
+
+    test('a reminder still opens its question when it cannot be recorded', async () => {
+        await createUser();
+        // The test channel numbers messages from msg-1 - this one is taken
+        await OutboundMessage.create({ channel: 'test', channelId: 'ada', messageId: 'msg-1', kind: 'evening_reminder' });
+
+        setLocalTime('2026-10-19', '20:00');
+        await checkAndSendReminders();
+
+        assert.equal(sent.length, 1);
+        assert.equal((await findUser()).conversationState, 'evening_mood');
+    });
+
+    test('sent reminders are recorded and follow status webhooks', async () => {
+        await createUser({ morningReminderTime: '08:00' });
+
+        setLocalTime('2026-10-19', '08:00');
+        await checkAndSendReminders();
+
+        const recorded = await OutboundMessage.findOne({ messageId: 'msg-1' });
+        assert.equal(recorded.kind, 'morning_reminder');
+        assert.equal(recorded.date, '2026-10-19');
+        assert.equal(recorded.status, 'accepted');
+
+        await updateDeliveryStatus('test', { id: 'msg-1', status: 'read', timestamp: 1000 });
+        await updateDeliveryStatus('test', { id: 'msg-1', status: 'delivered', timestamp: 999 });
+
+        const updated = await OutboundMessage.findOne({ messageId: 'msg-1' });
+        assert.equal(updated.status, 'read');
+        assert.ok(updated.deliveredAt);
+        assert.ok(updated.readAt);
+    });
+
+    test('failures are recorded with the error', async () => {
+        await createUser();
+        await OutboundMessage.create({ channel: 'test', channelId: 'ada', messageId: 'x', kind: 'evening_reminder' });
+
+        assert.equal(await updateDeliveryStatus('test', { id: 'x', status: 'failed', error: 'Re-engagement message' }), true);
+        assert.equal(await updateDeliveryStatus('test', { id: 'unknown', status: 'read' }), false);
+
+        const failed = await OutboundMessage.findOne({ messageId: 'x' });
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.error, 'Re-engagement message');
+    });
+});
@@ -0,0 +1,207 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateStreaks, calculateStats, calculateEffort, calculatePlans } from '../src/utils/stats.js';
+
+/**
+ * Build logs from { date: coded } pairs ('planned' or 'freeze' for rest days)
+ */
+function logs(days) {
+    return Object.entries(days).map(([date, coded]) => (
+        typeof coded === 'string' ? { date, coded: null, rest: coded } : { date, coded }
+    ));
+}
+
+describe('calculateStreaks', () => {
+    test('counts the run ending today', () => {
+        const result = calculateStreaks(logs({
+            '2026-10-17': true,
+            '2026-10-18': true,
+            '2026-10-19': true
+        }), '2026-10-19');
+
+        assert.deepEqual(result, { currentStreak: 3, longestStreak: 3, totalDaysCoded: 3 });
+    });
+
+    test('keeps yesterday\'s run alive until today is answered', () => {
+        const days = { '2026-10-17': true, '2026-10-18': true };
+
+        assert.equal(calculateStreaks(logs(days), '2026-10-19').currentStreak, 2);
+        assert.equal(calculateStreaks(logs({ ...days, '2026-10-19': false }), '2026-10-19').currentStreak, 0);
+        assert.equal(calculateStreaks(logs({ ...days, '2026-10-19': null }), '2026-10-19').currentStreak, 2);
+    });
+
+    test('a missed day ends the current streak', () => {
+        const result = calculateStreaks(logs({
+            '2026-10-15': true,
+            '2026-10-16': true,
+            '2026-10-17': true
+        }), '2026-10-19');
+
+        assert.deepEqual(result, { currentStreak: 0, longestStreak: 3, totalDaysCoded: 3 });
+    });
+
+    test('a backfilled day joins the runs on either side', () => {
+        const result = calculateStreaks(logs({
+            '2026-10-19': true,
+            '2026-10-16': true,
+            '2026-10-17': true,
+            '2026-10-18': true
+        }), '2026-10-19');
+
+        assert.deepEqual(result, { currentStreak: 4, longestStreak: 4, totalDaysCoded: 4 });
+    });
+
+    test('ignores days after today', () => {
+        const result = calculateStreaks(logs({ '2026-10-19': true, '2026-10-20': true }), '2026-10-19');
+
+        assert.deepEqual(result, { currentStreak: 1, longestStreak: 1, totalDaysCoded: 1 });
+    });
+
+    test('no logs means no streak', () => {
+        assert.deepEqual(calculateStreaks([], '2026-10-19'), { currentStreak: 0, longestStreak: 0, totalDaysCoded: 0 });
+    });
+});
+
+describe('calculateStreaks with rest days', () => {
+    test('recurring rest weekdays bridge the streak', () => {
+        // 2026-10-18 is a Sunday
+        const result = calculateStreaks(logs({
+            '2026-10-16': true,
+            '2026-10-17': true,
+            '2026-10-19': true
+        }), '2026-10-19', ['Sun']);
+
+        assert.deepEqual(result, { currentStreak: 3, longestStreak: 3, totalDaysCoded: 3 });
+    });
+
+    test('planned rest and frozen days bridge the streak', () => {
+        const result = calculateStreaks(logs({
+            '2026-10-15': true,
+            '2026-10-16': 'planned',
+            '2026-10-17': 'freeze',
+            '2026-10-18': true
+        }), '2026-10-19');
+
+        assert.deepEqual(result, { currentStreak: 2, longestStreak: 2, totalDaysCoded: 2 });
+    });
+
+    test('a no on a rest day does not break the streak', () => {
+        const result = calculateStreaks([
+            { date: '2026-10-18', coded: true },
+            { date: '2026-10-19', coded: false, rest: 'freeze' }
+        ], '2026-10-19');
+
+        assert.equal(result.currentStreak, 1);
+    });
+
+    test('only rest days bridge - an unplanned missed day still breaks it', () => {
+        const result = calculateStreaks(logs({
+            '2026-10-16': true,
+            '2026-10-17': 'planned',
+            '2026-10-19': true
+        }), '2026-10-19', ['Sun']);
+
+        assert.equal(result.currentStreak, 2);
+        assert.equal(calculateStreaks(logs({ '2026-10-16': true, '2026-10-19': true }), '2026-10-19', ['Sun']).currentStreak, 1);
+    });
+
+    test('rest days are left out of the completion rate', () => {
+        const stats = calculateStats([
+            { date: '2026-10-17', coded: true },
+            { date: '2026-10-18', coded: false },
+            { date: '2026-10-19', coded: null, rest: 'freeze' }
+        ], '2026-10-19', ['Sun']);
+
+        assert.equal(stats.completionRate, 1);
+        assert.equal(stats.daysRested, 1);
+    });
+});
+
+describe('calculateStats', () => {
+    // 2026-10-12 is a Monday
+    const history = logs({
+        '2026-10-05': true,     // Mon
+        '2026-10-06': false,    // Tue
+        '2026-10-12': true,     // Mon
+        '2026-10-13': true,     // Tue
+        '2026-10-14': true,     // Wed
+        '2026-10-15': null,     // Morning only
+        '2026-10-18': false     // Sun
+    });
+
+    test('totals and completion rate count answered days only', () => {
+        const stats = calculateStats(history, '2026-10-19');
+
+        assert.equal(stats.totalDaysCoded, 4);
+        assert.equal(stats.daysLogged, 6);
+        assert.equal(stats.daysMissed, 2);
+        assert.equal(stats.completionRate, 4 / 6);
+        assert.equal(stats.last7Days, 2);       // 13th-19th
+        assert.equal(stats.longestStreak, 3);
+        assert.equal(stats.currentStreak, 0);
+    });
+
+    test('rates are broken down by weekday, Monday first', () => {
+        const { weekdays } = calculateStats(history, '2026-10-19');
+
+        assert.deepEqual(weekdays.map(w => w.day), ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun']);
+        assert.deepEqual(weekdays[0], { day: 'Mon', coded: 2, logged: 2, rate: 1 });
+        assert.deepEqual(weekdays[1], { day: 'Tue', coded: 1, logged: 2, rate: 0.5 });
+        assert.deepEqual(weekdays[3], { day: 'Thu', coded: 0, logged: 0, rate: null });
+        assert.deepEqual(weekdays[6], { day: 'Sun', coded: 0, logged: 1, rate: 0 });
+    });
+
+    test('no answers means no rate', () => {
+        assert.equal(calculateStats([], '2026-10-19').completionRate, null);
+    });
+});
+
+describe('calculateEffort', () => {
+    const history = [
+        { date: '2026-09-25', minutesSpent: 60, commits: 1 },
+        { date: '2026-10-12', minutesSpent: 120, commits: 5 },
+        { date: '2026-10-17', minutesSpent: 90, problemsSolved: 2 },
+        { date: '2026-10-18', coded: false },
+        { date: '2026-10-19', minutesSpent: 30, commits: 3 }
+    ];
+
+    test('adds up the last 7 days, averaging over days with time logged', () => {
+        assert.deepEqual(calculateEffort(history, '2026-10-19', 7), {
+            minutes: 120,
+            days: 2,
+            averageMinutes: 60,
+            commits: 3,
+            problemsSolved: 2
+        });
+    });
+
+    test('the month window reaches further back', () => {
+        const month = calculateEffort(history, '2026-10-19', 30);
+
+        assert.equal(month.minutes, 300);
+        assert.equal(month.commits, 9);
+        assert.equal(month.averageMinutes, 75);
+    });
+
+    test('nothing logged means no average', () => {
+        assert.equal(calculateEffort([], '2026-10-19', 7).averageMinutes, null);
+    });
+});
+
+describe('calculatePlans', () => {
+    test('hit rate counts fully done plans only', () => {
+        const plans = calculatePlans([
+            { planOutcome: 'done' },
+            { planOutcome: 'done' },
+            { planOutcome: 'partial' },
+            { planOutcome: 'not_done' },
+            { planOutcome: null }
+        ]);
+
+        assert.deepEqual(plans, { planned: 4, done: 2, partial: 1, notDone: 1, hitRate: 0.5 });
+    });
+
+    test('no outcomes means no hit rate', () => {
+        assert.equal(calculatePlans([{ coded: true }]).hitRate, null);
+    });
+});
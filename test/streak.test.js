@@ -0,0 +1,244 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { saveCodedResponse, getTodaysLog, getLogForDate, repairStreakCounters } from '../src/services/storage.js';
+import { handleMessage } from '../src/services/messageHandler.js';
+import User from '../src/models/User.js';
+import DailyLog from '../src/models/DailyLog.js';
+import { useDatabase, address, createUser, findUser, setLocalTime, lastMessage } from './support.js';
+
+useDatabase();
+
+/**
+ * Answer the evening question on each local date at 21:00
+ * @param {Array} answers - [date, coded] pairs
+ * @param {string} [timezone] - User's timezone
+ */
+async function answer(answers, timezone = 'Africa/Accra') {
+    let result;
+    for (const [date, coded] of answers) {
+        setLocalTime(date, '21:00', timezone);
+        result = await saveCodedResponse(address(), coded);
+    }
+    return result;
+}
+
+describe('saveCodedResponse streak math', () => {
+    test('consecutive days grow the streak', async () => {
+        await createUser();
+
+        const result = await answer([
+            ['2026-10-19', true],
+            ['2026-10-20', true],
+            ['2026-10-21', true]
+        ]);
+
+        const user = await findUser();
+        assert.deepEqual(result, { currentStreak: 3, longestStreak: 3 });
+        assert.equal(user.totalDaysCoded, 3);
+        assert.equal(user.lastResponseDate, '2026-10-21');
+    });
+
+    test('a skipped day starts a new streak but keeps the record', async () => {
+        await createUser();
+
+        const result = await answer([
+            ['2026-10-19', true],
+            ['2026-10-20', true],
+            ['2026-10-22', true]
+        ]);
+
+        assert.deepEqual(result, { currentStreak: 1, longestStreak: 2 });
+        assert.equal((await findUser()).totalDaysCoded, 3);
+    });
+
+    test('no resets the streak and the next yes starts again at 1', async () => {
+        await createUser();
+
+        await answer([
+            ['2026-10-19', true],
+            ['2026-10-20', false]
+        ]);
+        assert.equal((await findUser()).currentStreak, 0);
+
+        const result = await answer([['2026-10-21', true]]);
+        assert.deepEqual(result, { currentStreak: 1, longestStreak: 1 });
+    });
+
+    test('streaks continue across month and year boundaries', async () => {
+        await createUser();
+
+        const result = await answer([
+            ['2026-01-31', true],
+            ['2026-02-01', true]
+        ]);
+        assert.equal(result.currentStreak, 2);
+
+        await User.updateOne({ channelId: 'ada' }, { currentStreak: 0, lastResponseDate: null });
+        const febToMarch = await answer([
+            ['2026-02-28', true],
+            ['2026-03-01', true]
+        ]);
+        assert.equal(febToMarch.currentStreak, 2);
+
+        await User.updateOne({ channelId: 'ada' }, { currentStreak: 0, lastResponseDate: null });
+        const newYear = await answer([
+            ['2026-12-31', true],
+            ['2027-01-01', true]
+        ]);
+        assert.equal(newYear.currentStreak, 2);
+    });
+
+    test('streaks continue across DST changes', async () => {
+        await createUser({ timezone: 'Europe/Berlin' });
+
+        const result = await answer([
+            ['2026-03-28', true],
+            ['2026-03-29', true],   // Clocks go forward
+            ['2026-03-30', true],
+            ['2026-10-24', true],
+            ['2026-10-25', true]    // Clocks go back
+        ], 'Europe/Berlin');
+
+        assert.deepEqual(result, { currentStreak: 2, longestStreak: 3 });
+    });
+
+    test('the log date follows the user timezone, not the server', async () => {
+        await createUser({ timezone: 'Europe/Berlin' });
+
+        // 00:30 in Berlin is still the previous evening in Accra
+        setLocalTime('2026-10-20', '00:30', 'Europe/Berlin');
+        await saveCodedResponse(address(), true);
+
+        const log = await getTodaysLog(address());
+        assert.equal(log.date, '2026-10-20');
+        assert.equal((await findUser()).lastResponseDate, '2026-10-20');
+    });
+});
+
+describe('backfilling and editing past days', () => {
+    // answer() leaves the user mid-conversation
+    const endConversation = () => User.updateOne({ channelId: 'ada' }, { conversationState: null });
+
+    test('log yesterday yes fills the gap and rejoins the streak', async () => {
+        await createUser();
+        await answer([
+            ['2026-10-16', true],
+            ['2026-10-17', true],
+            ['2026-10-19', true]
+        ]);
+        await endConversation();
+        assert.equal((await findUser()).currentStreak, 1);
+
+        await handleMessage(address(), 'log 2026-10-18 yes');
+
+        const user = await findUser();
+        assert.equal(user.currentStreak, 4);
+        assert.equal(user.longestStreak, 4);
+        assert.equal(user.totalDaysCoded, 4);
+        assert.equal(user.conversationState, 'what_done');
+        assert.equal(user.editingDate, '2026-10-18');
+        assert.match(lastMessage(), /Sun 18 Oct/);
+    });
+
+    test('reflections go to the day being filled in', async () => {
+        await createUser();
+        setLocalTime('2026-10-19', '09:00');
+
+        await handleMessage(address(), 'log yesterday yes');
+        await handleMessage(address(), 'Wrote the parser');
+        await handleMessage(address(), '2h');
+        await handleMessage(address(), 'skip');
+        await handleMessage(address(), 'Regex lookaheads');
+
+        const log = await getLogForDate(address(), '2026-10-18');
+        assert.equal(log.coded, true);
+        assert.equal(log.whatDone, 'Wrote the parser');
+        assert.equal(log.minutesSpent, 120);
+        assert.equal(log.learning, 'Regex lookaheads');
+        assert.equal(await getTodaysLog(address()), null);
+        assert.equal((await findUser()).editingDate, null);
+    });
+
+    test('edit corrects a logged day and recomputes the counters', async () => {
+        await createUser();
+        await answer([
+            ['2026-10-17', true],
+            ['2026-10-18', true],
+            ['2026-10-19', true]
+        ]);
+        await endConversation();
+
+        await handleMessage(address(), 'edit 2026-10-18');
+        assert.match(lastMessage(), /✅ Coded/);
+        await handleMessage(address(), 'no');
+
+        const user = await findUser();
+        assert.equal(user.currentStreak, 1);
+        assert.equal(user.longestStreak, 1);
+        assert.equal(user.totalDaysCoded, 2);
+        assert.equal(user.conversationState, 'why_not');
+    });
+
+    test('log refuses a day that is already answered', async () => {
+        await createUser();
+        await answer([['2026-10-18', false], ['2026-10-19', true]]);
+        await endConversation();
+
+        await handleMessage(address(), 'log yesterday yes');
+
+        assert.match(lastMessage(), /already logged/);
+        assert.equal((await getLogForDate(address(), '2026-10-18')).coded, false);
+    });
+
+    test('days outside the grace window are rejected', async (t) => {
+        t.after(() => delete process.env.BACKFILL_DAYS);
+        process.env.BACKFILL_DAYS = '2';
+        await createUser();
+        setLocalTime('2026-10-19', '21:00');
+
+        await handleMessage(address(), 'log 2026-10-16 yes');
+        assert.match(lastMessage(), /last 2 days/);
+
+        await handleMessage(address(), 'log 2026-10-20 yes');
+        assert.match(lastMessage(), /hasn't happened yet/);
+
+        assert.equal((await findUser()).totalDaysCoded, 0);
+    });
+});
+
+describe('stats from log history', () => {
+    test('status reads the logs, not the stored counters', async () => {
+        const user = await createUser({ currentStreak: 40, longestStreak: 40, totalDaysCoded: 99 });
+        await DailyLog.create([
+            { user: user._id, date: '2026-10-18', coded: true },
+            { user: user._id, date: '2026-10-19', coded: false }
+        ]);
+        setLocalTime('2026-10-19', '21:00');
+
+        await handleMessage(address(), 'status');
+
+        assert.match(lastMessage(), /Current: \*0 days\*/);
+        assert.match(lastMessage(), /Best: \*1 days\*/);
+        assert.match(lastMessage(), /Completion rate: \*50%\* \(1\/2 days\)/);
+        assert.match(lastMessage(), /Sun 100% \(1\/1\)/);
+        assert.match(lastMessage(), /Mon 0% \(0\/1\)/);
+    });
+
+    test('repairStreakCounters fixes drifted counters for every user', async () => {
+        const drifted = await createUser({ currentStreak: 9, longestStreak: 9, totalDaysCoded: 9 });
+        await createUser({ channelId: 'grace' });
+        await DailyLog.create([
+            { user: drifted._id, date: '2026-10-18', coded: true },
+            { user: drifted._id, date: '2026-10-19', coded: true }
+        ]);
+        setLocalTime('2026-10-19', '21:00');
+
+        assert.deepEqual(await repairStreakCounters(), { checked: 2, repaired: 1 });
+
+        const user = await findUser();
+        assert.equal(user.currentStreak, 2);
+        assert.equal(user.longestStreak, 2);
+        assert.equal(user.totalDaysCoded, 2);
+        assert.deepEqual(await repairStreakCounters(), { checked: 2, repaired: 0 });
+    });
+});
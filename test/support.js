@@ -0,0 +1,107 @@
+/**
+ * Test Support - Shared harness for the test suite
+ *
+ * - In-memory MongoDB (mongodb-memory-server), wiped before every test
+ * - A "test" channel that records messages and documents instead of
+ *   sending them (message IDs are "msg-1", "msg-2", ...) and serves any
+ *   media ID except "missing"
+ * - Helpers to put the clock at a wall-clock time in a timezone
+ */
+
+import { before, after, beforeEach } from 'node:test';
+import mongoose from 'mongoose';
+import { connectMemoryDB } from '../src/config/db.js';
+import { registerChannel } from '../src/channels/index.js';
+import { setClock, resetClock } from '../src/utils/clock.js';
+import { getZonedDate } from '../src/utils/helpers.js';
+import User from '../src/models/User.js';
+
+/** Every message the bot sent during the current test */
+export const sent = [];
+
+registerChannel({
+    name: 'test',
+    sendMessage: async (to, message, options = {}) => {
+        sent.push({ to, message, replies: options.replies?.map(reply => reply.id) });
+        return `msg-${sent.length}`;
+    },
+    sendDocument: async (to, { buffer, filename, mimeType, caption }) => {
+        sent.push({ to, message: caption, document: { filename, mimeType, content: buffer.toString('utf8') } });
+        return `msg-${sent.length}`;
+    },
+    downloadMedia: async (id, mimeType) => {
+        if (id === 'missing') throw new Error('Media not found');
+        return { buffer: Buffer.from(`contents of ${id}`), mimeType };
+    }
+});
+
+/**
+ * Connect to a fresh in-memory database for the calling test file
+ */
+export function useDatabase() {
+    let stopDB;
+
+    before(async () => {
+        stopDB = await connectMemoryDB();
+        await mongoose.connection.syncIndexes();
+    });
+
+    after(async () => {
+        await stopDB();
+    });
+
+    beforeEach(async () => {
+        const collections = Object.values(mongoose.connection.collections);
+        await Promise.all(collections.map(collection => collection.deleteMany({})));
+        sent.length = 0;
+        resetClock();
+    });
+}
+
+/**
+ * Address of a user on the test channel
+ * @param {string} [id] - Channel ID
+ */
+export function address(id = 'ada') {
+    return { channel: 'test', id };
+}
+
+/**
+ * Create an onboarded user on the test channel
+ * @param {Object} [fields] - Overrides (channelId defaults to 'ada')
+ */
+export async function createUser(fields = {}) {
+    return await User.create({
+        channel: 'test',
+        channelId: 'ada',
+        name: 'Ada',
+        onboardingComplete: true,
+        onboardingStep: 'complete',
+        ...fields
+    });
+}
+
+/**
+ * Reload a user from the database
+ * @param {string} [id] - Channel ID
+ */
+export async function findUser(id = 'ada') {
+    return await User.findOne({ channel: 'test', channelId: id });
+}
+
+/**
+ * Put the clock at a wall-clock time in a timezone
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @param {string} [timezone] - IANA timezone
+ */
+export function setLocalTime(date, time, timezone = 'Africa/Accra') {
+    setClock(getZonedDate(date, time, timezone));
+}
+
+/**
+ * Text of the last message the bot sent
+ */
+export function lastMessage() {
+    return sent.at(-1)?.message;
+}
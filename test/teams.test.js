@@ -0,0 +1,126 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { handleMessage } from '../src/services/messageHandler.js';
+import { checkAndSendReminders } from '../src/services/scheduler.js';
+import Team, { MAX_TEAM_SIZE } from '../src/models/Team.js';
+import DailyLog from '../src/models/DailyLog.js';
+import { useDatabase, address, createUser, findUser, setLocalTime, lastMessage, sent } from './support.js';
+
+useDatabase();
+
+/**
+ * Create Ada's team and have Grace join it
+ * @returns {Object} The team
+ */
+async function pairUp() {
+    await createUser({ channelId: 'ada', name: 'Ada' });
+    await createUser({ channelId: 'grace', name: 'Grace' });
+    await handleMessage(address('ada'), 'team create Night owls');
+
+    const team = await Team.findOne();
+    await handleMessage(address('grace'), `team join ${team.code.toLowerCase()}`);
+    sent.length = 0;
+    return team;
+}
+
+/**
+ * Messages a user received
+ */
+function received(id) {
+    return sent.filter(({ to }) => to === id).map(({ message }) => message);
+}
+
+describe('forming a team', () => {
+    test('team create and team join put both users in the same team', async () => {
+        const team = await pairUp();
+
+        assert.equal(team.name, 'Night owls');
+        assert.deepEqual((await findUser('ada')).team, team._id);
+        assert.deepEqual((await findUser('grace')).team, team._id);
+    });
+
+    test('teammates hear when someone joins', async () => {
+        await createUser({ channelId: 'ada', name: 'Ada' });
+        await createUser({ channelId: 'grace', name: 'Grace' });
+        await handleMessage(address('ada'), 'team create');
+        const team = await Team.findOne();
+
+        await handleMessage(address('grace'), `team join ${team.code}`);
+
+        assert.match(received('ada').at(-1), /Grace\* joined/);
+        assert.equal(team.name, "Ada's team");
+    });
+
+    test('an unknown code or a full team is turned away', async () => {
+        const team = await pairUp();
+        await createUser({ channelId: 'ghost' });
+
+        await handleMessage(address('ghost'), 'team join NOPE42');
+        assert.match(lastMessage(), /Couldn't find a team/);
+
+        for (let i = 2; i < MAX_TEAM_SIZE; i++) {
+            await createUser({ channelId: `member-${i}`, team: team._id });
+        }
+        await handleMessage(address('ghost'), `team join ${team.code}`);
+        assert.match(lastMessage(), /is full/);
+        assert.equal((await findUser('ghost')).team, null);
+    });
+
+    test('the last member to leave closes the team', async () => {
+        await pairUp();
+
+        await handleMessage(address('ada'), 'team leave');
+        assert.match(received('grace').at(-1), /Ada\* left/);
+        assert.equal(await Team.countDocuments(), 1);
+
+        await handleMessage(address('grace'), 'team leave');
+        assert.equal(await Team.countDocuments(), 0);
+    });
+});
+
+describe('team visibility', () => {
+    test('team shows everyone with their streak from the logs and today', async () => {
+        await pairUp();
+        const ada = await findUser('ada');
+        // Stale stored counters are ignored
+        ada.currentStreak = 40;
+        ada.longestStreak = 40;
+        await ada.save();
+        const days = ['2026-10-05', '2026-10-06', '2026-10-07', '2026-10-08', '2026-10-09', '2026-10-10',
+            '2026-10-16', '2026-10-17', '2026-10-18', '2026-10-19'];
+        await DailyLog.create(days.map(date => ({ user: ada._id, date, coded: true })));
+        setLocalTime('2026-10-19', '21:00');
+
+        await handleMessage(address('grace'), 'team');
+
+        assert.match(lastMessage(), /Night owls/);
+        assert.match(lastMessage(), /✅ Ada - .* 4 days \(best 6\)/);
+        assert.match(lastMessage(), /⏳ Grace/);
+    });
+
+    test('teammates hear when someone checks in or misses', async () => {
+        await pairUp();
+        setLocalTime('2026-10-19', '21:00');
+
+        await handleMessage(address('ada'), 'yes');
+        assert.match(received('grace').at(-1), /Ada\* just checked in/);
+
+        await handleMessage(address('grace'), 'no');
+        assert.match(received('ada').at(-1), /Grace\* missed today/);
+    });
+
+    test('teammates hear about someone still quiet an hour after their evening reminder', async () => {
+        await pairUp();
+        setLocalTime('2026-10-19', '20:00');
+        await checkAndSendReminders();
+        await handleMessage(address('grace'), 'productive');
+        await handleMessage(address('grace'), 'yes');
+        sent.length = 0;
+
+        setLocalTime('2026-10-19', '21:00');
+        await checkAndSendReminders();
+
+        assert.deepEqual(received('grace'), ["👀 *Ada* hasn't checked in yet today. Maybe send them a nudge?"]);
+        assert.deepEqual(received('ada'), []);
+    });
+});
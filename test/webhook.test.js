@@ -0,0 +1,178 @@
+import { test, describe, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'node:crypto';
+import * as whatsapp from '../src/channels/whatsapp.js';
+import * as telegram from '../src/channels/telegram.js';
+
+const SECRET = 'test-app-secret';
+
+/**
+ * Minimal stand-in for an Express request
+ */
+function request(body, headers = {}) {
+    const lowerHeaders = Object.fromEntries(
+        Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value])
+    );
+    return {
+        rawBody: Buffer.from(body),
+        get: name => lowerHeaders[name.toLowerCase()]
+    };
+}
+
+function sign(body, secret = SECRET) {
+    return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+describe('WhatsApp webhook signature verification', () => {
+    const body = JSON.stringify({ entry: [{ changes: [{ value: { messages: [] } }] }] });
+
+    beforeEach(() => {
+        process.env.WHATSAPP_APP_SECRET = SECRET;
+    });
+
+    afterEach(() => {
+        delete process.env.WHATSAPP_APP_SECRET;
+    });
+
+    test('accepts a correctly signed body', () => {
+        const result = whatsapp.verifyRequest(request(body, { 'X-Hub-Signature-256': sign(body) }));
+        assert.deepEqual(result, { valid: true });
+    });
+
+    test('rejects unsigned requests', () => {
+        const result = whatsapp.verifyRequest(request(body));
+        assert.deepEqual(result, { valid: false, reason: 'missing_signature' });
+    });
+
+    test('rejects a signature made with another secret', () => {
+        const result = whatsapp.verifyRequest(request(body, { 'X-Hub-Signature-256': sign(body, 'wrong') }));
+        assert.deepEqual(result, { valid: false, reason: 'invalid_signature' });
+    });
+
+    test('rejects a tampered body', () => {
+        const result = whatsapp.verifyRequest(request(body + ' ', { 'X-Hub-Signature-256': sign(body) }));
+        assert.deepEqual(result, { valid: false, reason: 'invalid_signature' });
+    });
+
+    test('rejects malformed signatures', () => {
+        const result = whatsapp.verifyRequest(request(body, { 'X-Hub-Signature-256': 'sha256=abc' }));
+        assert.deepEqual(result, { valid: false, reason: 'invalid_signature' });
+    });
+
+    test('rejects everything when no app secret is configured', () => {
+        delete process.env.WHATSAPP_APP_SECRET;
+        const result = whatsapp.verifyRequest(request(body, { 'X-Hub-Signature-256': sign(body) }));
+        assert.deepEqual(result, { valid: false, reason: 'app_secret_not_configured' });
+    });
+});
+
+describe('Telegram webhook secret token', () => {
+    beforeEach(() => {
+        process.env.TELEGRAM_WEBHOOK_SECRET = SECRET;
+    });
+
+    afterEach(() => {
+        delete process.env.TELEGRAM_WEBHOOK_SECRET;
+    });
+
+    test('accepts the right token', () => {
+        const result = telegram.verifyRequest(request('{}', { 'X-Telegram-Bot-Api-Secret-Token': SECRET }));
+        assert.deepEqual(result, { valid: true });
+    });
+
+    test('rejects a missing or wrong token', () => {
+        assert.deepEqual(telegram.verifyRequest(request('{}')), { valid: false, reason: 'invalid_secret_token' });
+        const result = telegram.verifyRequest(request('{}', { 'X-Telegram-Bot-Api-Secret-Token': 'guess' }));
+        assert.deepEqual(result, { valid: false, reason: 'invalid_secret_token' });
+    });
+
+    test('rejects everything when no secret is configured', () => {
+        delete process.env.TELEGRAM_WEBHOOK_SECRET;
+        const result = telegram.verifyRequest(request('{}', { 'X-Telegram-Bot-Api-Secret-Token': '' }));
+        assert.deepEqual(result, { valid: false, reason: 'secret_not_configured' });
+    });
+});
+
+describe('WhatsApp webhook parsing', () => {
+    const textMessage = (id, from, body, timestamp) => ({ id, from, timestamp: String(timestamp), type: 'text', text: { body } });
+
+    test('reads every message in every entry and change', () => {
+        const { messages } = whatsapp.parseWebhook({
+            entry: [
+                { changes: [{ value: { messages: [textMessage('m1', 'ada', 'hi', 100), textMessage('m2', 'ada', 'yes', 101)] } }] },
+                { changes: [
+                    { value: { messages: [textMessage('m3', 'bob', 'status', 102)] } },
+                    { value: { messages: [textMessage('m4', 'cy', 'help', 103)] } }
+                ] }
+            ]
+        });
+
+        assert.deepEqual(messages.map(m => m.id), ['m1', 'm2', 'm3', 'm4']);
+    });
+
+    test('orders messages by timestamp', () => {
+        const { messages } = whatsapp.parseWebhook({
+            entry: [
+                { changes: [{ value: { messages: [textMessage('late', 'ada', 'yes', 200)] } }] },
+                { changes: [{ value: { messages: [textMessage('early', 'ada', 'hi', 100)] } }] }
+            ]
+        });
+
+        assert.deepEqual(messages.map(m => m.id), ['early', 'late']);
+        assert.deepEqual(messages[0], { id: 'early', from: 'ada', text: 'hi', timestamp: 100 });
+    });
+
+    test('turns button and list replies into their reply ID', () => {
+        const { messages } = whatsapp.parseWebhook({
+            entry: [{ changes: [{ value: { messages: [
+                { id: 'b1', from: 'ada', timestamp: '1', type: 'interactive', interactive: { type: 'button_reply', button_reply: { id: 'yes', title: 'Yes' } } },
+                { id: 'l1', from: 'ada', timestamp: '2', type: 'interactive', interactive: { type: 'list_reply', list_reply: { id: 'tired', title: 'Tired' } } },
+                { id: 't1', from: 'ada', timestamp: '3', type: 'button', button: { text: 'No', payload: 'no' } }
+            ] } }] }]
+        });
+
+        assert.deepEqual(messages.map(m => m.text), ['yes', 'tired', 'no']);
+    });
+
+    test('skips messages without text or media', () => {
+        const { messages } = whatsapp.parseWebhook({
+            entry: [{ changes: [{ value: { messages: [{ id: 'r1', from: 'ada', type: 'reaction', timestamp: '1' }] } }] }]
+        });
+
+        assert.deepEqual(messages, []);
+    });
+
+    test('reads voice notes and images with their caption', () => {
+        const { messages } = whatsapp.parseWebhook({
+            entry: [{ changes: [{ value: { messages: [
+                { id: 'a1', from: 'ada', timestamp: '1', type: 'audio', audio: { id: 'media-1', mime_type: 'audio/ogg; codecs=opus', voice: true } },
+                { id: 'i1', from: 'ada', timestamp: '2', type: 'image', image: { id: 'media-2', mime_type: 'image/jpeg', caption: 'Green tests' } }
+            ] } }] }]
+        });
+
+        assert.deepEqual(messages, [
+            { id: 'a1', from: 'ada', text: '', media: { type: 'audio', id: 'media-1', mimeType: 'audio/ogg; codecs=opus' }, timestamp: 1 },
+            { id: 'i1', from: 'ada', text: 'Green tests', media: { type: 'image', id: 'media-2', mimeType: 'image/jpeg' }, timestamp: 2 }
+        ]);
+    });
+
+    test('reads delivery statuses', () => {
+        const { messages, statuses } = whatsapp.parseWebhook({
+            entry: [{ changes: [{ value: { statuses: [
+                { id: 'out1', status: 'delivered', timestamp: '300', recipient_id: 'ada' },
+                { id: 'out2', status: 'failed', timestamp: '301', recipient_id: 'bob', errors: [{ code: 131047, title: 'Re-engagement message' }] }
+            ] } }] }]
+        });
+
+        assert.deepEqual(messages, []);
+        assert.deepEqual(statuses, [
+            { id: 'out1', status: 'delivered', timestamp: 300, error: null },
+            { id: 'out2', status: 'failed', timestamp: 301, error: 'Re-engagement message' }
+        ]);
+    });
+
+    test('tolerates empty payloads', () => {
+        assert.deepEqual(whatsapp.parseWebhook({}), { messages: [], statuses: [] });
+        assert.deepEqual(whatsapp.parseWebhook(undefined), { messages: [], statuses: [] });
+    });
+});